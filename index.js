@@ -2,5 +2,12 @@
 
 module.exports = {
     secretstore: require("./src/secretstore"),
-    private: require("./src/private")
+    private: require("./src/private"),
+    signer: require("./src/signer.js"),
+    call: require("./src/call.js"),
+    transport: require("./src/transport"),
+    provider: require("./src/provider.js"),
+    errors: require("./src/errors.js"),
+    logger: require("./src/logger.js"),
+    diagnostics: require("./src/diagnostics.js")
 }
@@ -0,0 +1,244 @@
+/**
+ * Timeouts, retries and cancellation of Secret Store sessions and RPC calls.
+ *
+ * Every session and RPC function takes an optional `options` object as its last argument,
+ * overriding the global defaults set with {@link module:call.configure configure}:
+ *
+ *  - `timeout`: milliseconds an attempt may take before failing with a {@link module:call.TimeoutError TimeoutError}. 0 (default) waits forever.
+ *    With a pool of nodes the failover between them is part of the attempt
+ *  - `retries`: how many times a failed attempt is retried. Default is 0
+ *  - `backoff`: delay between attempts: `"exponential"` (default), `"linear"`, `"constant"`, or a function `(attempt, error) => ms`
+ *  - `minDelay`, `maxDelay`: bounds of the delay in milliseconds. Defaults are 500 and 10000
+ *  - `retryOn`: predicate on the error telling whether to retry. Default is {@link module:call.isTransient isTransient}
+ *  - `signal`: an `AbortSignal` cancelling the call, failing it with an {@link module:call.AbortError AbortError}
+ *  - `transport`: the HTTP {@link module:transport.Transport transport} of Secret Store sessions. Default is {@link module:transport.defaultTransport defaultTransport}
+ *
+ * @module call
+ */
+
+"use strict";
+
+const logger = require("./logger.js");
+
+const NETWORK_ERROR_CODES = ["ECONNREFUSED", "ECONNRESET", "ETIMEDOUT", "ESOCKETTIMEDOUT", "EPIPE", "EHOSTUNREACH", "ENETUNREACH", "ENOTFOUND", "EAI_AGAIN"];
+
+const BACKOFFS = {
+    exponential: (attempt, options) => options.minDelay * Math.pow(2, attempt),
+    linear: (attempt, options) => options.minDelay * (attempt + 1),
+    constant: (attempt, options) => options.minDelay
+};
+
+/**
+ * Error of an attempt that didn't finish in time.
+ *
+ * @memberof module:call
+ * @class
+ */
+class TimeoutError extends Error {
+    /**
+     * @constructor
+     * @param {Number} timeout The timeout in milliseconds
+     */
+    constructor(timeout) {
+        super("Timed out after " + timeout + " ms");
+        this.timeout = timeout;
+        this.name = "TimeoutError";
+    }
+}
+
+/**
+ * Error of a call cancelled through its `AbortSignal`.
+ *
+ * @memberof module:call
+ * @class
+ */
+class AbortError extends Error {
+    /**
+     * @constructor
+     * @param {any} reason The reason of the abort signal, if any
+     */
+    constructor(reason) {
+        super("The operation was aborted");
+        this.reason = reason;
+        this.name = "AbortError";
+    }
+}
+
+const defaults = {
+    timeout: 0,
+    retries: 0,
+    backoff: "exponential",
+    minDelay: 500,
+    maxDelay: 10000,
+    retryOn: undefined,
+    signal: undefined,
+    transport: undefined
+};
+
+/**
+ * Sets the global defaults of the call options.
+ *
+ * @memberof module:call
+ * @param {Object} options Options to override, see the module description
+ * @returns {Object} The new defaults
+ */
+function configure(options) {
+    if (options.backoff !== undefined && typeof options.backoff !== "function" && !BACKOFFS[options.backoff]) {
+        throw new TypeError("Unknown backoff strategy: " + options.backoff);
+    }
+    Object.assign(defaults, options);
+    return getDefaults();
+}
+
+/**
+ * @memberof module:call
+ * @returns {Object} A copy of the global defaults of the call options
+ */
+function getDefaults() {
+    return Object.assign({}, defaults);
+}
+
+/**
+ * Tells whether an error is worth retrying: timeouts, network errors and transient session errors
+ * (see {@link module:errors.SecretStoreSessionError#transient}) are.
+ *
+ * @memberof module:call
+ * @param {Error} error The error of the failed attempt
+ * @returns {Boolean} True if a retry may succeed
+ */
+function isTransient(error) {
+    if (!error || error instanceof AbortError) return false;
+    if (error instanceof TimeoutError) return true;
+    if (typeof error.transient === "boolean") return error.transient;
+    if (error.response) return error.response.statusCode >= 500;
+    return isNetworkError(error);
+}
+
+/**
+ * Tells whether an error is a connection or network error of a transport, by its `code`
+ * or the `code` of its `cause`, like the `TypeError` of a failed `fetch`.
+ *
+ * @memberof module:call
+ * @param {Error} error The error
+ * @returns {Boolean} True if the request couldn't reach the node or get its answer
+ */
+function isNetworkError(error) {
+    const code = error && (error.code || (error.cause && error.cause.code));
+    return NETWORK_ERROR_CODES.includes(code);
+}
+
+/**
+ * Delay before the retry following the given attempt.
+ *
+ * @ignore
+ */
+function delay(attempt, error, options) {
+    const backoff = typeof options.backoff === "function" ? options.backoff : BACKOFFS[options.backoff];
+    if (!backoff) throw new TypeError("Unknown backoff strategy: " + options.backoff);
+    return Math.max(0, Math.min(options.maxDelay, backoff(attempt, options, error)));
+}
+
+/**
+ * Subscribes to the abort event of an optional signal.
+ *
+ * @returns {Function} Unsubscribes
+ * @ignore
+ */
+function listen(signal, onAbort) {
+    if (!signal) return () => {};
+    signal.addEventListener("abort", onAbort);
+    return () => signal.removeEventListener("abort", onAbort);
+}
+
+/**
+ * Waits, unless cancelled.
+ *
+ * @memberof module:call
+ * @param {Number} ms Milliseconds to wait
+ * @param {AbortSignal} signal Optional signal cancelling the wait with an {@link module:call.AbortError AbortError}
+ * @returns {Promise} Resolved after `ms` milliseconds
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) return reject(new AbortError(signal.reason));
+        const stop = listen(signal, () => {
+            clearTimeout(timer);
+            reject(new AbortError(signal.reason));
+        });
+        const timer = setTimeout(() => {
+            stop();
+            resolve();
+        }, ms);
+    });
+}
+
+/**
+ * Runs one attempt, failing it on timeout or abort. When there is a timeout or a signal, the attempt gets an
+ * `AbortSignal` firing in both cases, to cancel the underlying request when it can.
+ *
+ * @ignore
+ */
+function attempt(fn, options) {
+    return new Promise((resolve, reject) => {
+        const signal = options.signal;
+        if (signal && signal.aborted) return reject(new AbortError(signal.reason));
+        const controller = options.timeout > 0 || signal ? new AbortController() : null;
+        const abort = () => controller && controller.abort();
+        let timer;
+        const finish = (settle, value) => {
+            clearTimeout(timer);
+            stop();
+            settle(value);
+        };
+        const stop = listen(signal, () => {
+            abort();
+            finish(reject, new AbortError(signal.reason));
+        });
+        if (options.timeout > 0) {
+            timer = setTimeout(() => {
+                abort();
+                finish(reject, new TimeoutError(options.timeout));
+            }, options.timeout);
+        }
+        Promise.resolve()
+            .then(() => fn(controller ? controller.signal : undefined))
+            .then(result => finish(resolve, result), error => finish(reject, error));
+    });
+}
+
+/**
+ * Runs a call with the given options: each attempt bounded by the timeout, retried with backoff
+ * while the error is transient, everything cancellable through the signal.
+ *
+ * @memberof module:call
+ * @param {Function} fn Function taking an `AbortSignal`, returning a Promise of the result
+ * @param {Object} options Call options, falling back to the global defaults
+ * @param {Function} retryOn Default retry predicate of the call, when not given in the options
+ * @param {Object} log Logger of the call, see {@link module:logger.get}
+ * @returns {Promise<any>} The result of the first successful attempt
+ */
+function run(fn, options={}, retryOn=isTransient, log=logger.get(false)) {
+    options = Object.keys(options).reduce((merged, key) => {
+        if (options[key] !== undefined) merged[key] = options[key];
+        return merged;
+    }, getDefaults());
+    const shouldRetry = options.retryOn || retryOn;
+    const next = (n) => attempt(fn, options).catch(error => {
+        if (error instanceof AbortError || n >= options.retries || !shouldRetry(error)) throw error;
+        const ms = delay(n, error, options);
+        log.warn("Retrying", {attempt: n + 1, delay: ms, error});
+        return sleep(ms, options.signal).then(() => next(n + 1));
+    });
+    return next(0);
+}
+
+module.exports = {
+    TimeoutError,
+    AbortError,
+    configure,
+    getDefaults,
+    isTransient,
+    isNetworkError,
+    sleep,
+    run
+}
@@ -0,0 +1,456 @@
+/**
+ * @module crypto
+ * @ignore
+ */
+
+"use strict";
+
+const nodeCrypto = require("crypto");
+const EC = require("elliptic").ec;
+const BN = require("bn.js");
+const keccak = require("js-sha3").keccak256;
+
+const utils = require("./utils.js");
+
+const secp256k1 = new EC("secp256k1");
+
+/**
+ * The shared MAC Parity appends to every ECIES message it produces (`ethcrypto::DEFAULT_MAC`).
+ */
+const DEFAULT_MAC = Buffer.from([0, 0]);
+
+/**
+ * Length of the AES initialization vector used in Secret Store document encryption.
+ */
+const INIT_VEC_LEN = 16;
+
+/**
+ * Converts a hex string (with or without "0x") or a Buffer to a Buffer.
+ *
+ * @param {String|Buffer} val The input
+ * @returns {Buffer} The bytes
+ */
+function toBuffer(val) {
+    if (Buffer.isBuffer(val)) return val;
+    return Buffer.from(utils.remove0x(val), "hex");
+}
+
+/**
+ * Converts a Buffer to a "0x" prefixed hex string.
+ *
+ * @param {Buffer} buf The bytes
+ * @returns {String} The hex string
+ */
+function toHex(buf) {
+    return "0x" + buf.toString("hex");
+}
+
+/**
+ * Keccak-256 hash of the given bytes.
+ *
+ * @param {String|Buffer} data Bytes as Buffer or hex string
+ * @returns {Buffer} The 32 byte hash
+ */
+function keccak256(data) {
+    return Buffer.from(keccak.arrayBuffer(toBuffer(data)));
+}
+
+/**
+ * SHA-256 hash of the given bytes.
+ *
+ * @param {Buffer} data The bytes
+ * @returns {Buffer} The 32 byte hash
+ */
+function sha256(data) {
+    return nodeCrypto.createHash("sha256").update(data).digest();
+}
+
+/**
+ * Generates a random scalar of the secp256k1 field.
+ *
+ * @returns {BN} The scalar
+ */
+function randomScalar() {
+    return secp256k1.genKeyPair().getPrivate();
+}
+
+/**
+ * Converts a 32 byte secret to a scalar, checking that it is valid.
+ *
+ * @param {String|Buffer} secret The secret
+ * @returns {BN} The scalar
+ */
+function toScalar(secret) {
+    const buf = toBuffer(secret);
+    if (buf.length !== 32) {
+        throw new Error("Invalid secret length: " + buf.length);
+    }
+    const scalar = new BN(buf);
+    if (scalar.isZero() || scalar.cmp(secp256k1.curve.n) >= 0) {
+        throw new Error("Invalid secret");
+    }
+    return scalar;
+}
+
+/**
+ * Serializes a scalar to 32 bytes.
+ *
+ * @param {BN} scalar The scalar
+ * @returns {Buffer} The bytes
+ */
+function scalarToBuffer(scalar) {
+    return scalar.umod(secp256k1.curve.n).toArrayLike(Buffer, "be", 32);
+}
+
+/**
+ * Parses a 64 byte public key (x || y, no prefix) to a curve point.
+ *
+ * @param {String|Buffer} pub The public key
+ * @returns {Object} The curve point
+ */
+function toPoint(pub) {
+    let buf = toBuffer(pub);
+    if (buf.length === 65 && buf[0] === 4) buf = buf.slice(1);
+    if (buf.length !== 64) {
+        throw new Error("Invalid public key length: " + buf.length);
+    }
+    const point = secp256k1.curve.point(buf.slice(0, 32).toString("hex"), buf.slice(32).toString("hex"));
+    if (!point.validate()) {
+        throw new Error("Invalid public key");
+    }
+    return point;
+}
+
+/**
+ * Serializes a curve point to a 64 byte public key (x || y, no prefix).
+ *
+ * @param {Object} point The curve point
+ * @returns {Buffer} The public key
+ */
+function pointToBuffer(point) {
+    return Buffer.from(point.encode("hex", false).slice(2), "hex");
+}
+
+/**
+ * Computes the public key of a secret.
+ *
+ * @param {String|Buffer|BN} secret The secret
+ * @returns {Buffer} The 64 byte public key
+ */
+function publicFromSecret(secret) {
+    const scalar = BN.isBN(secret) ? secret : toScalar(secret);
+    return pointToBuffer(secp256k1.g.mul(scalar));
+}
+
+/**
+ * Computes the address belonging to a public key.
+ *
+ * @param {String|Buffer} pub The 64 byte public key
+ * @returns {String} The lowercase, "0x" prefixed address
+ */
+function publicToAddress(pub) {
+    return toHex(keccak256(toBuffer(pub)).slice(12));
+}
+
+/**
+ * Signs a 32 byte hash the way Parity's `ethkey::sign` does.
+ *
+ * @param {String|Buffer} secret The signing secret
+ * @param {String|Buffer} hash The hash to sign
+ * @returns {Buffer} The 65 byte signature r || s || v, where v is 0 or 1
+ */
+function sign(secret, hash) {
+    const sig = secp256k1.sign(toBuffer(hash), toScalar(secret), {canonical: true});
+    return Buffer.concat([
+        sig.r.toArrayLike(Buffer, "be", 32),
+        sig.s.toArrayLike(Buffer, "be", 32),
+        Buffer.from([sig.recoveryParam])
+    ]);
+}
+
+/**
+ * Recovers the public key from a signature. Accepts v as 0/1 or 27/28.
+ *
+ * @param {String|Buffer} signature The 65 byte signature r || s || v
+ * @param {String|Buffer} hash The signed hash
+ * @returns {Buffer} The 64 byte public key of the signer
+ */
+function recover(signature, hash) {
+    const sig = toBuffer(signature);
+    if (sig.length !== 65) {
+        throw new Error("Invalid signature length: " + sig.length);
+    }
+    const v = sig[64] >= 27 ? sig[64] - 27 : sig[64];
+    const point = secp256k1.recoverPubKey(toBuffer(hash), {r: sig.slice(0, 32), s: sig.slice(32, 64)}, v);
+    return pointToBuffer(point);
+}
+
+/**
+ * Verifies a 65 byte signature r || s || v against a public key.
+ * Malformed signatures are not valid rather than an error.
+ *
+ * @param {String|Buffer} pub The 64 byte public key
+ * @param {String|Buffer} hash The signed 32 byte hash
+ * @param {String|Buffer} signature The signature, v being 0/1 or 27/28
+ * @returns {Boolean} True if the signature is valid and made with the key
+ */
+function verify(pub, hash, signature) {
+    const expected = pointToBuffer(toPoint(pub));
+    const message = hashOf(hash);
+    const sig = toBuffer(signature);
+    if (sig.length !== 65 || [0, 1, 27, 28].indexOf(sig[64]) === -1) return false;
+    if (!isScalar(new BN(sig.slice(0, 32))) || !isScalar(new BN(sig.slice(32, 64)))) return false;
+    try {
+        return recover(sig, message).equals(expected);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Verifies a Schnorr signature (c, s) against a public key Y, as in Parity's `math::verify_schnorr_signature`:
+ * c == keccak(hash || (s * G + c * Y).x).
+ *
+ * @param {String|Buffer} pub The 64 byte public key
+ * @param {String|Buffer} hash The signed 32 byte hash
+ * @param {String|Buffer} signature The 64 byte signature c || s
+ * @returns {Boolean} True if the signature is valid and made with the key
+ */
+function verifySchnorr(pub, hash, signature) {
+    const point = toPoint(pub);
+    const message = hashOf(hash);
+    const sig = toBuffer(signature);
+    if (sig.length !== 64) return false;
+    const c = new BN(sig.slice(0, 32));
+    const s = new BN(sig.slice(32));
+    if (!isScalar(c) || s.cmp(secp256k1.curve.n) >= 0) return false;
+    const noncePublic = secp256k1.g.mul(s).add(point.mul(c));
+    if (noncePublic.isInfinity()) return false;
+    const expected = new BN(keccak256(Buffer.concat([message, pointToBuffer(noncePublic).slice(0, 32)]))).umod(secp256k1.curve.n);
+    return expected.eq(c);
+}
+
+function isScalar(value) {
+    return !value.isZero() && value.cmp(secp256k1.curve.n) < 0;
+}
+
+function hashOf(hash) {
+    const buf = toBuffer(hash);
+    if (buf.length !== 32) {
+        throw new Error("Invalid hash length: " + buf.length);
+    }
+    return buf;
+}
+
+/**
+ * ECDH agreement, the x coordinate of the shared point.
+ *
+ * @param {BN} secret Own secret
+ * @param {Object} point Other party's public point
+ * @returns {Buffer} The 32 byte shared secret
+ */
+function agree(secret, point) {
+    return point.mul(secret).getX().toArrayLike(Buffer, "be", 32);
+}
+
+/**
+ * NIST SP 800-56 concatenation KDF with SHA-256, as used by Parity's ECIES.
+ *
+ * @param {Buffer} secret The shared secret
+ * @param {Number} length Number of bytes to derive
+ * @returns {Buffer} The derived key material
+ */
+function kdf(secret, length) {
+    const out = [];
+    for (let ctr = 1, written = 0; written < length; ctr++, written += 32) {
+        const ctrs = Buffer.alloc(4);
+        ctrs.writeUInt32BE(ctr, 0);
+        out.push(sha256(Buffer.concat([ctrs, secret])));
+    }
+    return Buffer.concat(out).slice(0, length);
+}
+
+/**
+ * AES-128-CTR encryption or decryption.
+ *
+ * @param {Buffer} key The 16 byte key
+ * @param {Buffer} iv The 16 byte initialization vector
+ * @param {Buffer} data The data
+ * @returns {Buffer} The result
+ */
+function aes128Ctr(key, iv, data) {
+    const cipher = nodeCrypto.createCipheriv("aes-128-ctr", key, iv);
+    return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+/**
+ * HMAC-SHA256 of the concatenated parts.
+ *
+ * @param {Buffer} key The MAC key
+ * @param {Array<Buffer>} parts The data
+ * @returns {Buffer} The 32 byte MAC
+ */
+function hmacSha256(key, parts) {
+    const hmac = nodeCrypto.createHmac("sha256", key);
+    parts.forEach(part => hmac.update(part));
+    return hmac.digest();
+}
+
+/**
+ * ECIES encryption compatible with Parity's `ethcrypto::ecies::encrypt`.
+ * Layout: 0x04 || ephemeral public (64) || iv (16) || ciphertext || mac (32).
+ *
+ * @param {String|Buffer} pub The 64 byte public key of the recipient
+ * @param {String|Buffer} plain The plaintext
+ * @returns {Buffer} The ECIES message
+ */
+function eciesEncrypt(pub, plain) {
+    const ephemeral = secp256k1.genKeyPair();
+    const key = kdf(agree(ephemeral.getPrivate(), toPoint(pub)), 32);
+    const ekey = key.slice(0, 16);
+    const mkey = sha256(key.slice(16, 32));
+
+    const iv = nodeCrypto.randomBytes(16);
+    const cipher = aes128Ctr(ekey, iv, toBuffer(plain));
+    const mac = hmacSha256(mkey, [iv, cipher, DEFAULT_MAC]);
+
+    return Buffer.concat([Buffer.from([4]), pointToBuffer(ephemeral.getPublic()), iv, cipher, mac]);
+}
+
+/**
+ * ECIES decryption compatible with Parity's `ethcrypto::ecies::decrypt`.
+ *
+ * @param {String|Buffer} secret The 32 byte secret of the recipient
+ * @param {String|Buffer} encrypted The ECIES message
+ * @returns {Buffer} The plaintext
+ */
+function eciesDecrypt(secret, encrypted) {
+    const msg = toBuffer(encrypted);
+    const metaLength = 1 + 64 + 16 + 32;
+    if (msg.length < metaLength || msg[0] !== 4) {
+        throw new Error("Invalid ECIES message");
+    }
+    const ephemeral = toPoint(msg.slice(1, 65));
+    const key = kdf(agree(toScalar(secret), ephemeral), 32);
+    const ekey = key.slice(0, 16);
+    const mkey = sha256(key.slice(16, 32));
+
+    const iv = msg.slice(65, 81);
+    const cipher = msg.slice(81, msg.length - 32);
+    const mac = msg.slice(msg.length - 32);
+    if (!nodeCrypto.timingSafeEqual(mac, hmacSha256(mkey, [iv, cipher, DEFAULT_MAC]))) {
+        throw new Error("Invalid ECIES message MAC");
+    }
+    return aes128Ctr(ekey, iv, cipher);
+}
+
+/**
+ * Encrypts a document with a Secret Store document key, the same way `secretstore_encrypt` does:
+ * AES-128-CTR keyed by the first 16 bytes of the document key, IV appended to the ciphertext.
+ *
+ * @param {String|Buffer} documentKey The 64 byte document key (a curve point)
+ * @param {String|Buffer} document The document
+ * @param {Buffer} iv Optional 16 byte initialization vector, random by default
+ * @returns {Buffer} ciphertext || iv
+ */
+function encryptDocument(documentKey, document, iv) {
+    const key = toBuffer(documentKey);
+    if (key.length !== 64) {
+        throw new Error("Invalid document key length: " + key.length);
+    }
+    iv = iv || nodeCrypto.randomBytes(INIT_VEC_LEN);
+    return Buffer.concat([aes128Ctr(key.slice(0, INIT_VEC_LEN), iv, toBuffer(document)), iv]);
+}
+
+/**
+ * Decrypts a document encrypted by {@link encryptDocument} or `secretstore_encrypt`.
+ *
+ * @param {String|Buffer} documentKey The 64 byte document key (a curve point)
+ * @param {String|Buffer} encryptedDocument ciphertext || iv
+ * @returns {Buffer} The document
+ */
+function decryptDocument(documentKey, encryptedDocument) {
+    const key = toBuffer(documentKey);
+    if (key.length !== 64) {
+        throw new Error("Invalid document key length: " + key.length);
+    }
+    const data = toBuffer(encryptedDocument);
+    if (data.length < INIT_VEC_LEN) {
+        throw new Error("Invalid encrypted document");
+    }
+    const iv = data.slice(data.length - INIT_VEC_LEN);
+    return aes128Ctr(key.slice(0, INIT_VEC_LEN), iv, data.slice(0, data.length - INIT_VEC_LEN));
+}
+
+/**
+ * ElGamal-style encryption of a document key point with a server key, as in `math::encrypt_secret`.
+ *
+ * @param {String|Buffer} documentKey The 64 byte document key
+ * @param {String|Buffer} serverKey The 64 byte server key public
+ * @returns {Object} `common_point` (k * G) and `encrypted_point` (M + k * Y) as Buffers
+ */
+function encryptSecret(documentKey, serverKey) {
+    const k = randomScalar();
+    return {
+        common_point: pointToBuffer(secp256k1.g.mul(k)),
+        encrypted_point: pointToBuffer(toPoint(serverKey).mul(k).add(toPoint(documentKey)))
+    };
+}
+
+/**
+ * Recovers a document key from the result of a document key shadow retrieval session, as in
+ * `math::decrypt_with_shadow_coefficients`: decrypted_secret + sum(shadows) * common_point.
+ *
+ * @param {String|Buffer} decryptedSecret The 64 byte `decrypted_secret` point
+ * @param {String|Buffer} commonPoint The 64 byte `common_point`
+ * @param {Array<String|Buffer>} shadows The decrypted 32 byte shadow coefficients
+ * @returns {Buffer} The 64 byte document key
+ */
+function decryptWithShadowCoefficients(decryptedSecret, commonPoint, shadows) {
+    if (shadows.length === 0) {
+        throw new Error("No shadow coefficients");
+    }
+    const sum = shadows.map(toScalar).reduce((acc, s) => acc.add(s)).umod(secp256k1.curve.n);
+    return pointToBuffer(toPoint(decryptedSecret).add(toPoint(commonPoint).mul(sum)));
+}
+
+/**
+ * Hash of a set of node IDs, as computed by `secretstore_serversSetHash`:
+ * keccak256 of the ordered, deduplicated 64 byte IDs.
+ *
+ * @param {Array<String>} nodeIDs The node IDs
+ * @returns {Buffer} The hash
+ */
+function serversSetHash(nodeIDs) {
+    const ids = Array.from(new Set(nodeIDs.map(id => utils.remove0x(id).toLowerCase()))).sort();
+    return keccak256(Buffer.concat(ids.map(id => toBuffer(id))));
+}
+
+module.exports = {
+    secp256k1,
+    DEFAULT_MAC,
+    INIT_VEC_LEN,
+    toBuffer,
+    toHex,
+    keccak256,
+    sha256,
+    randomScalar,
+    toScalar,
+    scalarToBuffer,
+    toPoint,
+    pointToBuffer,
+    publicFromSecret,
+    publicToAddress,
+    sign,
+    recover,
+    verify,
+    verifySchnorr,
+    eciesEncrypt,
+    eciesDecrypt,
+    aes128Ctr,
+    encryptDocument,
+    decryptDocument,
+    encryptSecret,
+    decryptWithShadowCoefficients,
+    serversSetHash
+}
@@ -0,0 +1,167 @@
+/**
+ * Health checks of a Secret Store cluster: which key servers answer on their HTTP API, whether enough of them
+ * are online for a threshold, and whether the JSON-RPC endpoints expose the `secretstore` and `private` APIs.
+ *
+ *     await diagnostics.preflight({secretStore: urls, rpc: [web3], threshold: 1});
+ *     await session.generateServerKey(urls, id, signature, 1);
+ *
+ * @module diagnostics
+ */
+
+"use strict";
+
+const rpc = require("./rpc.js");
+const logger = require("./logger.js");
+const session = require("./secretstore/session.js");
+const { NodePool } = require("./secretstore/pool.js");
+const { SecretStoreSessionError, RpcError, PreflightError } = require("./errors.js");
+
+/**
+ * Call options of the probes, unless overridden: a dead node must not stall the check.
+ *
+ * @ignore
+ */
+const PROBE_DEFAULTS = {timeout: 5000, retries: 0};
+
+/**
+ * Server key ID and signature of the Secret Store probe, a `document key retrieval` no key server can serve.
+ *
+ * @ignore
+ */
+const PROBE_KEY_ID = "00".repeat(32);
+const PROBE_SIGNATURE = "00".repeat(65);
+
+/**
+ * Probes the HTTP API of a key server with a request it must reject. An error in the format of the Secret Store's
+ * means the API is up, other answers come from another web server.
+ *
+ * @memberof module:diagnostics
+ * @param {String} url URL where the SS node is listening for incoming requests
+ * @param {Object} options Call options: timeout (default is 5000), retries (default is 0) and abort signal, see {@link module:call}
+ * @returns {Promise<Object>} `url`, whether it is `reachable`, whether it serves the Secret Store `httpApi`,
+ * the `statusCode` and `code` of its answer, the `latency` in milliseconds and the `error` if not healthy
+ */
+function probeSecretStore(url, options={}) {
+    const start = Date.now();
+    const result = (fields) => Object.assign({url, reachable: false, httpApi: false, latency: Date.now() - start}, fields);
+    return session.retrieveDocumentKey(url, PROBE_KEY_ID, PROBE_SIGNATURE, false, Object.assign({}, PROBE_DEFAULTS, options))
+        .then(() => result({reachable: true, httpApi: true, statusCode: 200}), error => {
+            if (error instanceof SecretStoreSessionError && error.statusCode !== undefined) {
+                const httpApi = error.fromSecretStore;
+                return result({reachable: true, httpApi, statusCode: error.statusCode, code: error.code,
+                    error: httpApi ? undefined : error});
+            }
+            return result({error});
+        });
+}
+
+/**
+ * Probes a JSON-RPC endpoint with `rpc_modules`.
+ *
+ * @memberof module:diagnostics
+ * @param {Object|String} web3 The web3 instance, a provider, or the URL of the endpoint, see {@link module:provider}
+ * @param {Object} options Call options: timeout (default is 5000), retries (default is 0) and abort signal, see {@link module:call}
+ * @returns {Promise<Object>} `url`, whether it is `reachable`, the exposed `modules` and whether they include
+ * `secretstore` and `private`, the `latency` in milliseconds and the `error` if not healthy
+ */
+function probeRpc(web3, options={}) {
+    const provider = typeof web3 === "string" ? null : web3.currentProvider || web3;
+    const url = provider ? provider.host || provider.url || null : web3;
+    const start = Date.now();
+    const result = (fields) => Object.assign({url, reachable: false, modules: null, secretstore: false, private: false,
+        latency: Date.now() - start}, fields);
+    return rpc.send(web3, "rpc_modules", [], false, Object.assign({}, PROBE_DEFAULTS, options))
+        .then(modules => result({
+            reachable: true,
+            modules: Object.keys(modules || {}),
+            secretstore: !!modules && modules.secretstore !== undefined,
+            private: !!modules && modules.private !== undefined
+        }), error => result({reachable: error instanceof RpcError, error}));
+}
+
+/**
+ * Checks the health of a Secret Store cluster.
+ *
+ * @memberof module:diagnostics
+ * @param {Object} cluster
+ * @param {String|Array<String>|module:secretstore/pool.NodePool} cluster.secretStore URL(s) of the SS nodes' HTTP API
+ * @param {Array<Object|String>} cluster.rpc web3 instances, providers or URLs of the JSON-RPC endpoints to check. Default is none
+ * @param {Number} cluster.threshold Key threshold the cluster must serve: threshold + 1 nodes must be online. Default is 0
+ * @param {Boolean} cluster.requireAll Whether every SS node must be online, as for a nodes set change. Default is false
+ * @param {Boolean|module:logger.Logger} verbose Whether to log unhealthy nodes, or the logger to use
+ * @param {Object} options Call options of the probes, see {@link module:diagnostics.probeSecretStore probeSecretStore}
+ * @returns {Promise<Object>} The report: whether everything is `ok`, whether the cluster is `ready` for sessions
+ * (enough SS nodes online and all JSON-RPC endpoints healthy), the `problems` found as messages,
+ * the number of SS nodes `online` and `required`, the `threshold` and the results of every probe in `secretStore` and `rpc`
+ */
+async function check({secretStore, rpc: rpcEndpoints=[], threshold=0, requireAll=false}, verbose=true, options={}) {
+    const urls = secretStore instanceof NodePool ? secretStore.urls : [].concat(secretStore || []);
+    if (urls.length === 0) throw new TypeError("At least one Secret Store URL is required");
+    const log = logger.get(verbose);
+
+    const [ssResults, rpcResults] = await Promise.all([
+        Promise.all(urls.map(url => probeSecretStore(url, options))),
+        Promise.all(rpcEndpoints.map(web3 => probeRpc(web3, options)))
+    ]);
+
+    const problems = [];
+    ssResults.filter(node => !node.httpApi).forEach(node => {
+        problems.push(node.url + ": " + (node.reachable ? "not a Secret Store HTTP API" : "unreachable"));
+        log.warn("Secret Store node unavailable", {url: node.url, error: node.error});
+    });
+    rpcResults.forEach((endpoint, i) => {
+        const name = endpoint.url || "JSON-RPC endpoint #" + i;
+        if (!endpoint.reachable) {
+            problems.push(name + ": JSON-RPC unreachable");
+            log.warn("JSON-RPC endpoint unavailable", {url: endpoint.url, error: endpoint.error});
+            return;
+        }
+        ["secretstore", "private"].filter(api => !endpoint[api])
+            .forEach(api => problems.push(name + ": " + api + " API not exposed"));
+    });
+
+    const rpcHealthy = rpcResults.every(endpoint => endpoint.reachable && endpoint.secretstore && endpoint.private);
+    const online = ssResults.filter(node => node.httpApi).length;
+    const required = requireAll ? urls.length : threshold + 1;
+    if (online < required) {
+        problems.push("only " + online + " of " + urls.length + " key servers online, " + required + " required");
+    }
+    return {
+        ok: problems.length === 0,
+        ready: online >= required && rpcHealthy,
+        problems,
+        online,
+        required,
+        threshold,
+        secretStore: ssResults,
+        rpc: rpcResults
+    };
+}
+
+/**
+ * Runs {@link module:diagnostics.check check} and fails unless the cluster is ready, to guard sessions like
+ * `generateServerKey` (pass its threshold) or `nodesSetChange` (pass `requireAll`). Unavailable SS nodes are
+ * tolerated as long as enough others are online.
+ *
+ * @memberof module:diagnostics
+ * @param {Object} cluster As for {@link module:diagnostics.check check}
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options of the probes
+ * @returns {Promise<Object>} The report, if `ready`
+ * @throws {module:errors.PreflightError} With the `report` otherwise
+ */
+async function preflight(cluster, verbose=true, options={}) {
+    const report = await check(cluster, verbose, options);
+    if (!report.ready) {
+        logger.get(verbose).error("Preflight check failed", {problems: report.problems});
+        throw new PreflightError("Secret Store preflight check failed: " + report.problems.join("; "), report);
+    }
+    return report;
+}
+
+module.exports = {
+    probeSecretStore,
+    probeRpc,
+    check,
+    preflight
+}
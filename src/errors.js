@@ -0,0 +1,309 @@
+/**
+ * Typed errors of Secret Store sessions and JSON-RPC calls.
+ *
+ * Session failures are {@link module:errors.SecretStoreSessionError SecretStoreSessionError}s, or one of its subclasses,
+ * with the Secret Store's message parsed into a `code`:
+ *
+ *  - {@link module:errors.AccessDeniedError AccessDeniedError}: `ACCESS_DENIED`
+ *  - {@link module:errors.KeyNotFoundError KeyNotFoundError}: `SERVER_KEY_NOT_FOUND`, `DOCUMENT_KEY_NOT_FOUND`
+ *  - {@link module:errors.KeyAlreadyExistsError KeyAlreadyExistsError}: `SERVER_KEY_ALREADY_GENERATED`, `DOCUMENT_KEY_ALREADY_STORED`
+ *  - {@link module:errors.ConsensusUnreachableError ConsensusUnreachableError}: `CONSENSUS_UNREACHABLE`, `CONSENSUS_TEMPORARY_UNREACHABLE`
+ *  - {@link module:errors.InvalidRequestError InvalidRequestError}: `BAD_SIGNATURE`, `INVALID_MESSAGE`, `INVALID_THRESHOLD`, `INSUFFICIENT_REQUESTER_DATA`, `INVALID_REQUEST`
+ *  - otherwise `EXCLUSIVE_SESSION_ACTIVE`, `NODE_DISCONNECTED`, `INTERNAL` or `UNKNOWN`
+ *
+ * A session result failing client-side verification, like a signature not made with the server key, has code `INVALID_SIGNATURE`.
+ *
+ * JSON-RPC error responses are {@link module:errors.RpcError RpcError}s, and failed cluster health checks
+ * {@link module:errors.PreflightError PreflightError}s.
+ *
+ * @module errors
+ */
+
+"use strict";
+
+/**
+ * Secret Store messages (as displayed by Parity) to error codes.
+ *
+ * @ignore
+ */
+const SESSION_ERRORS = [
+    [/^access den(i)?ed/i, "ACCESS_DENIED"],
+    [/^server key with this id is not found/i, "SERVER_KEY_NOT_FOUND"],
+    [/^document key with this id is not found/i, "DOCUMENT_KEY_NOT_FOUND"],
+    [/^server key with this id is already generated/i, "SERVER_KEY_ALREADY_GENERATED"],
+    [/^document key with this id is already stored/i, "DOCUMENT_KEY_ALREADY_STORED"],
+    [/^consensus temporary unreachable/i, "CONSENSUS_TEMPORARY_UNREACHABLE"],
+    [/^consensus unreachable/i, "CONSENSUS_UNREACHABLE"],
+    [/^bad signature|invalid message signature/i, "BAD_SIGNATURE"],
+    [/^not enough nodes for threshold/i, "INVALID_THRESHOLD"],
+    [/^insufficient requester data/i, "INSUFFICIENT_REQUESTER_DATA"],
+    [/^invalid message/i, "INVALID_MESSAGE"],
+    [/^exclusive session active|^unable to start exclusive session/i, "EXCLUSIVE_SESSION_ACTIVE"],
+    [/^node disconnected/i, "NODE_DISCONNECTED"],
+    [/^internal error/i, "INTERNAL"]
+];
+
+const TRANSIENT_CODES = ["CONSENSUS_UNREACHABLE", "CONSENSUS_TEMPORARY_UNREACHABLE", "EXCLUSIVE_SESSION_ACTIVE", "NODE_DISCONNECTED", "INTERNAL"];
+
+/**
+ * Parity's JSON-RPC error codes to reasons.
+ *
+ * @ignore
+ */
+const RPC_REASONS = {
+    "-32700": "PARSE_ERROR",
+    "-32600": "INVALID_REQUEST",
+    "-32601": "METHOD_NOT_FOUND",
+    "-32602": "INVALID_PARAMS",
+    "-32603": "INTERNAL",
+    "-32010": "TRANSACTION",
+    "-32015": "EXECUTION",
+    "-32020": "ACCOUNT_LOCKED",
+    "-32023": "ACCOUNT",
+    "-32040": "SIGNER",
+    "-32042": "PRIVATE_TRANSACTION",
+    "-32055": "ENCRYPTION"
+};
+
+/**
+ * Error of a failed Secret Store session request.
+ *
+ * @memberof module:errors
+ * @class
+ */
+class SecretStoreSessionError extends Error {
+    /**
+     * @constructor
+     * @param {String} message The error message
+     * @param {Object} response The response object, with `statusCode` and `body`
+     * @param {Object} context
+     * @param {String} context.code The error code, see the module description. Parsed from the response by default
+     * @param {String} context.session Type of the session, e.g. `"document key retrieval"`
+     * @param {String} context.docID The server key / document ID of the session
+     * @param {String} context.url URL of the node that answered
+     */
+    constructor(message, response, context={}) {
+        const details = response ? parseDetails(response.body) : undefined;
+        super(describe(message, context));
+        this.response = response;
+        this.statusCode = response ? response.statusCode : undefined;
+        this.details = details;
+        this.code = context.code || codeOf(details, this.statusCode);
+        this.session = context.session;
+        this.docID = context.docID;
+        this.url = context.url;
+        this.name = "SecretStoreSessionError";
+    }
+
+    /**
+     * Whether the same request may succeed later or on another node.
+     *
+     * @type {Boolean}
+     */
+    get transient() {
+        if (TRANSIENT_CODES.includes(this.code)) return true;
+        return this.code === "UNKNOWN" && this.statusCode >= 500;
+    }
+
+    /**
+     * Whether the response body has the format of the Secret Store's errors, a JSON string,
+     * rather than being e.g. the error page of a proxy or of another web server.
+     *
+     * @type {Boolean}
+     */
+    get fromSecretStore() {
+        return !!this.response && isSessionBody(this.response.body);
+    }
+
+    /**
+     * Creates the error matching a failed response.
+     *
+     * @param {Object} response The response object, with `statusCode` and `body`
+     * @param {Object} context `session`, `docID` and `url`, as for the constructor
+     * @returns {module:errors.SecretStoreSessionError} The error, of the subclass matching its code
+     */
+    static fromResponse(response, context={}) {
+        const details = parseDetails(response.body);
+        const code = codeOf(details, response.statusCode);
+        const ErrorClass = SESSION_ERROR_CLASSES[code] || SecretStoreSessionError;
+        return new ErrorClass(details || "Request failed.", response, Object.assign({}, context, {code}));
+    }
+}
+
+/**
+ * The requester is not allowed to access the key.
+ *
+ * @memberof module:errors
+ * @class
+ */
+class AccessDeniedError extends SecretStoreSessionError {
+    constructor(message, response, context) {
+        super(message, response, context);
+        this.name = "AccessDeniedError";
+    }
+}
+
+/**
+ * The server key or document key doesn't exist.
+ *
+ * @memberof module:errors
+ * @class
+ */
+class KeyNotFoundError extends SecretStoreSessionError {
+    constructor(message, response, context) {
+        super(message, response, context);
+        this.name = "KeyNotFoundError";
+    }
+}
+
+/**
+ * The server key was already generated or the document key already stored with this ID.
+ *
+ * @memberof module:errors
+ * @class
+ */
+class KeyAlreadyExistsError extends SecretStoreSessionError {
+    constructor(message, response, context) {
+        super(message, response, context);
+        this.name = "KeyAlreadyExistsError";
+    }
+}
+
+/**
+ * Not enough key servers could take part in the session.
+ *
+ * @memberof module:errors
+ * @class
+ */
+class ConsensusUnreachableError extends SecretStoreSessionError {
+    constructor(message, response, context) {
+        super(message, response, context);
+        this.name = "ConsensusUnreachableError";
+    }
+}
+
+/**
+ * The request itself is wrong: bad signature, malformed parameters or impossible threshold.
+ *
+ * @memberof module:errors
+ * @class
+ */
+class InvalidRequestError extends SecretStoreSessionError {
+    constructor(message, response, context) {
+        super(message, response, context);
+        this.name = "InvalidRequestError";
+    }
+}
+
+const SESSION_ERROR_CLASSES = {
+    ACCESS_DENIED: AccessDeniedError,
+    SERVER_KEY_NOT_FOUND: KeyNotFoundError,
+    DOCUMENT_KEY_NOT_FOUND: KeyNotFoundError,
+    SERVER_KEY_ALREADY_GENERATED: KeyAlreadyExistsError,
+    DOCUMENT_KEY_ALREADY_STORED: KeyAlreadyExistsError,
+    CONSENSUS_UNREACHABLE: ConsensusUnreachableError,
+    CONSENSUS_TEMPORARY_UNREACHABLE: ConsensusUnreachableError,
+    BAD_SIGNATURE: InvalidRequestError,
+    INVALID_MESSAGE: InvalidRequestError,
+    INVALID_THRESHOLD: InvalidRequestError,
+    INSUFFICIENT_REQUESTER_DATA: InvalidRequestError,
+    INVALID_REQUEST: InvalidRequestError
+};
+
+/**
+ * Error response of a JSON-RPC call. Keeps the `code`, `message` and `data` fields of the response.
+ *
+ * @memberof module:errors
+ * @class
+ */
+class RpcError extends Error {
+    /**
+     * @constructor
+     * @param {Object} error The `error` field of the JSON-RPC response
+     * @param {String} method The called method
+     */
+    constructor(error, method) {
+        super(error.message);
+        this.code = error.code;
+        this.data = error.data;
+        this.reason = RPC_REASONS[String(error.code)] || "UNKNOWN";
+        this.method = method;
+        this.name = "RpcError";
+    }
+}
+
+/**
+ * The Secret Store cluster failed a {@link module:diagnostics.preflight preflight} check.
+ *
+ * @memberof module:errors
+ * @class
+ */
+class PreflightError extends Error {
+    /**
+     * @constructor
+     * @param {String} message The error message
+     * @param {Object} report The report of {@link module:diagnostics.check check}, with the `problems` found
+     */
+    constructor(message, report) {
+        super(message);
+        this.report = report;
+        this.name = "PreflightError";
+    }
+}
+
+/**
+ * Secret Store error bodies are JSON strings, sometimes encoded twice.
+ *
+ * @ignore
+ */
+function parseDetails(body) {
+    if (body === undefined || body === null) return undefined;
+    let details = String(body).trim();
+    for (let i = 0; i < 2 && details.startsWith('"'); i++) {
+        try {
+            details = JSON.parse(details);
+        } catch (e) {
+            break;
+        }
+    }
+    return details || undefined;
+}
+
+/**
+ * @ignore
+ */
+function isSessionBody(body) {
+    if (body === undefined || body === null) return false;
+    try {
+        return typeof JSON.parse(String(body)) === "string";
+    } catch (e) {
+        return false;
+    }
+}
+
+function codeOf(details, statusCode) {
+    if (statusCode === 403) return "ACCESS_DENIED";
+    const match = details && SESSION_ERRORS.find(([pattern]) => pattern.test(details));
+    if (match) return match[1];
+    if (statusCode === 400) return "INVALID_REQUEST";
+    return "UNKNOWN";
+}
+
+function describe(message, {session, docID, url}) {
+    const context = [];
+    if (session) context.push(session + " session");
+    if (url) context.push("on " + url);
+    if (docID) context.push("for " + docID);
+    return context.length ? message + " (" + context.join(" ") + ")" : message;
+}
+
+module.exports = {
+    SecretStoreSessionError,
+    AccessDeniedError,
+    KeyNotFoundError,
+    KeyAlreadyExistsError,
+    ConsensusUnreachableError,
+    InvalidRequestError,
+    RpcError,
+    PreflightError
+}
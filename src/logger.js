@@ -0,0 +1,196 @@
+/**
+ * Structured logging. The `verbose` argument of every function takes either a boolean,
+ * `true` for the global logger and `false` for none, or a {@link module:logger.Logger Logger} for that call only.
+ *
+ * Log entries are a message and an object of fields. Every session and RPC request gets a `requestId`,
+ * shared by all entries of its attempts. Unless disabled, field values that may be secret are redacted:
+ * passwords, keys, signatures, document contents and long hex strings like the signatures and points in session URLs.
+ *
+ *     logger.configure({logger: myLogger, level: "debug"});
+ *
+ * @module logger
+ */
+
+"use strict";
+
+const LEVELS = {debug: 10, info: 20, warn: 30, error: 40, silent: 100};
+
+const REDACTED = "[REDACTED]";
+
+/**
+ * Field names whose values are always redacted.
+ *
+ * @ignore
+ */
+const SENSITIVE_FIELDS = /pass(word|phrase)?|pwd|secret|private|signature|signed|key|document|shadow|point|params|data|body|keystore|mnemonic/i;
+
+/**
+ * Hex strings of signatures (65 bytes) and curve points (64 bytes) or longer.
+ *
+ * @ignore
+ */
+const LONG_HEX = /(0x)?[0-9a-fA-F]{128,}/g;
+
+/**
+ * @typedef {Object} Logger
+ * @memberof module:logger
+ * @property {Function} debug `(message, fields)`
+ * @property {Function} info `(message, fields)`
+ * @property {Function} warn `(message, fields)`
+ * @property {Function} error `(message, fields)`
+ */
+
+/**
+ * Logger printing to the console, the default.
+ *
+ * @memberof module:logger
+ * @type {module:logger.Logger}
+ */
+const consoleLogger = {
+    debug: (message, fields) => console.log("[debug] " + message, fields),
+    info: (message, fields) => console.log("[info] " + message, fields),
+    warn: (message, fields) => console.warn("[warn] " + message, fields),
+    error: (message, fields) => console.error("[error] " + message, fields)
+};
+
+/**
+ * Logger dropping everything.
+ *
+ * @memberof module:logger
+ * @type {module:logger.Logger}
+ */
+const silentLogger = {
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {}
+};
+
+const settings = {
+    logger: consoleLogger,
+    level: "error",
+    redact: true
+};
+
+var requestCounter = 0;
+const requestPrefix = Math.random().toString(36).slice(2, 8);
+
+/**
+ * Sets the global logger, the minimum level logged and whether to redact secrets.
+ *
+ * @memberof module:logger
+ * @param {Object} options
+ * @param {module:logger.Logger} options.logger The logger used when `verbose` is true. Default is {@link module:logger.consoleLogger consoleLogger}
+ * @param {String} options.level `"debug"`, `"info"`, `"warn"`, `"error"` (default) or `"silent"`
+ * @param {Boolean} options.redact Whether to redact secrets. Default is true
+ * @returns {Object} The new settings
+ */
+function configure(options) {
+    if (options.level !== undefined && LEVELS[options.level] === undefined) {
+        throw new TypeError("Unknown log level: " + options.level);
+    }
+    if (options.logger !== undefined && !isLogger(options.logger)) {
+        throw new TypeError("Not a logger: " + options.logger);
+    }
+    Object.keys(options).forEach(name => {
+        if (options[name] !== undefined) settings[name] = options[name];
+    });
+    return Object.assign({}, settings);
+}
+
+/**
+ * @memberof module:logger
+ * @returns {Object} A copy of the current settings
+ */
+function getSettings() {
+    return Object.assign({}, settings);
+}
+
+function isLogger(obj) {
+    return !!obj && typeof obj === "object" && ["debug", "info", "warn", "error"].every(level => typeof obj[level] === "function");
+}
+
+/**
+ * Redacts secrets from log fields.
+ *
+ * @memberof module:logger
+ * @param {any} value The fields, or any value
+ * @returns {any} A copy with secrets replaced by `"[REDACTED]"`
+ */
+function redact(value, name) {
+    if (name !== undefined && SENSITIVE_FIELDS.test(name) && value !== undefined && value !== null) {
+        return REDACTED;
+    }
+    if (typeof value === "string") return value.replace(LONG_HEX, REDACTED);
+    if (value instanceof Error) {
+        return redact({name: value.name, message: value.message, code: value.code});
+    }
+    if (Array.isArray(value)) return value.map(item => redact(item));
+    if (value && typeof value === "object") {
+        const copy = {};
+        Object.keys(value).forEach(key => {
+            copy[key] = redact(value[key], key);
+        });
+        return copy;
+    }
+    return value;
+}
+
+/**
+ * @returns {String} A new request correlation ID
+ * @ignore
+ */
+function requestId() {
+    requestCounter++;
+    return requestPrefix + "-" + requestCounter;
+}
+
+/**
+ * Wraps a logger with level filtering, redaction and fields common to all its entries.
+ *
+ * @ignore
+ */
+function wrap(target, base) {
+    const log = (level) => (message, fields) => {
+        if (LEVELS[level] < LEVELS[settings.level]) return;
+        let entry = Object.assign({}, base, fields);
+        entry = settings.redact ? redact(entry) : entry;
+        try {
+            target[level](message, entry);
+        } catch (e) {
+            // a broken logger must not break the call
+        }
+    };
+    return {
+        debug: log("debug"),
+        info: log("info"),
+        warn: log("warn"),
+        error: log("error"),
+        child: (fields) => wrap(target, Object.assign({}, base, fields))
+    };
+}
+
+/**
+ * Resolves the `verbose` argument of a function to a logger.
+ *
+ * @memberof module:logger
+ * @param {Boolean|module:logger.Logger} verbose `true` for the global logger, `false` for none, or a logger
+ * @param {Object} fields Fields added to every entry
+ * @returns {Object} A logger with `debug`, `info`, `warn`, `error` and `child(fields)`
+ */
+function get(verbose=true, fields={}) {
+    let target;
+    if (isLogger(verbose)) target = verbose;
+    else target = verbose ? settings.logger : silentLogger;
+    return wrap(target, fields);
+}
+
+module.exports = {
+    consoleLogger,
+    silentLogger,
+    configure,
+    getSettings,
+    redact,
+    requestId,
+    get
+}
@@ -0,0 +1,623 @@
+/**
+ * @module mock/chain
+ * @ignore
+ */
+
+"use strict";
+
+const BN = require("bn.js");
+const rlp = require("rlp");
+const abi = require("web3-eth-abi");
+
+const crypto = require("../crypto.js");
+const transaction = require("../transaction.js");
+const utils = require("../utils.js");
+const evm = require("./evm.js");
+
+const {quantity, toQuantity} = transaction;
+
+/**
+ * ABI of Parity's public `PrivateContract` wrapper.
+ */
+const WRAPPER_ABI = [
+    {"constant": true, "inputs": [], "name": "getValidators", "outputs": [{"name": "", "type": "address[]"}], "payable": false, "stateMutability": "view", "type": "function"},
+    {"constant": true, "inputs": [{"name": "", "type": "uint256"}], "name": "validators", "outputs": [{"name": "", "type": "address"}], "payable": false, "stateMutability": "view", "type": "function"},
+    {"constant": true, "inputs": [], "name": "code", "outputs": [{"name": "", "type": "bytes"}], "payable": false, "stateMutability": "view", "type": "function"},
+    {"constant": true, "inputs": [], "name": "state", "outputs": [{"name": "", "type": "bytes"}], "payable": false, "stateMutability": "view", "type": "function"},
+    {"constant": true, "inputs": [], "name": "nonce", "outputs": [{"name": "", "type": "uint256"}], "payable": false, "stateMutability": "view", "type": "function"},
+    {"constant": false, "inputs": [{"name": "newState", "type": "bytes"}, {"name": "v", "type": "uint8[]"}, {"name": "r", "type": "bytes32[]"}, {"name": "s", "type": "bytes32[]"}], "name": "setState", "outputs": [], "payable": false, "stateMutability": "nonpayable", "type": "function"},
+    {"inputs": [{"name": "initialValidators", "type": "address[]"}, {"name": "initialCode", "type": "bytes"}, {"name": "initialState", "type": "bytes"}], "payable": false, "stateMutability": "nonpayable", "type": "constructor"}
+];
+
+/**
+ * Stand-in for the wrapper's bytecode: the mock implements the wrapper natively, deployments
+ * are recognized by this prefix followed by the ABI encoded constructor arguments.
+ */
+const WRAPPER_CODE = Buffer.from("parity-mock-private-contract-wrapper");
+
+const WRAPPER_METHODS = WRAPPER_ABI.filter(item => item.type === "function").reduce((acc, item) => {
+    acc[abi.encodeFunctionSignature(item).slice(2)] = item;
+    return acc;
+}, {});
+
+const WRAPPER_CONSTRUCTOR = WRAPPER_ABI.find(item => item.type === "constructor");
+
+const EMPTY = Buffer.alloc(0);
+const ZERO_HASH = "0x" + "00".repeat(32);
+const EMPTY_BLOOM = "0x" + "00".repeat(256);
+
+/**
+ * JSON-RPC error, serialized as the `error` member of the response.
+ *
+ * @class
+ */
+class RpcError extends Error {
+    constructor(code, message, data) {
+        super(message);
+        this.code = code;
+        this.data = data;
+        this.name = "RpcError";
+    }
+
+    static methodNotFound() { return new RpcError(-32601, "Method not found"); }
+    static invalidParams(details) { return new RpcError(-32602, "Invalid params: " + details + "."); }
+    static account(message, details) { return new RpcError(-32023, message, details); }
+    static encryption(details) { return new RpcError(-32055, "Encryption error.", details); }
+    static transaction(message) { return new RpcError(-32010, message); }
+    static execution(details) { return new RpcError(-32015, "VM execution error.", details); }
+    static private(details) { return new RpcError(-32042, "Private transactions call failed.", details); }
+}
+
+function toIntBuffer(bn) {
+    return bn.isZero() ? EMPTY : bn.toArrayLike(Buffer);
+}
+
+function normalizeAddress(address) {
+    const hex = utils.remove0x(address).toLowerCase();
+    if (!/^[0-9a-f]{40}$/.test(hex)) throw RpcError.invalidParams("invalid address " + address);
+    return "0x" + hex;
+}
+
+function contractAddress(sender, nonce) {
+    return crypto.toHex(crypto.keccak256(rlp.encode([crypto.toBuffer(sender), toIntBuffer(nonce)])).slice(12));
+}
+
+/**
+ * Decodes and recovers the sender of a signed legacy transaction.
+ *
+ * @param {String} raw The RLP encoded signed transaction
+ * @returns {Object} The transaction
+ */
+function decodeRawTransaction(raw) {
+    try {
+        return transaction.decode(raw);
+    }
+    catch (e) {
+        throw RpcError.invalidParams(e.message);
+    }
+}
+
+/**
+ * Encodes a private contract's storage the way Parity snapshots it (`snapshot_from_storage`):
+ * the 32 byte keys and values concatenated, key || value, sorted by key.
+ */
+function encodeState(storage) {
+    const keys = Array.from(storage.keys()).sort();
+    return Buffer.concat(keys.map(key => Buffer.from(key + storage.get(key), "hex")));
+}
+
+function decodeState(state) {
+    const storage = new Map();
+    for (let offset = 0; offset + 64 <= state.length; offset += 64) {
+        storage.set(state.slice(offset, offset + 32).toString("hex"), state.slice(offset + 32, offset + 64).toString("hex"));
+    }
+    return storage;
+}
+
+/**
+ * An instamining development chain: every accepted transaction is mined in its own block.
+ * Besides plain contracts it implements Parity's private contract wrapper natively, keeping
+ * the encrypted code and state of every block the wrapper changed in.
+ *
+ * @class
+ */
+class MockChain {
+    /**
+     * @constructor
+     * @param {MockKeyServer} keyServer Key server holding the private contract keys
+     * @param {Object} options `chainId`, `gasLimit` and default `gasPrice`
+     */
+    constructor(keyServer, options) {
+        options = options || {};
+        this.keyServer = keyServer;
+        this.chainId = options.chainId || 17;
+        this.gasLimit = new BN(options.gasLimit || 8000000);
+        this.gasPrice = quantity(options.gasPrice, new BN(0));
+        this.accounts = new Map();
+        this.nonces = new Map();
+        this.contracts = new Map();
+        this.transactions = new Map();
+        this.receipts = new Map();
+        this.blocks = [];
+        this._mine([]);
+    }
+
+    /**
+     * Adds an account the node can sign with.
+     *
+     * @param {String} secret The private key
+     * @param {String} password Password unlocking the account
+     * @returns {String} The address
+     */
+    addAccount(secret, password) {
+        const pub = crypto.publicFromSecret(secret);
+        const address = crypto.publicToAddress(pub);
+        this.accounts.set(address, {secret: crypto.toBuffer(secret), public: pub, password});
+        return address;
+    }
+
+    unlock(address, password, message) {
+        const account = this.accounts.get(normalizeAddress(address));
+        if (!account || account.password !== password) {
+            throw RpcError.account(message, "InvalidPassword");
+        }
+        return account;
+    }
+
+    nonce(address) {
+        return this.nonces.get(normalizeAddress(address)) || new BN(0);
+    }
+
+    /**
+     * Resolves a block number or tag to a block.
+     */
+    block(tag) {
+        if (tag === undefined || tag === null || tag === "latest" || tag === "pending") {
+            return this.blocks[this.blocks.length - 1];
+        }
+        if (tag === "earliest") return this.blocks[0];
+        const number = quantity(tag).toNumber();
+        if (number >= this.blocks.length) throw RpcError.invalidParams("unknown block " + tag);
+        return this.blocks[number];
+    }
+
+    blockByHash(hash) {
+        return this.blocks.find(block => block.hash === hash.toLowerCase()) || null;
+    }
+
+    _mine(transactions) {
+        const parent = this.blocks[this.blocks.length - 1];
+        const number = this.blocks.length;
+        const block = {
+            number: toQuantity(number),
+            hash: crypto.toHex(crypto.keccak256(Buffer.concat([
+                crypto.toBuffer(parent ? parent.hash : ZERO_HASH), Buffer.from(String(number)), crypto.randomScalar().toArrayLike(Buffer)
+            ]))),
+            parentHash: parent ? parent.hash : ZERO_HASH,
+            nonce: "0x0000000000000000",
+            sha3Uncles: ZERO_HASH,
+            logsBloom: EMPTY_BLOOM,
+            transactionsRoot: ZERO_HASH,
+            stateRoot: ZERO_HASH,
+            receiptsRoot: ZERO_HASH,
+            miner: "0x" + "00".repeat(20),
+            difficulty: "0x20000",
+            totalDifficulty: toQuantity(0x20000 * (number + 1)),
+            extraData: "0x",
+            size: "0x0",
+            gasLimit: toQuantity(this.gasLimit),
+            gasUsed: "0x0",
+            timestamp: toQuantity(Math.floor(Date.now() / 1000)),
+            transactions,
+            uncles: []
+        };
+        this.blocks.push(block);
+        return block;
+    }
+
+    /**
+     * Validates, executes and mines a signed transaction.
+     *
+     * @param {String} raw The RLP encoded signed transaction
+     * @returns {String} The transaction hash
+     */
+    sendRawTransaction(raw) {
+        const tx = decodeRawTransaction(raw);
+        if (this.transactions.has(tx.hash)) throw RpcError.transaction("Transaction with the same hash was already imported.");
+        const expected = this.nonce(tx.from);
+        if (tx.nonce.lt(expected)) throw RpcError.transaction("Transaction nonce is too low. Try incrementing the nonce.");
+        if (tx.nonce.gt(expected)) throw RpcError.transaction("Transaction nonce is too high.");
+        if (tx.gas.gt(this.gasLimit)) throw RpcError.transaction("Transaction cost exceeds current gas limit.");
+
+        const number = this.blocks.length;
+        const context = {
+            block: {number, timestamp: Math.floor(Date.now() / 1000), gasLimit: this.gasLimit.toNumber()},
+            chainId: this.chainId
+        };
+        const result = this._execute(tx, context);
+        this.nonces.set(tx.from, tx.nonce.addn(1));
+
+        const block = this._mine([tx.hash]);
+        const gasUsed = toQuantity(21000 + 16 * tx.data.length);
+        block.gasUsed = gasUsed;
+        this.transactions.set(tx.hash, Object.assign(tx, {blockHash: block.hash, blockNumber: block.number}));
+        this.receipts.set(tx.hash, {
+            transactionHash: tx.hash,
+            transactionIndex: "0x0",
+            blockHash: block.hash,
+            blockNumber: block.number,
+            from: tx.from,
+            to: tx.to,
+            cumulativeGasUsed: gasUsed,
+            gasUsed,
+            contractAddress: result.contractAddress || null,
+            logs: result.logs.map((log, i) => Object.assign({}, log, {
+                blockHash: block.hash,
+                blockNumber: block.number,
+                transactionHash: tx.hash,
+                transactionIndex: "0x0",
+                logIndex: toQuantity(i),
+                removed: false
+            })),
+            logsBloom: EMPTY_BLOOM,
+            status: result.success ? "0x1" : "0x0"
+        });
+        return tx.hash;
+    }
+
+    _execute(tx, context) {
+        const number = context.block.number;
+        if (tx.to === null) {
+            const address = contractAddress(tx.from, tx.nonce);
+            if (tx.data.slice(0, WRAPPER_CODE.length).equals(WRAPPER_CODE)) {
+                const args = abi.decodeParameters(WRAPPER_CONSTRUCTOR.inputs, crypto.toHex(tx.data.slice(WRAPPER_CODE.length)));
+                this.contracts.set(address, {
+                    code: WRAPPER_CODE,
+                    wrapper: {
+                        validators: args.initialValidators.map(v => v.toLowerCase()),
+                        history: [{blockNumber: number, code: crypto.toBuffer(args.initialCode), state: crypto.toBuffer(args.initialState), nonce: 0}]
+                    }
+                });
+                return {success: true, contractAddress: address, logs: []};
+            }
+            const result = evm.run(Object.assign({
+                code: tx.data, data: EMPTY, storage: new Map(), address, caller: tx.from, origin: tx.from, value: tx.value, gasPrice: tx.gasPrice
+            }, context));
+            if (!result.success) return {success: false, logs: []};
+            this.contracts.set(address, {code: result.returnData, storage: result.storage});
+            return {success: true, contractAddress: address, logs: result.logs};
+        }
+
+        const contract = this.contracts.get(tx.to);
+        if (!contract) return {success: true, logs: []};
+        if (contract.wrapper) {
+            return {success: this._setState(contract.wrapper, tx.data, number), logs: []};
+        }
+        const result = evm.run(Object.assign({
+            code: contract.code, data: tx.data, storage: contract.storage, address: tx.to, caller: tx.from, origin: tx.from, value: tx.value, gasPrice: tx.gasPrice
+        }, context));
+        if (result.success) contract.storage = result.storage;
+        return {success: result.success, logs: result.logs};
+    }
+
+    _setState(wrapper, data, number) {
+        const method = WRAPPER_METHODS[data.slice(0, 4).toString("hex")];
+        if (!method || method.name !== "setState") return false;
+        const args = abi.decodeParameters(method.inputs, crypto.toHex(data.slice(4)));
+        const latest = wrapper.history[wrapper.history.length - 1];
+        const newState = crypto.toBuffer(args.newState);
+        const hash = noncedStateHash(newState, latest.nonce);
+        if (args.v.length !== wrapper.validators.length) return false;
+        for (let i = 0; i < wrapper.validators.length; i++) {
+            const signature = Buffer.concat([crypto.toBuffer(args.r[i]), crypto.toBuffer(args.s[i]), Buffer.from([Number(args.v[i])])]);
+            let signer;
+            try {
+                signer = crypto.publicToAddress(crypto.recover(signature, hash));
+            }
+            catch (e) {
+                return false;
+            }
+            if (signer !== wrapper.validators[i]) return false;
+        }
+        wrapper.history.push({blockNumber: number, code: latest.code, state: newState, nonce: latest.nonce + 1});
+        return true;
+    }
+
+    /**
+     * Read-only call against the latest state. The wrapper's getters are answered from the
+     * state at the requested block.
+     */
+    call(request, tag) {
+        const block = this.block(tag);
+        const to = normalizeAddress(request.to);
+        const contract = this.contracts.get(to);
+        const data = crypto.toBuffer(request.data || request.input || "0x");
+        if (!contract) return EMPTY;
+        if (contract.wrapper) {
+            const method = WRAPPER_METHODS[data.slice(0, 4).toString("hex")];
+            if (!method || !method.constant) throw RpcError.execution("Reverted");
+            const entry = wrapperState(contract.wrapper, quantity(block.number).toNumber());
+            if (!entry) return EMPTY;
+            const values = {
+                getValidators: () => [contract.wrapper.validators],
+                validators: () => {
+                    const index = Number(abi.decodeParameters(method.inputs, crypto.toHex(data.slice(4)))[0]);
+                    if (index >= contract.wrapper.validators.length) throw RpcError.execution("Reverted");
+                    return [contract.wrapper.validators[index]];
+                },
+                code: () => [crypto.toHex(entry.code)],
+                state: () => [crypto.toHex(entry.state)],
+                nonce: () => [String(entry.nonce)]
+            };
+            return crypto.toBuffer(abi.encodeParameters(method.outputs, values[method.name]()));
+        }
+        const result = evm.run({
+            code: contract.code,
+            data,
+            storage: contract.storage,
+            address: to,
+            caller: request.from ? normalizeAddress(request.from) : null,
+            origin: request.from ? normalizeAddress(request.from) : null,
+            value: quantity(request.value, new BN(0)),
+            gasPrice: quantity(request.gasPrice, this.gasPrice),
+            block: {number: quantity(block.number).toNumber(), timestamp: quantity(block.timestamp).toNumber(), gasLimit: this.gasLimit.toNumber()},
+            chainId: this.chainId,
+            readOnly: true
+        });
+        if (!result.success) throw RpcError.execution(result.error || "Reverted " + crypto.toHex(result.returnData));
+        return result.returnData;
+    }
+
+    code(address) {
+        const contract = this.contracts.get(normalizeAddress(address));
+        return contract ? contract.code : EMPTY;
+    }
+
+    /**
+     * Fills in the missing fields of a transaction request, like `parity_composeTransaction`.
+     */
+    composeTransaction(request) {
+        if (!request || !request.from) throw RpcError.invalidParams("missing from");
+        const from = normalizeAddress(request.from);
+        return {
+            from,
+            to: request.to ? normalizeAddress(request.to) : null,
+            gasPrice: toQuantity(quantity(request.gasPrice, this.gasPrice)),
+            gas: toQuantity(quantity(request.gas, this.gasLimit)),
+            value: toQuantity(quantity(request.value, new BN(0))),
+            data: request.data || request.input || "0x",
+            nonce: toQuantity(quantity(request.nonce, this.nonce(from))),
+            condition: null
+        };
+    }
+
+    /**
+     * Signs a transaction request with an account of the node, like `personal_signTransaction`.
+     */
+    signTransaction(request, password) {
+        const composed = this.composeTransaction(request);
+        const account = this.unlock(composed.from, password, "Unable to sign transaction.");
+        const raw = transaction.sign(account.secret, composed, this.chainId);
+        return {raw, tx: formatTransaction(decodeRawTransaction(raw))};
+    }
+
+    getLogs(filter) {
+        filter = filter || {};
+        const from = quantity(this.block(filter.fromBlock || "latest").number).toNumber();
+        const to = quantity(this.block(filter.toBlock || "latest").number).toNumber();
+        const addresses = [].concat(filter.address || []).map(normalizeAddress);
+        const topics = filter.topics || [];
+        const logs = [];
+        this.receipts.forEach(receipt => {
+            const number = quantity(receipt.blockNumber).toNumber();
+            if (number < from || number > to) return;
+            receipt.logs.forEach(log => {
+                if (addresses.length && !addresses.includes(log.address)) return;
+                const matches = topics.every((topic, i) => topic === null || [].concat(topic).map(t => t.toLowerCase()).includes(log.topics[i]));
+                if (matches) logs.push(log);
+            });
+        });
+        return logs;
+    }
+
+    contractKey(address) {
+        return crypto.toHex(crypto.keccak256(crypto.toBuffer(normalizeAddress(address))));
+    }
+
+    _contractDocumentKey(address, author) {
+        return this.keyServer.contractDocumentKey(utils.remove0x(this.contractKey(address)), author);
+    }
+
+    /**
+     * Executes a signed private deployment and wraps the encrypted result in a public
+     * wrapper deployment, like `private_composeDeploymentTransaction`.
+     */
+    composeDeploymentTransaction(tag, raw, validators, gasPrice) {
+        const tx = decodeRawTransaction(raw);
+        if (tx.to !== null) throw RpcError.private("BadTransactionType");
+        if (!Array.isArray(validators)) throw RpcError.invalidParams("validators must be an array");
+        validators = validators.map(normalizeAddress);
+        const block = this.block(tag);
+        const address = contractAddress(tx.from, tx.nonce);
+
+        const result = evm.run({
+            code: tx.data,
+            data: EMPTY,
+            storage: new Map(),
+            address,
+            caller: tx.from,
+            origin: tx.from,
+            value: tx.value,
+            gasPrice: tx.gasPrice,
+            block: {number: quantity(block.number).toNumber(), timestamp: quantity(block.timestamp).toNumber(), gasLimit: this.gasLimit.toNumber()},
+            chainId: this.chainId
+        });
+        if (!result.success) throw RpcError.private("Execution(" + (result.error || "Reverted") + ")");
+
+        const documentKey = this._contractDocumentKey(address, tx.from);
+        const encryptedCode = crypto.encryptDocument(documentKey, result.returnData);
+        const encryptedState = crypto.encryptDocument(documentKey, encodeState(result.storage));
+        const args = abi.encodeParameters(WRAPPER_CONSTRUCTOR.inputs, [validators, crypto.toHex(encryptedCode), crypto.toHex(encryptedState)]);
+
+        return {
+            receipt: {
+                transactionHash: tx.hash,
+                contractAddress: address,
+                statusCode: 0
+            },
+            transaction: {
+                from: tx.from,
+                to: null,
+                gasPrice: toQuantity(quantity(gasPrice, this.gasPrice)),
+                gas: toQuantity(this.gasLimit),
+                value: "0x0",
+                data: crypto.toHex(Buffer.concat([WRAPPER_CODE, crypto.toBuffer(args)])),
+                nonce: toQuantity(this.nonce(tx.from)),
+                condition: null
+            }
+        };
+    }
+
+    _privateContract(address) {
+        const contract = this.contracts.get(normalizeAddress(address));
+        if (!contract || !contract.wrapper) throw RpcError.private("ContractDoesNotExist");
+        return contract.wrapper;
+    }
+
+    _decryptedContract(address, entry) {
+        const documentKey = this._contractDocumentKey(address);
+        return {
+            documentKey,
+            code: crypto.decryptDocument(documentKey, entry.code),
+            storage: decodeState(crypto.decryptDocument(documentKey, entry.state))
+        };
+    }
+
+    /**
+     * Runs a call against the decrypted state of a private contract, like `private_call`.
+     */
+    privateCall(tag, request) {
+        const number = quantity(this.block(tag).number).toNumber();
+        const address = normalizeAddress(request.to);
+        const entry = wrapperState(this._privateContract(address), number);
+        if (!entry) throw RpcError.private("ContractDoesNotExist");
+        const contract = this._decryptedContract(address, entry);
+        const block = this.blocks[number];
+
+        const result = evm.run({
+            code: contract.code,
+            data: crypto.toBuffer(request.data || "0x"),
+            storage: contract.storage,
+            address,
+            caller: request.from ? normalizeAddress(request.from) : null,
+            origin: request.from ? normalizeAddress(request.from) : null,
+            value: quantity(request.value, new BN(0)),
+            gasPrice: quantity(request.gasPrice, this.gasPrice),
+            block: {number, timestamp: quantity(block.timestamp).toNumber(), gasLimit: this.gasLimit.toNumber()},
+            chainId: this.chainId,
+            readOnly: true
+        });
+        if (!result.success) throw RpcError.private("Execution(" + (result.error || "Reverted") + ")");
+        return result.returnData;
+    }
+
+    /**
+     * Executes a signed private transaction, has the validators sign the new encrypted state and
+     * submits the public state update, like `private_sendTransaction`.
+     */
+    sendPrivateTransaction(raw) {
+        const tx = decodeRawTransaction(raw);
+        if (tx.to === null) throw RpcError.private("BadTransactionType");
+        const wrapper = this._privateContract(tx.to);
+        const latest = wrapper.history[wrapper.history.length - 1];
+        const contract = this._decryptedContract(tx.to, latest);
+        const block = this.block("latest");
+
+        const result = evm.run({
+            code: contract.code,
+            data: tx.data,
+            storage: contract.storage,
+            address: tx.to,
+            caller: tx.from,
+            origin: tx.from,
+            value: tx.value,
+            gasPrice: tx.gasPrice,
+            block: {number: this.blocks.length, timestamp: quantity(block.timestamp).toNumber(), gasLimit: this.gasLimit.toNumber()},
+            chainId: this.chainId
+        });
+        if (!result.success) throw RpcError.private("Execution(" + (result.error || "Reverted") + ")");
+
+        const newState = crypto.encryptDocument(contract.documentKey, encodeState(result.storage));
+        const hash = noncedStateHash(newState, latest.nonce);
+        const signatures = wrapper.validators.map(validator => {
+            const account = this.accounts.get(validator);
+            if (!account) throw RpcError.private("ValidatorAccountUnavailable(" + validator + ")");
+            return crypto.sign(account.secret, hash);
+        });
+
+        const signer = this.accounts.get(wrapper.validators[0]);
+        const setState = WRAPPER_ABI.find(item => item.name === "setState");
+        const data = abi.encodeFunctionCall(setState, [
+            crypto.toHex(newState),
+            signatures.map(sig => String(sig[64] + 27)),
+            signatures.map(sig => crypto.toHex(sig.slice(0, 32))),
+            signatures.map(sig => crypto.toHex(sig.slice(32, 64)))
+        ]);
+        this.sendRawTransaction(transaction.sign(signer.secret, {
+            nonce: this.nonce(wrapper.validators[0]),
+            gasPrice: tx.gasPrice,
+            gas: this.gasLimit,
+            to: tx.to,
+            value: new BN(0),
+            data: crypto.toBuffer(data)
+        }, this.chainId));
+
+        return {
+            transactionHash: tx.hash,
+            contractAddress: tx.to,
+            statusCode: 0
+        };
+    }
+}
+
+function noncedStateHash(state, nonce) {
+    return crypto.keccak256(Buffer.concat([crypto.keccak256(state), new BN(nonce).toArrayLike(Buffer, "be", 32)]));
+}
+
+function wrapperState(wrapper, number) {
+    let entry = null;
+    wrapper.history.forEach(item => {
+        if (item.blockNumber <= number) entry = item;
+    });
+    return entry;
+}
+
+/**
+ * Formats a decoded transaction for JSON-RPC responses.
+ */
+function formatTransaction(tx) {
+    return {
+        hash: tx.hash,
+        nonce: toQuantity(tx.nonce),
+        blockHash: tx.blockHash || null,
+        blockNumber: tx.blockNumber || null,
+        transactionIndex: tx.blockHash ? "0x0" : null,
+        from: tx.from,
+        to: tx.to,
+        value: toQuantity(tx.value),
+        gasPrice: toQuantity(tx.gasPrice),
+        gas: toQuantity(tx.gas),
+        input: crypto.toHex(tx.data),
+        v: toQuantity(tx.v),
+        r: toQuantity(tx.r),
+        s: toQuantity(tx.s),
+        raw: tx.raw
+    };
+}
+
+module.exports = {
+    WRAPPER_ABI,
+    RpcError,
+    MockChain,
+    formatTransaction
+}
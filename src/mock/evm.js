@@ -0,0 +1,331 @@
+/**
+ * @module mock/evm
+ * @ignore
+ */
+
+"use strict";
+
+const BN = require("bn.js");
+
+const crypto = require("../crypto.js");
+
+const TWO256 = new BN(1).ushln(256);
+const MAX_STEPS = 1000000;
+const MAX_MEMORY = 1024 * 1024;
+
+/**
+ * Error class for execution failures that are not a plain REVERT
+ * (invalid jumps, stack errors, unsupported opcodes...).
+ *
+ * @class
+ */
+class EvmError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "EvmError";
+    }
+}
+
+function wrap(x) {
+    return x.umod(TWO256);
+}
+
+function toSigned(x) {
+    return x.fromTwos(256);
+}
+
+function fromSigned(x) {
+    return wrap(x.toTwos(256));
+}
+
+function bool(cond) {
+    return new BN(cond ? 1 : 0);
+}
+
+function word(buf) {
+    return new BN(buf);
+}
+
+function wordToBuffer(x) {
+    return x.toArrayLike(Buffer, "be", 32);
+}
+
+function slotKey(x) {
+    return x.toString(16, 64);
+}
+
+function jumpDests(code) {
+    const dests = new Set();
+    for (let pc = 0; pc < code.length; pc++) {
+        const op = code[pc];
+        if (op === 0x5b) dests.add(pc);
+        else if (op >= 0x60 && op <= 0x7f) pc += op - 0x5f;
+    }
+    return dests;
+}
+
+/**
+ * Runs EVM bytecode in isolation. Only the opcodes a self-contained contract needs are
+ * supported: no message calls, contract creation or gas accounting.
+ *
+ * @param {Object} ctx The execution context
+ * @param {Buffer} ctx.code The bytecode
+ * @param {Buffer} ctx.data The calldata
+ * @param {Map<String, String>} ctx.storage Storage of the contract, 64 char hex slot to 64 char hex value
+ * @param {String} ctx.address Address of the contract
+ * @param {String} ctx.caller The caller
+ * @param {String} ctx.origin The transaction origin
+ * @param {BN} ctx.value Call value
+ * @param {BN} ctx.gasPrice Gas price
+ * @param {Object} ctx.block `number`, `timestamp` and `gasLimit` of the current block
+ * @param {Number} ctx.chainId Chain ID
+ * @returns {Object} `success`, `returnData`, the resulting `storage` and the emitted `logs`
+ */
+function execute(ctx) {
+    const code = ctx.code;
+    const data = ctx.data || Buffer.alloc(0);
+    const storage = new Map(ctx.storage || []);
+    const dests = jumpDests(code);
+    const logs = [];
+    const stack = [];
+    let memory = Buffer.alloc(0);
+    let pc = 0;
+    let steps = 0;
+
+    function pop() {
+        if (stack.length === 0) throw new EvmError("Stack underflow");
+        return stack.pop();
+    }
+
+    function push(x) {
+        if (stack.length >= 1024) throw new EvmError("Stack overflow");
+        stack.push(x);
+    }
+
+    function expand(offset, length) {
+        if (length.isZero()) return;
+        const end = offset.add(length);
+        if (end.gtn(MAX_MEMORY)) throw new EvmError("Out of memory");
+        const size = Math.ceil(end.toNumber() / 32) * 32;
+        if (size > memory.length) {
+            memory = Buffer.concat([memory, Buffer.alloc(size - memory.length)]);
+        }
+    }
+
+    function readMemory(offset, length) {
+        expand(offset, length);
+        if (length.isZero()) return Buffer.alloc(0);
+        return Buffer.from(memory.slice(offset.toNumber(), offset.toNumber() + length.toNumber()));
+    }
+
+    function copyToMemory(source, memOffset, srcOffset, length) {
+        expand(memOffset, length);
+        const len = length.toNumber();
+        const chunk = Buffer.alloc(len);
+        if (srcOffset.ltn(source.length)) {
+            source.copy(chunk, 0, srcOffset.toNumber(), Math.min(source.length, srcOffset.toNumber() + len));
+        }
+        chunk.copy(memory, memOffset.toNumber());
+    }
+
+    function address(val) {
+        return new BN(crypto.toBuffer(val || "0x"));
+    }
+
+    while (pc < code.length) {
+        if (++steps > MAX_STEPS) throw new EvmError("Step limit exceeded");
+        const op = code[pc];
+        let a, b, c;
+
+        if (op >= 0x60 && op <= 0x7f) {
+            const n = op - 0x5f;
+            const bytes = Buffer.alloc(n);
+            code.copy(bytes, 0, pc + 1, pc + 1 + n);
+            push(word(bytes));
+            pc += n + 1;
+            continue;
+        }
+        if (op >= 0x80 && op <= 0x8f) {
+            const n = op - 0x7f;
+            if (stack.length < n) throw new EvmError("Stack underflow");
+            push(stack[stack.length - n]);
+            pc++;
+            continue;
+        }
+        if (op >= 0x90 && op <= 0x9f) {
+            const n = op - 0x8f;
+            if (stack.length < n + 1) throw new EvmError("Stack underflow");
+            const top = stack.length - 1;
+            const tmp = stack[top];
+            stack[top] = stack[top - n];
+            stack[top - n] = tmp;
+            pc++;
+            continue;
+        }
+        if (op >= 0xa0 && op <= 0xa4) {
+            if (ctx.readOnly) throw new EvmError("State modification in read-only call");
+            a = pop(); b = pop();
+            const topics = [];
+            for (let i = 0; i < op - 0xa0; i++) topics.push("0x" + pop().toString(16, 64));
+            logs.push({address: ctx.address, topics, data: crypto.toHex(readMemory(a, b))});
+            pc++;
+            continue;
+        }
+
+        switch (op) {
+            case 0x00:
+                return {success: true, returnData: Buffer.alloc(0), storage, logs};
+            case 0x01: push(wrap(pop().add(pop()))); break;
+            case 0x02: push(wrap(pop().mul(pop()))); break;
+            case 0x03: a = pop(); b = pop(); push(wrap(a.sub(b))); break;
+            case 0x04: a = pop(); b = pop(); push(b.isZero() ? new BN(0) : a.div(b)); break;
+            case 0x05:
+                a = toSigned(pop()); b = toSigned(pop());
+                push(b.isZero() ? new BN(0) : fromSigned(a.div(b)));
+                break;
+            case 0x06: a = pop(); b = pop(); push(b.isZero() ? new BN(0) : a.umod(b)); break;
+            case 0x07:
+                a = toSigned(pop()); b = toSigned(pop());
+                push(b.isZero() ? new BN(0) : fromSigned(a.abs().umod(b.abs()).mul(new BN(a.isNeg() ? -1 : 1))));
+                break;
+            case 0x08: a = pop(); b = pop(); c = pop(); push(c.isZero() ? new BN(0) : a.add(b).umod(c)); break;
+            case 0x09: a = pop(); b = pop(); c = pop(); push(c.isZero() ? new BN(0) : a.mul(b).umod(c)); break;
+            case 0x0a: {
+                let base = pop(), exp = pop(), result = new BN(1);
+                while (!exp.isZero()) {
+                    if (exp.isOdd()) result = wrap(result.mul(base));
+                    base = wrap(base.mul(base));
+                    exp = exp.ushrn(1);
+                }
+                push(result);
+                break;
+            }
+            case 0x0b:
+                a = pop(); b = pop();
+                if (a.ltn(31)) {
+                    const bits = (a.toNumber() + 1) * 8;
+                    const low = b.maskn(bits);
+                    push(low.testn(bits - 1) ? wrap(low.sub(new BN(1).ushln(bits))) : low);
+                }
+                else push(b);
+                break;
+            case 0x10: a = pop(); b = pop(); push(bool(a.lt(b))); break;
+            case 0x11: a = pop(); b = pop(); push(bool(a.gt(b))); break;
+            case 0x12: a = toSigned(pop()); b = toSigned(pop()); push(bool(a.lt(b))); break;
+            case 0x13: a = toSigned(pop()); b = toSigned(pop()); push(bool(a.gt(b))); break;
+            case 0x14: push(bool(pop().eq(pop()))); break;
+            case 0x15: push(bool(pop().isZero())); break;
+            case 0x16: push(pop().and(pop())); break;
+            case 0x17: push(pop().or(pop())); break;
+            case 0x18: push(pop().xor(pop())); break;
+            case 0x19: push(pop().notn(256)); break;
+            case 0x1a:
+                a = pop(); b = pop();
+                push(a.ltn(32) ? new BN(wordToBuffer(b)[a.toNumber()]) : new BN(0));
+                break;
+            case 0x1b: a = pop(); b = pop(); push(a.ltn(256) ? wrap(b.ushln(a.toNumber())) : new BN(0)); break;
+            case 0x1c: a = pop(); b = pop(); push(a.ltn(256) ? b.ushrn(a.toNumber()) : new BN(0)); break;
+            case 0x1d:
+                a = pop(); b = toSigned(pop());
+                if (a.ltn(256)) push(fromSigned(b.isNeg() ? b.sub(new BN(1).ushln(a.toNumber()).subn(1)).div(new BN(1).ushln(a.toNumber())) : b.ushrn(a.toNumber())));
+                else push(b.isNeg() ? TWO256.subn(1) : new BN(0));
+                break;
+            case 0x20: a = pop(); b = pop(); push(word(crypto.keccak256(readMemory(a, b)))); break;
+            case 0x30: push(address(ctx.address)); break;
+            case 0x31: pop(); push(new BN(0)); break;
+            case 0x32: push(address(ctx.origin)); break;
+            case 0x33: push(address(ctx.caller)); break;
+            case 0x34: push(ctx.value || new BN(0)); break;
+            case 0x35: {
+                a = pop();
+                const chunk = Buffer.alloc(32);
+                if (a.ltn(data.length)) data.copy(chunk, 0, a.toNumber(), Math.min(data.length, a.toNumber() + 32));
+                push(word(chunk));
+                break;
+            }
+            case 0x36: push(new BN(data.length)); break;
+            case 0x37: a = pop(); b = pop(); c = pop(); copyToMemory(data, a, b, c); break;
+            case 0x38: push(new BN(code.length)); break;
+            case 0x39: a = pop(); b = pop(); c = pop(); copyToMemory(code, a, b, c); break;
+            case 0x3a: push(ctx.gasPrice || new BN(0)); break;
+            case 0x3b: pop(); push(new BN(0)); break;
+            case 0x3d: push(new BN(0)); break;
+            case 0x3e:
+                a = pop(); b = pop(); c = pop();
+                if (!b.add(c).isZero()) throw new EvmError("Return data out of bounds");
+                break;
+            case 0x40: pop(); push(new BN(0)); break;
+            case 0x41: push(new BN(0)); break;
+            case 0x42: push(new BN(ctx.block.timestamp)); break;
+            case 0x43: push(new BN(ctx.block.number)); break;
+            case 0x44: push(new BN(0)); break;
+            case 0x45: push(new BN(ctx.block.gasLimit)); break;
+            case 0x46: push(new BN(ctx.chainId)); break;
+            case 0x47: push(new BN(0)); break;
+            case 0x48: push(new BN(0)); break;
+            case 0x50: pop(); break;
+            case 0x51: a = pop(); push(word(readMemory(a, new BN(32)))); break;
+            case 0x52: a = pop(); b = pop(); expand(a, new BN(32)); wordToBuffer(b).copy(memory, a.toNumber()); break;
+            case 0x53: a = pop(); b = pop(); expand(a, new BN(1)); memory[a.toNumber()] = b.andln(0xff); break;
+            case 0x54: a = pop(); push(new BN(storage.get(slotKey(a)) || "0", 16)); break;
+            case 0x55:
+                if (ctx.readOnly) throw new EvmError("State modification in read-only call");
+                a = pop(); b = pop();
+                if (b.isZero()) storage.delete(slotKey(a));
+                else storage.set(slotKey(a), b.toString(16, 64));
+                break;
+            case 0x56:
+                a = pop();
+                if (!a.ltn(code.length) || !dests.has(a.toNumber())) throw new EvmError("Bad jump destination");
+                pc = a.toNumber();
+                continue;
+            case 0x57:
+                a = pop(); b = pop();
+                if (!b.isZero()) {
+                    if (!a.ltn(code.length) || !dests.has(a.toNumber())) throw new EvmError("Bad jump destination");
+                    pc = a.toNumber();
+                    continue;
+                }
+                break;
+            case 0x58: push(new BN(pc)); break;
+            case 0x59: push(new BN(memory.length)); break;
+            case 0x5a: push(new BN(ctx.block.gasLimit)); break;
+            case 0x5b: break;
+            case 0x5f: push(new BN(0)); break;
+            case 0xf3:
+                a = pop(); b = pop();
+                return {success: true, returnData: readMemory(a, b), storage, logs};
+            case 0xfd:
+                a = pop(); b = pop();
+                return {success: false, returnData: readMemory(a, b), storage: new Map(ctx.storage || []), logs: []};
+            case 0xfe:
+                throw new EvmError("Invalid opcode");
+            default:
+                throw new EvmError("Unsupported opcode 0x" + op.toString(16));
+        }
+        pc++;
+    }
+    return {success: true, returnData: Buffer.alloc(0), storage, logs};
+}
+
+/**
+ * Same as {@link execute}, but reports execution errors as a failed result instead of throwing.
+ *
+ * @param {Object} ctx The execution context
+ * @returns {Object} `success`, `returnData`, `storage`, `logs` and `error` if any
+ */
+function run(ctx) {
+    try {
+        return execute(ctx);
+    }
+    catch (e) {
+        if (!(e instanceof EvmError)) throw e;
+        return {success: false, returnData: Buffer.alloc(0), storage: new Map(ctx.storage || []), logs: [], error: e.message};
+    }
+}
+
+module.exports = {
+    EvmError,
+    execute,
+    run
+}
@@ -0,0 +1,3 @@
+"use strict";
+
+module.exports = require("./server.js");
\ No newline at end of file
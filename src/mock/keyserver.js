@@ -0,0 +1,237 @@
+/**
+ * @module mock/keyserver
+ * @ignore
+ */
+
+"use strict";
+
+const BN = require("bn.js");
+
+const crypto = require("../crypto.js");
+const utils = require("../utils.js");
+
+/**
+ * Error of a mock key server session, carrying the HTTP status Parity would answer with.
+ * Messages are the ones of Parity's `secret_store::Error`.
+ *
+ * @class
+ */
+class KeyServerError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.status = status;
+        this.name = "KeyServerError";
+    }
+
+    static badSignature() { return new KeyServerError("Bad signature", 400); }
+    static invalidMessage() { return new KeyServerError("Invalid message", 400); }
+    static accessDenied() { return new KeyServerError("Access dened", 403); }
+    static serverKeyNotFound() { return new KeyServerError("Server key with this ID is not found", 404); }
+    static documentKeyNotFound() { return new KeyServerError("Document key with this ID is not found", 404); }
+    static serverKeyAlreadyGenerated() { return new KeyServerError("Server key with this ID is already generated", 500); }
+    static documentKeyAlreadyStored() { return new KeyServerError("Document key with this ID is already stored", 500); }
+    static notEnoughNodes() { return new KeyServerError("Not enough nodes for threshold", 500); }
+    static consensusUnreachable() { return new KeyServerError("Consensus unreachable", 500); }
+}
+
+function normalizeID(id) {
+    const hex = utils.remove0x(id).toLowerCase();
+    if (!/^[0-9a-f]{64}$/.test(hex)) throw KeyServerError.invalidMessage();
+    return hex;
+}
+
+function normalizeNodeID(id) {
+    const hex = utils.remove0x(id).toLowerCase();
+    if (!/^[0-9a-f]{128}$/.test(hex)) throw KeyServerError.invalidMessage();
+    return hex;
+}
+
+/**
+ * In-memory Secret Store cluster. It keeps every server key secret in one place, so
+ * sessions are computed locally, but their results are the same as the ones of a real
+ * cluster: the same encodings, ECIES envelopes and error messages.
+ *
+ * @class
+ */
+class MockKeyServer {
+    /**
+     * @constructor
+     * @param {Array<String>} nodeIDs Public keys of the nodes in the cluster
+     * @param {String} adminPublic Public key of the administrator, allowed to change the nodes set
+     */
+    constructor(nodeIDs, adminPublic) {
+        this.knownNodes = new Set(nodeIDs.map(normalizeNodeID));
+        this.nodes = Array.from(this.knownNodes);
+        this.adminPublic = adminPublic ? normalizeNodeID(adminPublic) : null;
+        this.keys = new Map();
+    }
+
+    /**
+     * Recovers the requester's public key from the signed server key ID.
+     */
+    requester(serverKeyID, signature) {
+        try {
+            return crypto.recover(signature, crypto.toBuffer(normalizeID(serverKeyID)));
+        }
+        catch (e) {
+            throw KeyServerError.badSignature();
+        }
+    }
+
+    key(serverKeyID) {
+        const key = this.keys.get(normalizeID(serverKeyID));
+        if (!key) throw KeyServerError.serverKeyNotFound();
+        if (key.threshold + 1 > this.nodes.length) throw KeyServerError.consensusUnreachable();
+        return key;
+    }
+
+    documentKeyOf(serverKeyID) {
+        const key = this.key(serverKeyID);
+        if (!key.commonPoint) throw KeyServerError.documentKeyNotFound();
+        // M = encrypted_point - y * common_point
+        return crypto.toPoint(key.encryptedPoint).add(crypto.toPoint(key.commonPoint).mul(key.secret).neg());
+    }
+
+    generateServerKey(serverKeyID, signature, threshold) {
+        const id = normalizeID(serverKeyID);
+        const author = this.requester(id, signature);
+        threshold = Number(threshold);
+        if (!Number.isInteger(threshold) || threshold < 0) throw KeyServerError.invalidMessage();
+        if (this.keys.has(id)) throw KeyServerError.serverKeyAlreadyGenerated();
+        if (threshold + 1 > this.nodes.length) throw KeyServerError.notEnoughNodes();
+
+        const secret = crypto.randomScalar();
+        const key = {
+            secret,
+            public: crypto.publicFromSecret(secret),
+            threshold,
+            author: crypto.publicToAddress(author),
+            commonPoint: null,
+            encryptedPoint: null
+        };
+        this.keys.set(id, key);
+        return key.public;
+    }
+
+    storeDocumentKey(serverKeyID, signature, commonPoint, encryptedPoint) {
+        const author = crypto.publicToAddress(this.requester(serverKeyID, signature));
+        const key = this.key(serverKeyID);
+        if (key.author !== author) throw KeyServerError.accessDenied();
+        if (key.commonPoint) throw KeyServerError.documentKeyAlreadyStored();
+        try {
+            crypto.toPoint(commonPoint);
+            crypto.toPoint(encryptedPoint);
+        }
+        catch (e) {
+            throw KeyServerError.invalidMessage();
+        }
+        key.commonPoint = crypto.toBuffer(commonPoint);
+        key.encryptedPoint = crypto.toBuffer(encryptedPoint);
+    }
+
+    generateServerAndDocumentKey(serverKeyID, signature, threshold) {
+        const requester = this.requester(serverKeyID, signature);
+        const serverKey = this.generateServerKey(serverKeyID, signature, threshold);
+        const documentKey = crypto.publicFromSecret(crypto.randomScalar());
+        const encrypted = crypto.encryptSecret(documentKey, serverKey);
+        const key = this.keys.get(normalizeID(serverKeyID));
+        key.commonPoint = encrypted.common_point;
+        key.encryptedPoint = encrypted.encrypted_point;
+        return crypto.eciesEncrypt(requester, documentKey);
+    }
+
+    /**
+     * Document key of a private contract, generated on first use like Parity's private
+     * transaction encryptor does, with threshold 0 and the deployer as author.
+     */
+    contractDocumentKey(serverKeyID, author) {
+        const id = normalizeID(serverKeyID);
+        if (!this.keys.has(id)) {
+            const secret = crypto.randomScalar();
+            const serverKey = crypto.publicFromSecret(secret);
+            const encrypted = crypto.encryptSecret(crypto.publicFromSecret(crypto.randomScalar()), serverKey);
+            this.keys.set(id, {
+                secret,
+                public: serverKey,
+                threshold: 0,
+                author: author || null,
+                commonPoint: encrypted.common_point,
+                encryptedPoint: encrypted.encrypted_point
+            });
+        }
+        return crypto.pointToBuffer(this.documentKeyOf(id));
+    }
+
+    retrieveDocumentKey(serverKeyID, signature) {
+        const requester = this.requester(serverKeyID, signature);
+        const documentKey = crypto.pointToBuffer(this.documentKeyOf(serverKeyID));
+        return crypto.eciesEncrypt(requester, documentKey);
+    }
+
+    shadowRetrieveDocumentKey(serverKeyID, signature) {
+        const requester = this.requester(serverKeyID, signature);
+        const key = this.key(serverKeyID);
+        const documentKey = this.documentKeyOf(serverKeyID);
+
+        // one shadow coefficient per participating node, so that
+        // decrypted_secret + sum(shadows) * common_point = document key
+        const shadows = [];
+        for (let i = 0; i <= key.threshold; i++) shadows.push(crypto.randomScalar());
+        const sum = shadows.reduce((acc, s) => acc.add(s)).umod(crypto.secp256k1.curve.n);
+        const commonPoint = crypto.toPoint(key.commonPoint);
+        const decryptedSecret = documentKey.add(commonPoint.mul(sum).neg());
+
+        return {
+            decrypted_secret: crypto.toHex(crypto.pointToBuffer(decryptedSecret)),
+            common_point: crypto.toHex(key.commonPoint),
+            decrypt_shadows: shadows.map(s => crypto.toHex(crypto.eciesEncrypt(requester, crypto.scalarToBuffer(s))))
+        };
+    }
+
+    signSchnorr(serverKeyID, signature, messageHash) {
+        const requester = this.requester(serverKeyID, signature);
+        const key = this.key(serverKeyID);
+        const hash = crypto.toBuffer(normalizeID(messageHash));
+        const n = crypto.secp256k1.curve.n;
+
+        // c = keccak(message_hash || (k * G).x), s = k - c * y
+        const nonce = crypto.randomScalar();
+        const noncePublic = crypto.publicFromSecret(nonce);
+        const c = new BN(crypto.keccak256(Buffer.concat([hash, noncePublic.slice(0, 32)]))).umod(n);
+        const s = nonce.sub(c.mul(key.secret)).umod(n);
+
+        return crypto.eciesEncrypt(requester, Buffer.concat([crypto.scalarToBuffer(c), crypto.scalarToBuffer(s)]));
+    }
+
+    signEcdsa(serverKeyID, signature, messageHash) {
+        const requester = this.requester(serverKeyID, signature);
+        const key = this.key(serverKeyID);
+        const hash = crypto.toBuffer(normalizeID(messageHash));
+        return crypto.eciesEncrypt(requester, crypto.sign(crypto.scalarToBuffer(key.secret), hash));
+    }
+
+    changeServersSet(newSet, signatureOldSet, signatureNewSet) {
+        if (!Array.isArray(newSet)) throw KeyServerError.invalidMessage();
+        const newNodes = Array.from(new Set(newSet.map(normalizeNodeID)));
+        const oldNodes = Array.from(new Set(this.nodes.concat(newNodes)));
+        if (!this.adminPublic) throw KeyServerError.accessDenied();
+
+        let oldSigner, newSigner;
+        try {
+            oldSigner = crypto.recover(signatureOldSet, crypto.serversSetHash(oldNodes)).toString("hex");
+            newSigner = crypto.recover(signatureNewSet, crypto.serversSetHash(newNodes)).toString("hex");
+        }
+        catch (e) {
+            throw KeyServerError.badSignature();
+        }
+        if (oldSigner !== this.adminPublic || newSigner !== this.adminPublic) throw KeyServerError.accessDenied();
+        if (newNodes.some(node => !this.knownNodes.has(node))) throw KeyServerError.consensusUnreachable();
+
+        this.nodes = newNodes;
+    }
+}
+
+module.exports = {
+    KeyServerError,
+    MockKeyServer
+}
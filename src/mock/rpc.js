@@ -0,0 +1,179 @@
+/**
+ * @module mock/rpc
+ * @ignore
+ */
+
+"use strict";
+
+const BN = require("bn.js");
+
+const crypto = require("../crypto.js");
+const {toQuantity} = require("../transaction.js");
+const {RpcError, formatTransaction} = require("./chain.js");
+
+function params(list, count) {
+    if (!Array.isArray(list) || list.length < count) {
+        throw RpcError.invalidParams("expected " + count + " parameters");
+    }
+    return list;
+}
+
+function decryptWith(account, encrypted) {
+    try {
+        return crypto.eciesDecrypt(account.secret, encrypted);
+    }
+    catch (e) {
+        throw RpcError.encryption(e.message);
+    }
+}
+
+/**
+ * Builds the JSON-RPC method table of a mock node.
+ *
+ * @param {MockChain} chain The chain the node serves
+ * @returns {Object} Method name to handler, taking the params array
+ */
+function createMethods(chain) {
+    function block(tag, full) {
+        let found;
+        try {
+            found = chain.block(tag);
+        }
+        catch (e) {
+            return null;
+        }
+        return formatBlock(found, full);
+    }
+
+    function formatBlock(found, full) {
+        if (!found) return null;
+        return Object.assign({}, found, {
+            transactions: full ? found.transactions.map(hash => formatTransaction(chain.transactions.get(hash))) : found.transactions
+        });
+    }
+
+    return {
+        web3_clientVersion: () => "Parity-Ethereum//mock",
+        rpc_modules: () => ({eth: "1.0", net: "1.0", personal: "1.0", parity: "1.0", private: "1.0", rpc: "1.0", secretstore: "1.0", web3: "1.0"}),
+        net_version: () => String(chain.chainId),
+        eth_chainId: () => toQuantity(chain.chainId),
+        eth_blockNumber: () => toQuantity(chain.blocks.length - 1),
+        eth_gasPrice: () => toQuantity(chain.gasPrice),
+        eth_accounts: () => Array.from(chain.accounts.keys()),
+        personal_listAccounts: () => Array.from(chain.accounts.keys()),
+        eth_getBalance: () => toQuantity(new BN(10).pow(new BN(24))),
+        eth_getTransactionCount: p => toQuantity(chain.nonce(params(p, 1)[0])),
+        eth_getCode: p => crypto.toHex(chain.code(params(p, 1)[0])),
+        eth_getBlockByNumber: p => block(params(p, 1)[0], p[1]),
+        eth_getBlockByHash: p => formatBlock(chain.blockByHash(params(p, 1)[0]), p[1]),
+        eth_getTransactionByHash: p => {
+            const tx = chain.transactions.get(params(p, 1)[0].toLowerCase());
+            return tx ? formatTransaction(tx) : null;
+        },
+        eth_getTransactionReceipt: p => chain.receipts.get(params(p, 1)[0].toLowerCase()) || null,
+        eth_sendRawTransaction: p => chain.sendRawTransaction(params(p, 1)[0]),
+        eth_call: p => crypto.toHex(chain.call(params(p, 1)[0], p[1])),
+        eth_estimateGas: () => toQuantity(chain.gasLimit),
+        eth_getLogs: p => chain.getLogs(p && p[0]),
+
+        personal_signTransaction: p => chain.signTransaction(params(p, 2)[0], p[1]),
+
+        parity_composeTransaction: p => chain.composeTransaction(params(p, 1)[0]),
+
+        secretstore_signRawHash: p => {
+            const [address, password, hash] = params(p, 3);
+            const account = chain.unlock(address, password, "Could not sign raw hash.");
+            return crypto.toHex(crypto.sign(account.secret, hash));
+        },
+        secretstore_generateDocumentKey: p => {
+            const [address, password, serverKey] = params(p, 3);
+            const account = chain.unlock(address, password, "Could not decrypt key.");
+            const documentKey = crypto.publicFromSecret(crypto.randomScalar());
+            let encrypted;
+            try {
+                encrypted = crypto.encryptSecret(documentKey, serverKey);
+            }
+            catch (e) {
+                throw RpcError.encryption(e.message);
+            }
+            return {
+                common_point: crypto.toHex(encrypted.common_point),
+                encrypted_point: crypto.toHex(encrypted.encrypted_point),
+                encrypted_key: crypto.toHex(crypto.eciesEncrypt(account.public, documentKey))
+            };
+        },
+        secretstore_encrypt: p => {
+            const [address, password, key, data] = params(p, 4);
+            const account = chain.unlock(address, password, "Could not decrypt key.");
+            try {
+                return crypto.toHex(crypto.encryptDocument(decryptWith(account, key), data));
+            }
+            catch (e) {
+                throw e instanceof RpcError ? e : RpcError.encryption(e.message);
+            }
+        },
+        secretstore_decrypt: p => {
+            const [address, password, key, data] = params(p, 4);
+            const account = chain.unlock(address, password, "Could not decrypt key.");
+            try {
+                return crypto.toHex(crypto.decryptDocument(decryptWith(account, key), data));
+            }
+            catch (e) {
+                throw e instanceof RpcError ? e : RpcError.encryption(e.message);
+            }
+        },
+        secretstore_shadowDecrypt: p => {
+            const [address, password, decryptedSecret, commonPoint, decryptShadows, data] = params(p, 6);
+            const account = chain.unlock(address, password, "Could not decrypt key.");
+            try {
+                const shadows = decryptShadows.map(shadow => decryptWith(account, shadow));
+                const documentKey = crypto.decryptWithShadowCoefficients(decryptedSecret, commonPoint, shadows);
+                return crypto.toHex(crypto.decryptDocument(documentKey, data));
+            }
+            catch (e) {
+                throw e instanceof RpcError ? e : RpcError.encryption(e.message);
+            }
+        },
+        secretstore_serversSetHash: p => {
+            const nodes = params(p, 1)[0];
+            if (!Array.isArray(nodes)) throw RpcError.invalidParams("expected an array of node IDs");
+            return crypto.toHex(crypto.serversSetHash(nodes));
+        },
+
+        private_composeDeploymentTransaction: p => chain.composeDeploymentTransaction(...params(p, 3)),
+        private_call: p => crypto.toHex(chain.privateCall(...params(p, 2))),
+        private_sendTransaction: p => chain.sendPrivateTransaction(params(p, 1)[0]),
+        private_contractKey: p => chain.contractKey(params(p, 1)[0])
+    };
+}
+
+/**
+ * Answers a single JSON-RPC request object.
+ *
+ * @param {Object} methods The method table
+ * @param {Object} request The request
+ * @returns {Object} The response
+ */
+function handle(methods, request) {
+    const response = {jsonrpc: "2.0", id: request && request.id !== undefined ? request.id : null};
+    if (!request || typeof request.method !== "string") {
+        response.error = {code: -32600, message: "Invalid request"};
+        return response;
+    }
+    const method = methods[request.method];
+    try {
+        if (!method) throw RpcError.methodNotFound();
+        response.result = method(request.params || []);
+    }
+    catch (e) {
+        const error = e instanceof RpcError ? e : new RpcError(-32603, "Internal error", e.message);
+        response.error = {code: error.code, message: error.message};
+        if (error.data !== undefined) response.error.data = error.data;
+    }
+    return response;
+}
+
+module.exports = {
+    createMethods,
+    handle
+}
@@ -0,0 +1,219 @@
+/** @module mock */
+"use strict";
+
+const http = require("http");
+
+const crypto = require("../crypto.js");
+const utils = require("../utils.js");
+const local = require("../secretstore/local.js");
+const {MockChain} = require("./chain.js");
+const {KeyServerError, MockKeyServer} = require("./keyserver.js");
+const rpc = require("./rpc.js");
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on("data", chunk => chunks.push(chunk));
+        req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+        req.on("error", reject);
+    });
+}
+
+function listen(server, host, port) {
+    return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => {
+            server.removeListener("error", reject);
+            resolve("http://" + host + ":" + server.address().port);
+        });
+    });
+}
+
+function close(server) {
+    return new Promise(resolve => {
+        server.close(() => resolve());
+        if (server.closeAllConnections) server.closeAllConnections();
+    });
+}
+
+/**
+ * Dispatches a Secret Store HTTP request the way Parity's `http_listener` parses it.
+ *
+ * @param {MockKeyServer} keyServer The key server
+ * @param {String} method HTTP method
+ * @param {String} path The request path
+ * @param {String} body The request body
+ * @returns {*} The value to answer with, serialized as JSON, or undefined for an empty body
+ */
+function route(keyServer, method, path, body) {
+    const parts = path.split("?")[0].split("/").filter(part => part.length > 0).map(decodeURIComponent);
+    const prefix = ["shadow", "schnorr", "ecdsa", "admin"].includes(parts[0]) ? parts.shift() : null;
+    const hex = val => crypto.toHex(val);
+
+    if (method === "POST" && prefix === "admin" && parts[0] === "servers_set_change" && parts.length === 3) {
+        let nodes;
+        try {
+            nodes = JSON.parse(body);
+        }
+        catch (e) {
+            throw KeyServerError.invalidMessage();
+        }
+        keyServer.changeServersSet(nodes, parts[1], parts[2]);
+        return undefined;
+    }
+    if (method === "POST" && prefix === "shadow" && parts.length === 3) {
+        return hex(keyServer.generateServerKey(parts[0], parts[1], parts[2]));
+    }
+    if (method === "POST" && prefix === "shadow" && parts.length === 4) {
+        keyServer.storeDocumentKey(parts[0], parts[1], parts[2], parts[3]);
+        return undefined;
+    }
+    if (method === "POST" && prefix === null && parts.length === 3) {
+        return hex(keyServer.generateServerAndDocumentKey(parts[0], parts[1], parts[2]));
+    }
+    if (method === "GET" && prefix === "shadow" && parts.length === 2) {
+        return keyServer.shadowRetrieveDocumentKey(parts[0], parts[1]);
+    }
+    if (method === "GET" && prefix === null && parts.length === 2) {
+        return hex(keyServer.retrieveDocumentKey(parts[0], parts[1]));
+    }
+    if (method === "GET" && prefix === "schnorr" && parts.length === 3) {
+        return hex(keyServer.signSchnorr(parts[0], parts[1], parts[2]));
+    }
+    if (method === "GET" && prefix === "ecdsa" && parts.length === 3) {
+        return hex(keyServer.signEcdsa(parts[0], parts[1], parts[2]));
+    }
+    throw new KeyServerError("Unknown request", 400);
+}
+
+/**
+ * Decrypts the key of an account given as `{privateKey, password}` or `{keystore, password}`.
+ */
+function accountSecret(account) {
+    if (account.privateKey) return utils.add0x(utils.remove0x(account.privateKey));
+    return local.decryptKeystore(account.keystore, account.password);
+}
+
+/**
+ * In-process stand-in for a cluster of Secret Store enabled Parity nodes, for tests that
+ * cannot run real nodes. It serves the Secret Store HTTP session API on every `ssPorts` entry
+ * and the `secretstore_*`, `private_*`, `parity_composeTransaction` and basic `eth_*`
+ * JSON-RPC methods on every `rpcPorts` entry. All endpoints share one instamining chain and
+ * one key store, keys are really generated and documents really encrypted.
+ *
+ * @memberof module:mock
+ * @class
+ */
+class MockSecretStore {
+    /**
+     * @constructor
+     * @param {Object} options The options
+     * @param {Array<Object>} options.accounts Accounts of the nodes, as `{privateKey, password}` or `{keystore, password}`
+     * @param {Array<String>} options.nodes Secrets of the key server nodes. Default is the secrets of `accounts`
+     * @param {String} options.adminPublic Public key allowed to run nodes set change sessions. Default is none
+     * @param {Array<Number>} options.rpcPorts Ports of the JSON-RPC endpoints. Default is [0], a random port
+     * @param {Array<Number>} options.ssPorts Ports of the Secret Store HTTP endpoints. Default is [0], a random port
+     * @param {String} options.host Interface to listen on. Default is "127.0.0.1"
+     * @param {Number} options.chainId Chain ID of the mock chain. Default is 17, same as Parity's dev chain
+     */
+    constructor(options) {
+        options = options || {};
+        const secrets = (options.accounts || []).map(accountSecret);
+        const nodes = options.nodes || secrets;
+        if (nodes.length === 0) {
+            throw new Error("At least one key server node or account is needed");
+        }
+
+        this.host = options.host || "127.0.0.1";
+        this.rpcPorts = options.rpcPorts || [0];
+        this.ssPorts = options.ssPorts || [0];
+        this.keyServer = new MockKeyServer(nodes.map(secret => crypto.toHex(crypto.publicFromSecret(secret))), options.adminPublic);
+        this.chain = new MockChain(this.keyServer, {chainId: options.chainId});
+        (options.accounts || []).forEach((account, i) => this.chain.addAccount(secrets[i], account.password));
+        this.methods = rpc.createMethods(this.chain);
+        this.servers = [];
+        this.rpcUrls = [];
+        this.ssUrls = [];
+    }
+
+    /**
+     * Node IDs (public keys) of the key servers currently in the cluster.
+     *
+     * @returns {Array<String>} The node IDs
+     */
+    get nodeIDs() {
+        return this.keyServer.nodes.map(node => "0x" + node);
+    }
+
+    _handleRpc(req, res) {
+        readBody(req).then(body => {
+            let payload;
+            try {
+                payload = JSON.parse(body);
+            }
+            catch (e) {
+                res.writeHead(200, {"Content-Type": "application/json"});
+                res.end(JSON.stringify({jsonrpc: "2.0", id: null, error: {code: -32700, message: "Parse error"}}));
+                return;
+            }
+            const response = Array.isArray(payload)
+                ? payload.map(request => rpc.handle(this.methods, request))
+                : rpc.handle(this.methods, payload);
+            res.writeHead(200, {"Content-Type": "application/json"});
+            res.end(JSON.stringify(response));
+        });
+    }
+
+    _handleSS(req, res) {
+        readBody(req).then(body => {
+            let status = 200;
+            let result;
+            try {
+                result = route(this.keyServer, req.method, req.url, body);
+            }
+            catch (e) {
+                if (!(e instanceof KeyServerError)) e = new KeyServerError("Internal error: " + e.message, 500);
+                status = e.status;
+                result = "\"" + e.message + "\"";
+            }
+            res.writeHead(status, {"Content-Type": "application/json"});
+            res.end(result === undefined ? "" : JSON.stringify(result));
+        });
+    }
+
+    /**
+     * Starts listening on all configured ports.
+     *
+     * @returns {Promise<Object>} The `rpc` and `ss` endpoint URLs
+     */
+    async start() {
+        for (const port of this.rpcPorts) {
+            const server = http.createServer((req, res) => this._handleRpc(req, res));
+            this.servers.push(server);
+            this.rpcUrls.push(await listen(server, this.host, port));
+        }
+        for (const port of this.ssPorts) {
+            const server = http.createServer((req, res) => this._handleSS(req, res));
+            this.servers.push(server);
+            this.ssUrls.push(await listen(server, this.host, port));
+        }
+        return {rpc: this.rpcUrls, ss: this.ssUrls};
+    }
+
+    /**
+     * Stops all endpoints.
+     *
+     * @returns {Promise} Resolves when every server is closed
+     */
+    async stop() {
+        const servers = this.servers;
+        this.servers = [];
+        this.rpcUrls = [];
+        this.ssUrls = [];
+        await Promise.all(servers.map(close));
+    }
+}
+
+module.exports = {
+    MockSecretStore
+}
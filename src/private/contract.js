@@ -0,0 +1,240 @@
+/** @module private/contract */
+"use strict";
+
+const abiCoder = require("web3-eth-abi");
+
+const rpc = require("../rpc.js");
+const utils = require("../utils.js");
+const privateApi = require("./private.js");
+const { PrivateTransactionTracker } = require("./tracker.js");
+const history = require("./history.js");
+const { RpcSigner, isSigner } = require("../signer.js");
+
+/**
+ * A private contract with the interface of `web3.eth.Contract`: `methods.foo(args).call()` reads the private
+ * state through `private_call` and decodes the result, `methods.foo(args).send({from})` composes, signs
+ * and submits a private transaction through `private_sendTransaction`, `methods.foo(args).track(options)` also follows
+ * it to its mined public state update with a {@link module:private/tracker.PrivateTransactionTracker PrivateTransactionTracker}.
+ *
+ *     const contract = new PrivateContract(web3, abi, address, {from: account, pwd: password});
+ *     await contract.methods.setX("0x42").send();
+ *     const x = await contract.methods.x().call();
+ *     const before = await contract.methods.x().call({block: 1234});
+ *     const series = await contract.methods.x().timeSeries({fromBlock: 1234, toBlock: "latest"});
+ *
+ * @memberof module:private/contract
+ * @class
+ */
+class PrivateContract {
+    /**
+     * @constructor
+     * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
+     * @param {Array<Object>} abi The JSON interface of the private contract
+     * @param {String} address Address of the private contract
+     * @param {Object} options Defaults of every call and transaction
+     * @param {String} options.from Sender of calls and transactions
+     * @param {module:signer.Signer} options.signer Signer of transactions. Default is the node account `from`, unlocked with `pwd`
+     * @param {String} options.pwd Password of the `from` account, when no signer is given
+     * @param {String} options.gas Gas limit of transactions
+     * @param {String} options.gasPrice Gas price of transactions
+     * @param {Boolean|module:logger.Logger} options.verbose Whether to log errors, or the logger to use
+     */
+    constructor(web3, abi, address, options={}) {
+        if (!Array.isArray(abi)) throw new TypeError("The contract ABI must be an array");
+        this.web3 = web3;
+        this.abi = abi;
+        this.address = address;
+        this.options = Object.assign({verbose: true}, options);
+        this.methods = {};
+        abi.filter(item => item.type === "function").forEach(item => {
+            const signature = item.name + "(" + item.inputs.map(input => input.type).join(",") + ")";
+            const method = (...args) => this._method(item, args);
+            if (!this.methods[item.name]) this.methods[item.name] = method;
+            this.methods[signature] = method;
+            this.methods[abiCoder.encodeFunctionSignature(item)] = method;
+        });
+    }
+
+    /**
+     * @returns {Object} The method object: `encodeABI()`, `call(options)`, `send(options)`, `track(options)`,
+     * `timeSeries(query, options)` and `diff(query, options)`
+     * @ignore
+     */
+    _method(item, args) {
+        if (args.length !== item.inputs.length) {
+            throw new Error("Invalid number of parameters for \"" + item.name + "\". Got " + args.length + " expected " + item.inputs.length + "!");
+        }
+        const data = abiCoder.encodeFunctionCall(item, args);
+        return {
+            encodeABI: () => data,
+            call: (options) => this._call(item, data, options),
+            send: (options) => this._send(data, options),
+            track: (options) => this._track(data, options),
+            timeSeries: (query, options) => this._history("timeSeries", item, data, query, options),
+            diff: (query, options) => this._history("diff", item, data, query, options)
+        };
+    }
+
+    /**
+     * Reads the private state, at `block` if given. The nonce of `from` is fetched if not given.
+     *
+     * @ignore
+     */
+    async _call(item, data, {from=this.options.from, nonce, gas, gasPrice, block="latest", ...options}={}) {
+        const verbose = this.options.verbose;
+        const tx = {from, to: this.address, data};
+        if (gas !== undefined) tx.gas = gas;
+        if (gasPrice !== undefined) tx.gasPrice = gasPrice;
+        if (nonce === undefined && from) {
+            nonce = await rpc.send(this.web3, 'eth_getTransactionCount', [from, utils.toBlockTag(block)], verbose, options);
+        }
+        if (nonce !== undefined) tx.nonce = nonce;
+        const result = await privateApi.call(this.web3, tx, verbose, Object.assign({}, options, {block}));
+        return decodeOutputs(item.outputs || [], result);
+    }
+
+    /**
+     * Reads the private state over a block range with {@link module:private/history.timeSeries timeSeries},
+     * or compares it between two blocks with {@link module:private/history.diff diff}, decoding the results.
+     *
+     * @ignore
+     */
+    _history(name, item, data, {from=this.options.from, ...query}={}, options={}) {
+        const tx = {to: this.address, data};
+        if (from) tx.from = from;
+        query = Object.assign({}, query, {decode: result => decodeOutputs(item.outputs || [], result)});
+        return history[name](this.web3, tx, query, this.options.verbose, options);
+    }
+
+    /**
+     * Composes, signs and submits a private transaction.
+     *
+     * @ignore
+     */
+    async _send(data, options={}) {
+        const {raw, callOptions} = this._sign(data, options);
+        return privateApi.send(this.web3, await raw, this.options.verbose, callOptions);
+    }
+
+    /**
+     * Composes, signs and submits a private transaction, and tracks it with a
+     * {@link module:private/tracker.PrivateTransactionTracker PrivateTransactionTracker}.
+     *
+     * @ignore
+     */
+    _track(data, {confirmations, pollInterval, waitTimeout, ...options}={}) {
+        let raw, callOptions;
+        try {
+            ({raw, callOptions} = this._sign(data, options));
+        }
+        catch (e) {
+            raw = Promise.reject(e);
+            callOptions = {};
+        }
+        const trackOptions = Object.assign({confirmations, pollInterval, waitTimeout}, callOptions);
+        Object.keys(trackOptions).filter(name => trackOptions[name] === undefined).forEach(name => delete trackOptions[name]);
+        return new PrivateTransactionTracker(this.web3, raw, this.options.verbose, trackOptions);
+    }
+
+    /**
+     * @returns {Object} The promise of the `raw` signed transaction, and the remaining `callOptions`
+     * @ignore
+     */
+    _sign(data, {from=this.options.from, signer=this.options.signer, pwd=this.options.pwd,
+        gas=this.options.gas, gasPrice=this.options.gasPrice, value, nonce, ...callOptions}={}) {
+        const verbose = this.options.verbose;
+        if (!signer) {
+            if (!from) throw new TypeError("Either a signer or the from account is required");
+            signer = new RpcSigner(this.web3, from, pwd, verbose, callOptions);
+        }
+        if (!isSigner(signer)) throw new TypeError("Not a signer: " + signer);
+        const tx = {to: this.address, data};
+        Object.entries({from, gas, gasPrice, value, nonce})
+            .filter(([, val]) => val !== undefined)
+            .forEach(([name, val]) => { tx[name] = val; });
+        return {raw: privateApi.signTransaction(this.web3, signer, tx, verbose, callOptions), callOptions};
+    }
+}
+
+/**
+ * Deploys a private contract in one call: signs the deployment transaction, has it composed into the public
+ * wrapper deployment, signs and broadcasts the wrapper, and waits for it to be mined.
+ *
+ * @memberof module:private/contract
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
+ * @param {Object} deployment
+ * @param {Array<Object>} deployment.abi The JSON interface of the private contract
+ * @param {String} deployment.bytecode The contract bytecode
+ * @param {Array} deployment.args Arguments of the constructor. Default is none
+ * @param {Array<String>} deployment.validators Addresses of the private validators
+ * @param {String} deployment.from Deployer account, when no signer is given
+ * @param {module:signer.Signer} deployment.signer Signer of the deployer. Default is the node account `from`, unlocked with `pwd`
+ * @param {String} deployment.pwd Password of the `from` account, when no signer is given
+ * @param {String} deployment.gas Gas limit of the private deployment transaction
+ * @param {String} deployment.gasPrice Gas price of both transactions. Default is "0x0"
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options of every RPC call, and `pollInterval` and `waitTimeout` of {@link module:private.waitForReceipt waitForReceipt}
+ * @returns {Promise<Object>} The `contract` handle, a {@link module:private/contract.PrivateContract PrivateContract}, its `address`,
+ * and the artifacts: the raw signed private `deploymentTransaction`, the `composure` returned by `composeDeploymentTx`,
+ * the raw signed `wrapperTransaction`, its `transactionHash` and mined `receipt`
+ */
+async function deployPrivateContract(web3, {abi, bytecode, args=[], validators, from, signer, pwd, gas, gasPrice="0x0"},
+    verbose=true, options={}) {
+    if (!Array.isArray(abi)) throw new TypeError("The contract ABI must be an array");
+    if (!bytecode) throw new TypeError("The contract bytecode is required");
+    if (!Array.isArray(validators) || validators.length === 0) throw new TypeError("At least one validator is required");
+    if (!signer) {
+        if (!from) throw new TypeError("Either a signer or the from account is required");
+        signer = new RpcSigner(web3, from, pwd, verbose, options);
+    }
+    if (!isSigner(signer)) throw new TypeError("Not a signer: " + signer);
+    const {pollInterval, waitTimeout, ...callOptions} = options;
+
+    const data = bytecode.replace(/^(0x)?/, "0x") + encodeConstructorArgs(abi, args);
+    const tx = {to: null, data, gasPrice};
+    if (from) tx.from = from;
+    if (gas !== undefined) tx.gas = gas;
+    const deploymentTransaction = await privateApi.signTransaction(web3, signer, tx, verbose, callOptions);
+    const composure = await privateApi.composeDeploymentTx(web3, deploymentTransaction, validators, gasPrice, verbose, callOptions);
+    const wrapperTransaction = await privateApi.signTransaction(web3, signer, composure.transaction, verbose, callOptions);
+    const transactionHash = await rpc.send(web3, 'eth_sendRawTransaction', [wrapperTransaction], verbose, callOptions);
+    const receipt = await privateApi.waitForReceipt(web3, transactionHash, verbose, options);
+    if (receipt.status !== undefined && receipt.status !== null && Number(receipt.status) === 0) {
+        const error = new Error("The private contract deployment failed in transaction " + transactionHash);
+        error.receipt = receipt;
+        throw error;
+    }
+
+    const address = composure.receipt.contractAddress;
+    const contract = new PrivateContract(web3, abi, address, {from, signer, pwd, gasPrice, verbose});
+    return {contract, address, deploymentTransaction, composure, wrapperTransaction, transactionHash, receipt};
+}
+
+/**
+ * @returns {String} The ABI encoded constructor arguments, without "0x"
+ * @ignore
+ */
+function encodeConstructorArgs(abi, args) {
+    const constructor = abi.find(item => item.type === "constructor");
+    const inputs = constructor ? constructor.inputs : [];
+    if (args.length !== inputs.length) {
+        throw new Error("Invalid number of parameters for the constructor. Got " + args.length + " expected " + inputs.length + "!");
+    }
+    return inputs.length ? abiCoder.encodeParameters(inputs, args).slice(2) : "";
+}
+
+/**
+ * Decodes the return data like web3 does: nothing, the single value, or a result object of all values.
+ *
+ * @ignore
+ */
+function decodeOutputs(outputs, data) {
+    if (outputs.length === 0) return null;
+    const decoded = abiCoder.decodeParameters(outputs, data);
+    return outputs.length === 1 ? decoded[0] : decoded;
+}
+
+module.exports = {
+    PrivateContract,
+    deployPrivateContract
+}
@@ -0,0 +1,141 @@
+/** @module private/history */
+"use strict";
+
+const privateApi = require("./private.js");
+const wrapper = require("./wrapper.js");
+
+/**
+ * Default maximum number of private calls of {@link module:private/history.timeSeries timeSeries}.
+ *
+ * @memberof module:private/history
+ * @constant
+ */
+const MAX_CALLS = 1000;
+
+/**
+ * Runs a private call at every block of a range, to follow how the private state evolved. Blocks before the
+ * deployment of the contract are skipped, see {@link module:private/wrapper.getDeploymentBlock getDeploymentBlock}.
+ * Series of more than `maxCalls` calls are rejected with a `RangeError`.
+ *
+ * @memberof module:private/history
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
+ * @param {Object} tx The transaction object of the call, see {@link module:private.call call}
+ * @param {Object} query
+ * @param {Number|String} query.fromBlock First block of the range. Default is the deployment block of the contract
+ * @param {Number|String} query.toBlock Last block of the range, always part of the series. Default is "latest"
+ * @param {Number} query.step Blocks between two calls. Default is 1
+ * @param {Number} query.maxCalls Maximum number of calls. Default is {@link module:private/history.MAX_CALLS MAX_CALLS}
+ * @param {Function} query.decode Decodes the hex-encoded result of the call. Default keeps it as is
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
+ * @returns {Promise<Array<Object>>} The `blockNumber` and the decoded `value` of every call, in block order
+ */
+async function timeSeries(web3, tx, {fromBlock, toBlock="latest", step=1, maxCalls=MAX_CALLS, decode=identity}={}, verbose=true, options={}) {
+    if (!Number.isInteger(step) || step < 1) throw new TypeError("The step must be a positive integer");
+    const [deployedAt, requested, last] = await Promise.all([
+        wrapper.getDeploymentBlock(web3, tx.to, verbose, options),
+        fromBlock === undefined ? 0 : privateApi.blockNumber(web3, fromBlock, verbose, options),
+        privateApi.blockNumber(web3, toBlock, verbose, options)
+    ]);
+    if (deployedAt > last) throw new RangeError("The contract was deployed in block " + deployedAt + ", after block " + last);
+    const first = Math.max(requested, deployedAt);
+    if (first > last) throw new RangeError("Block " + first + " is after block " + last);
+    if (Math.ceil((last - first) / step) + 1 > maxCalls) {
+        throw new RangeError("Blocks " + first + " to " + last + " every " + step + " are more than " + maxCalls + " calls, please narrow the range or raise the step");
+    }
+
+    const blocks = [];
+    for (let number = first; number < last; number += step) blocks.push(number);
+    blocks.push(last);
+
+    const series = [];
+    for (const number of blocks) {
+        const result = await privateApi.call(web3, tx, verbose, Object.assign({}, options, {block: number}));
+        series.push({blockNumber: number, value: decode(result)});
+    }
+    return series;
+}
+
+/**
+ * Compares the results of a private call at two blocks.
+ *
+ * @memberof module:private/history
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
+ * @param {Object} tx The transaction object of the call, see {@link module:private.call call}
+ * @param {Object} query
+ * @param {Number|String} query.fromBlock The block to compare from
+ * @param {Number|String} query.toBlock The block to compare to. Default is "latest"
+ * @param {Function} query.decode Decodes the hex-encoded result of the call. Default keeps it as is
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
+ * @returns {Promise<Object>} The `blockNumber` and `value` of both calls `from` and `to`, whether the value `changed`,
+ * and the `changes`, see {@link module:private/history.compare compare}
+ */
+async function diff(web3, tx, {fromBlock, toBlock="latest", decode=identity}={}, verbose=true, options={}) {
+    if (fromBlock === undefined) throw new TypeError("The block to compare from is required");
+    const [from, to] = await Promise.all([fromBlock, toBlock].map(async block => {
+        const blockNumber = await privateApi.blockNumber(web3, block, verbose, options);
+        const result = await privateApi.call(web3, tx, verbose, Object.assign({}, options, {block: blockNumber}));
+        return {blockNumber, value: decode(result)};
+    }));
+    const changes = compare(from.value, to.value);
+    return {from, to, changed: changes.length > 0, changes};
+}
+
+/**
+ * Lists the differences between two decoded values. Results of several values, like the ones web3 decodes,
+ * are compared value by value, by name when the values are named.
+ *
+ * @memberof module:private/history
+ * @param {*} before The value before
+ * @param {*} after The value after
+ * @returns {Array<Object>} The `key` (null for single values), `from` and `to` of every value that changed
+ */
+function compare(before, after) {
+    if (!isResult(before) || !isResult(after)) {
+        return same(before, after) ? [] : [{key: null, from: before, to: after}];
+    }
+    const keys = Array.from(new Set(resultKeys(before).concat(resultKeys(after))));
+    return keys
+        .filter(key => !same(before[key], after[key]))
+        .map(key => ({key, from: before[key], to: after[key]}));
+}
+
+/**
+ * @returns {Boolean} Whether the value is a result of several values
+ * @ignore
+ */
+function isResult(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value) && !Buffer.isBuffer(value);
+}
+
+/**
+ * @returns {Array<String>} The names of the values of a result, or their indices when they have no names
+ * @ignore
+ */
+function resultKeys(result) {
+    const keys = Object.keys(result).filter(key => key !== "__length__");
+    const named = keys.filter(key => !/^\d+$/.test(key));
+    return named.length > 0 ? named : keys;
+}
+
+/**
+ * @ignore
+ */
+function same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * @ignore
+ */
+function identity(value) {
+    return value;
+}
+
+module.exports = {
+    MAX_CALLS,
+    timeSeries,
+    diff,
+    compare
+}
@@ -1,3 +1,8 @@
 "use strict";
 
-module.exports = require("./private.js");
\ No newline at end of file
+module.exports = require("./private.js");
+module.exports.contract = require("./contract.js");
+module.exports.tracker = require("./tracker.js");
+module.exports.wrapper = require("./wrapper.js");
+module.exports.state = require("./state.js");
+module.exports.history = require("./history.js");
@@ -4,7 +4,11 @@
 
 "use strict";
 
+const rpc = require("../rpc.js");
+const { TimeoutError, sleep, getDefaults } = require("../call.js");
+const logger = require("../logger.js");
 const utils = require("../utils.js");
+const { isSigner } = require("../signer.js");
 
 /**
  * Composes a regular public transaction with the missing fields filled in. Delegates to 
@@ -12,31 +16,14 @@ const utils = require("../utils.js");
  * This method is not part of the official {@link https://wiki.parity.io/JSONRPC-private-module `Parity private API`}, just here for convenience.
  * 
  * @memberof module:private
- * @param {Object} web3 The web3 instance
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
  * @param {Object} tx The transaction object, which can be partially incomplete
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
  * @returns {Promise<Object>} The complete transaction object, missing fields filled in by defaults
  */
-function composePublicTx(web3, tx, verbose=true) {
-    return new Promise((resolve, reject) => {
-        web3.currentProvider.send({
-            jsonrpc: '2.0',
-            method: 'parity_composeTransaction',
-            params: [tx],
-            id: 1
-        }, (e, r) => {
-            if (e) {
-                if (verbose) utils.logError(e);
-                reject(e);
-            }
-            else if (r.error !== undefined) {
-                if (verbose) utils.logError(r.error);
-                reject(r.error);
-            }
-            else {
-                resolve(r.result);
-            }
-        });
-    });
+function composePublicTx(web3, tx, verbose=true, options={}) {
+    return rpc.send(web3, 'parity_composeTransaction', [tx], verbose, options);
 }
 
 /**
@@ -45,34 +32,18 @@ function composePublicTx(web3, tx, verbose=true) {
  * contract's address can be found in the return value.
  * 
  * @memberof module:private
- * @param {Object} web3 The web3 instance
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
  * @param {String} rawData The raw transaction data
  * @param {Array<String>} validators List of private validators
  * @param {String} gasPrice Gas price for the transaction. Default is "0x0"
- * @param {Boolean} verbose Whether to console log errors
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options
+ * @param {Number|String} options.block Block number or tag the deployment is executed at. Default is "latest"
+ * @param {Object} options.* Other options are call options: timeout, retries, backoff and abort signal, see {@link module:call}
  * @returns {Promise<Object>} The transaction’s receipt object and the transaction object
  */
-function composeDeploymentTx(web3, rawData, validators, gasPrice="0x0", verbose=true) {
-    return new Promise((resolve, reject) => {
-        web3.currentProvider.send({
-            jsonrpc: '2.0',
-            method: 'private_composeDeploymentTransaction',
-            params: ["latest", rawData, validators, gasPrice],
-            id: 1
-        }, (e, r) => {
-            if (e) {
-                if (verbose) utils.logError(e);
-                reject(e);
-            }
-            else if (r.error !== undefined) {
-                if (verbose) utils.logError(r.error);
-                reject(r.error);
-            }
-            else {
-                resolve(r.result);
-            }
-        });
-    });
+async function composeDeploymentTx(web3, rawData, validators, gasPrice="0x0", verbose=true, {block="latest", ...options}={}) {
+    return rpc.send(web3, 'private_composeDeploymentTransaction', [utils.toBlockTag(block), rawData, validators, gasPrice], verbose, options);
 }
 
 /**
@@ -81,32 +52,16 @@ function composeDeploymentTx(web3, rawData, validators, gasPrice="0x0", verbose=
  * gets broadcasted.
  * 
  * @memberof module:private
- * @param {Object} web3 The web3 instance
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
  * @param {Object} tx The transaction object
- * @param {Boolean} verbose Whether to console log errors
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options
+ * @param {Number|String} options.block Block number or tag of the private state to read. Default is "latest"
+ * @param {Object} options.* Other options are call options: timeout, retries, backoff and abort signal, see {@link module:call}
  * @returns {Promise<Object>} The private state
  */
-function call(web3, tx, verbose=true) {
-    return new Promise((resolve, reject) => {
-        web3.currentProvider.send({
-            jsonrpc: '2.0',
-            method: 'private_call',
-            params: ["latest", tx],
-            id: 1
-        }, (e, r) => {
-            if (e) {
-                if (verbose) utils.logError(e);
-                reject(e);
-            }
-            else if (r.error !== undefined) {
-                if (verbose) utils.logError(r.error);
-                reject(r.error);
-            }
-            else {
-                resolve(r.result);
-            }
-        });
-    });
+async function call(web3, tx, verbose=true, {block="latest", ...options}={}) {
+    return rpc.send(web3, 'private_call', [utils.toBlockTag(block), tx], verbose, options);
 }
 
 /**
@@ -114,70 +69,125 @@ function call(web3, tx, verbose=true) {
  * read, and to validate the state change of a private contract.
  * 
  * @memberof module:private
- * @param {Object} web3 The web3 instance
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
  * @param {Object} tx The transaction object
- * @param {Boolean} verbose Whether to console log errors
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
  * @returns {Promise<Object>} The contract address, status and the public transaction's hash
  */
-function send(web3, tx, verbose=true) {
-    return new Promise((resolve, reject) => {
-        web3.currentProvider.send({
-            jsonrpc: '2.0',
-            method: 'private_sendTransaction',
-            params: [tx],
-            id: 1
-        }, (e, r) => {
-            if (e) {
-                if (verbose) utils.logError(e);
-                reject(e);
-            }
-            else if (r.error !== undefined) {
-                if (verbose) utils.logError(r.error);
-                reject(r.error);
-            }
-            else {
-                resolve(r.result);
-            }
-        });
-    });
+function send(web3, tx, verbose=true, options={}) {
+    return rpc.send(web3, 'private_sendTransaction', [tx], verbose, options);
 }
 
 /**
  * Returns document key ID associated with the deployed public contract.
  * 
  * @memberof module:private
- * @param {Object} web3 The web3 instance
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
  * @param {String} address Address of the private contract
- * @param {Boolean} verbose Whether to console log errors
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
  * @returns {Promise<String>} Document key ID associated with the deployed public contract
  */
-function contractKey(web3, address, verbose=true) {
-    return new Promise((resolve, reject) => {
-        web3.currentProvider.send({
-            jsonrpc: '2.0',
-            method: 'private_contractKey',
-            params: [address],
-            id: 1
-        }, (e, r) => {
-            if (e) {
-                if (verbose) utils.logError(e);
-                reject(e);
-            }
-            else if (r.error !== undefined) {
-                if (verbose) utils.logError(r.error);
-                reject(r.error);
-            }
-            else {
-                resolve(r.result);
-            }
-        });
+function contractKey(web3, address, verbose=true, options={}) {
+    return rpc.send(web3, 'private_contractKey', [address], verbose, options);
+}
+
+/**
+ * Fetches the chain ID transactions are signed for (EIP-155).
+ *
+ * @ignore
+ */
+function chainId(web3, verbose=true, options={}) {
+    return rpc.send(web3, 'eth_chainId', [], verbose, options);
+}
+
+/**
+ * Resolves a block number or tag to a block number.
+ * This method is not part of the official Parity private API, just here for convenience.
+ *
+ * @memberof module:private
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
+ * @param {Number|String} block Block number or tag. Default is "latest"
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
+ * @returns {Promise<Number>} The block number
+ */
+async function blockNumber(web3, block="latest", verbose=true, options={}) {
+    const tag = utils.toBlockTag(block);
+    if (tag === "earliest") return 0;
+    if (tag.startsWith("0x")) return parseInt(tag, 16);
+    if (tag === "latest") return Number(await rpc.send(web3, 'eth_blockNumber', [], verbose, options));
+    const found = await rpc.send(web3, 'eth_getBlockByNumber', [tag, false], verbose, options);
+    const number = found && found.number !== null && found.number !== undefined ? Number(found.number) : NaN;
+    if (Number.isNaN(number)) throw new Error("The node doesn't tell the number of the " + tag + " block");
+    return number;
+}
+
+/**
+ * Composes and signs a transaction with a signer, so that the sender's key doesn't have to live in the node.
+ * The result can be passed to {@link module:private.composeDeploymentTx composeDeploymentTx}, {@link module:private.send send}
+ * or `eth_sendRawTransaction`. This method is not part of the official Parity private API, just here for convenience.
+ *
+ * @memberof module:private
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
+ * @param {module:signer.Signer} signer The signer of the sender
+ * @param {Object} tx The transaction object, which can be partially incomplete. `from` defaults to the signer's address
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
+ * @returns {Promise<String>} The hex-encoded raw signed transaction
+ */
+function signTransaction(web3, signer, tx, verbose=true, options={}) {
+    if (!isSigner(signer)) {
+        return Promise.reject(new TypeError("Not a signer: " + signer));
+    }
+    const logged = promise => promise.catch(e => {
+        logger.get(verbose).error("Signer operation failed", {error: e, method: "signTransaction"});
+        throw e;
     });
+    return logged(signer.getAddress())
+        .then(from => Promise.all([
+            composePublicTx(web3, Object.assign({from}, tx), verbose, options),
+            chainId(web3, verbose, options)
+        ]))
+        .then(([composed, id]) => logged(signer.signTransaction(Object.assign(composed, {chainId: id}))));
+}
+
+/**
+ * Waits for a public transaction, like the wrapper of a private deployment, to be mined.
+ * This method is not part of the official Parity private API, just here for convenience.
+ *
+ * @memberof module:private
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
+ * @param {String} txHash Hash of the transaction
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options
+ * @param {Number} options.pollInterval Milliseconds between two receipt requests. Default is 1000
+ * @param {Number} options.waitTimeout Milliseconds to wait for before failing with a {@link module:call.TimeoutError TimeoutError}. 0 (default) waits forever
+ * @param {Object} options.* Other options are call options of every receipt request, see {@link module:call}. The abort signal also cancels the wait
+ * @returns {Promise<Object>} The receipt of the transaction
+ */
+async function waitForReceipt(web3, txHash, verbose=true, {pollInterval=1000, waitTimeout=0, ...options}={}) {
+    const deadline = waitTimeout > 0 ? Date.now() + waitTimeout : Infinity;
+    for (;;) {
+        const receipt = await rpc.send(web3, 'eth_getTransactionReceipt', [txHash], verbose, options);
+        if (receipt && receipt.blockNumber) return receipt;
+        if (Date.now() + pollInterval > deadline) {
+            const error = new TimeoutError(waitTimeout);
+            logger.get(verbose).error("Transaction not mined", {error, txHash});
+            throw error;
+        }
+        await sleep(pollInterval, options.signal || getDefaults().signal);
+    }
 }
 
 module.exports = {
     composePublicTx,
     composeDeploymentTx,
+    signTransaction,
     send,
     call,
     contractKey,
+    waitForReceipt,
+    blockNumber,
 }
\ No newline at end of file
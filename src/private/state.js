@@ -0,0 +1,120 @@
+/** @module private/state */
+"use strict";
+
+const crypto = require("../crypto.js");
+const logger = require("../logger.js");
+const session = require("../secretstore/session.js");
+const local = require("../secretstore/local.js");
+const { isSigner, RpcSigner } = require("../signer.js");
+const privateApi = require("./private.js");
+const wrapper = require("./wrapper.js");
+
+/**
+ * Decodes the storage of a private contract from its decrypted state: Parity snapshots it as
+ * 64 byte `slot || value` records of 32 byte words, sorted by slot.
+ *
+ * @memberof module:private/state
+ * @param {String|Buffer} state The decrypted state
+ * @returns {Object} The hex-encoded 32 byte values keyed by their hex-encoded 32 byte slots, in slot order
+ */
+function decodeStorage(state) {
+    const raw = crypto.toBuffer(state);
+    if (raw.length % 64 !== 0) throw new Error("Invalid private state: " + raw.length + " bytes is not a whole number of storage slots");
+    const records = [];
+    for (let offset = 0; offset < raw.length; offset += 64) {
+        records.push([toWord(raw.slice(offset, offset + 32)), toWord(raw.slice(offset + 32, offset + 64))]);
+    }
+    return records
+        .sort(([a], [b]) => a < b ? -1 : a > b ? 1 : 0)
+        .reduce((storage, [slot, value]) => {
+            storage[slot] = value;
+            return storage;
+        }, {});
+}
+
+/**
+ * Decrypts the code and state of a private contract locally, with its document key.
+ *
+ * @memberof module:private/state
+ * @param {String} documentKey The plain document key of the contract, see {@link module:private/state.retrieveContractDocumentKey retrieveContractDocumentKey}
+ * @param {Object} encrypted The `encryptedCode` and `encryptedState` of the wrapper, see {@link module:private/wrapper.read wrapper.read}
+ * @returns {Object} The hex-encoded `code` and `state`, and the `storage` decoded from the state
+ */
+function decrypt(documentKey, {encryptedCode, encryptedState}) {
+    const code = local.decrypt(documentKey, encryptedCode);
+    const state = local.decrypt(documentKey, encryptedState);
+    return {code, state, storage: decodeStorage(state)};
+}
+
+/**
+ * Retrieves the document key of a private contract from the Secret Store with a
+ * `document key shadow retrieval` session, and recovers it locally with the signer.
+ *
+ * @memberof module:private/state
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, to look up the key ID with {@link module:private.contractKey contractKey}
+ * @param {String|Array<String>|module:secretstore/pool.NodePool} url URL where the SS node is listening for incoming requests, or a pool of nodes to fail over between
+ * @param {String} address Address of the private contract
+ * @param {module:signer.Signer} signer Signer allowed to retrieve the key. It decrypts locally, so it can't be an {@link module:signer.RpcSigner RpcSigner}
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
+ * @returns {Promise<Object>} The `contractKey` ID and the hex-encoded `documentKey`
+ */
+async function retrieveContractDocumentKey(web3, url, address, signer, verbose=true, options={}) {
+    if (!isSigner(signer)) throw new TypeError("Not a signer: " + signer);
+    if (signer instanceof RpcSigner) throw new TypeError("The signer has to decrypt locally, node accounts can't");
+    const contractKey = await privateApi.contractKey(web3, address, verbose, options);
+    const shadow = await session.shadowRetrieveDocumentKey(url, contractKey, signer, verbose, options);
+    try {
+        const shadows = await Promise.all(shadow.decrypt_shadows.map(encrypted => signer.decrypt(encrypted)));
+        const documentKey = crypto.decryptWithShadowCoefficients(shadow.decrypted_secret, shadow.common_point, shadows);
+        return {contractKey, documentKey: crypto.toHex(documentKey)};
+    }
+    catch (e) {
+        logger.get(verbose).error("Signer operation failed", {error: e, method: "decrypt"});
+        throw e;
+    }
+}
+
+/**
+ * Reads the code and state of a private contract without `private_call`: reads the encrypted code and state of its
+ * wrapper, retrieves the document key of the contract from the Secret Store and decrypts both locally.
+ *
+ *     const {code, storage} = await readPrivateState(web3, ssUrl, address, {signer});
+ *     console.log(storage["0x" + "00".repeat(32)]);
+ *
+ * @memberof module:private/state
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
+ * @param {String|Array<String>|module:secretstore/pool.NodePool} url URL where the SS node is listening for incoming requests, or a pool of nodes to fail over between
+ * @param {String} address Address of the private contract
+ * @param {Object} params
+ * @param {module:signer.Signer} params.signer Signer allowed to retrieve the document key of the contract, decrypting locally
+ * @param {String} params.documentKey The document key, if already retrieved. No signer is needed then
+ * @param {Number|String} params.block Block number or tag of the state. Default is "latest"
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
+ * @returns {Promise<Object>} The wrapper fields, see {@link module:private/wrapper.read wrapper.read}, the `documentKey`,
+ * and the decrypted `code`, `state` and `storage`, see {@link module:private/state.decrypt decrypt}
+ */
+async function readPrivateState(web3, url, address, {signer, documentKey, block="latest"}={}, verbose=true, options={}) {
+    if (!documentKey && !signer) throw new TypeError("Either a signer or the document key is required");
+    const [encrypted, key] = await Promise.all([
+        wrapper.read(web3, address, block, verbose, options),
+        documentKey ? {documentKey} : retrieveContractDocumentKey(web3, url, address, signer, verbose, options)
+    ]);
+    return Object.assign(encrypted, key, decrypt(key.documentKey, encrypted));
+}
+
+/**
+ * @returns {String} The 32 byte buffer as a hex-encoded word
+ * @ignore
+ */
+function toWord(buf) {
+    return "0x" + buf.toString("hex");
+}
+
+module.exports = {
+    decodeStorage,
+    decrypt,
+    retrieveContractDocumentKey,
+    readPrivateState
+}
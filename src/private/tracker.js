@@ -0,0 +1,220 @@
+/** @module private/tracker */
+"use strict";
+
+const EventEmitter = require("events");
+
+const rpc = require("../rpc.js");
+const transaction = require("../transaction.js");
+const logger = require("../logger.js");
+const utils = require("../utils.js");
+const { TimeoutError, sleep, getDefaults } = require("../call.js");
+const privateApi = require("./private.js");
+const wrapper = require("./wrapper.js");
+
+/**
+ * Follows a private transaction from its submission through `private_sendTransaction`, to the validators
+ * signing the new state and the public state update of the wrapper contract getting mined and confirmed.
+ *
+ * The tracker is both an event emitter and a promise of the final private receipt:
+ *
+ *     const tracker = new PrivateTransactionTracker(web3, signedTx, true, {confirmations: 2})
+ *         .on("signed", signed => console.log("Signed by", signed.validators))
+ *         .on("confirmation", (count, receipt) => console.log(count, "confirmations"));
+ *     const receipt = await tracker;
+ *
+ * Events, in order: `submitted` with the response of `private_sendTransaction`, `signed` with the validators
+ * and their signatures of the new state, `mined` with the receipt of the public state update, `confirmation`
+ * with the number of blocks mined on top of it and its receipt, then `receipt` with the private receipt.
+ * Failures emit `error` if someone listens to it, and reject the promise.
+ *
+ * The public state update is the first `setState` call of the wrapper after the submission whose signatures
+ * are valid for the next state nonce, so concurrent private transactions of the same contract can't be told apart.
+ *
+ * The private receipt has no logs or events: Parity doesn't expose the logs of the private execution, neither
+ * in the response of `private_sendTransaction` nor through `private_call`. The logs of the public state update,
+ * which the wrapper doesn't emit any of, are in `publicReceipt`.
+ *
+ * @memberof module:private/tracker
+ * @class
+ */
+class PrivateTransactionTracker extends EventEmitter {
+    /**
+     * @constructor
+     * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
+     * @param {String|Promise<String>} rawTx The signed private transaction, see {@link module:private.signTransaction signTransaction}
+     * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+     * @param {Object} options
+     * @param {Number} options.confirmations Blocks to be mined on top of the public state update before the receipt. Default is 0
+     * @param {Number} options.pollInterval Milliseconds between two polls of the chain. Default is 1000
+     * @param {Number} options.waitTimeout Milliseconds to wait for the state update and its confirmations after the submission,
+     * before failing with a {@link module:call.TimeoutError TimeoutError}. 0 (default) waits forever
+     * @param {Object} options.* Other options are call options of every RPC call, see {@link module:call}. The abort signal also cancels the wait
+     */
+    constructor(web3, rawTx, verbose=true, {confirmations=0, pollInterval=1000, waitTimeout=0, ...options}={}) {
+        super();
+        this.web3 = web3;
+        this.verbose = verbose;
+        this.confirmations = confirmations;
+        this.pollInterval = pollInterval;
+        this.waitTimeout = waitTimeout;
+        this.options = options;
+        this.status = "pending";
+        this.promise = this._track(rawTx);
+        // The events are enough to follow the transaction, the promise doesn't have to be awaited
+        this.promise.catch(() => {});
+    }
+
+    then(onFulfilled, onRejected) {
+        return this.promise.then(onFulfilled, onRejected);
+    }
+
+    catch(onRejected) {
+        return this.promise.catch(onRejected);
+    }
+
+    /**
+     * @ignore
+     */
+    _progress(status, ...args) {
+        this.status = status;
+        this.emit(status, ...args);
+    }
+
+    /**
+     * @ignore
+     */
+    async _track(rawTx) {
+        try {
+            const raw = await rawTx;
+            const tx = transaction.decode(raw);
+            if (tx.to === null) throw new TypeError("Not a private transaction: it has no recipient");
+
+            const fromBlock = Number(await rpc.send(this.web3, 'eth_blockNumber', [], this.verbose, this.options));
+            const [validators, nonce] = await Promise.all([
+                wrapper.getValidators(this.web3, tx.to, fromBlock, this.verbose, this.options),
+                wrapper.getNonce(this.web3, tx.to, fromBlock, this.verbose, this.options)
+            ]);
+
+            const response = await privateApi.send(this.web3, raw, this.verbose, this.options);
+            this._progress("submitted", response);
+            const deadline = this.waitTimeout > 0 ? Date.now() + this.waitTimeout : Infinity;
+
+            const signed = await this._findStateUpdate(tx.to, validators, nonce, fromBlock + 1, deadline);
+            this._progress("signed", signed);
+
+            let publicReceipt = await rpc.send(this.web3, 'eth_getTransactionReceipt', [signed.transactionHash], this.verbose, this.options);
+            if (!publicReceipt || !publicReceipt.blockNumber) {
+                publicReceipt = await privateApi.waitForReceipt(this.web3, signed.transactionHash, this.verbose,
+                    Object.assign({pollInterval: this.pollInterval, waitTimeout: remaining(deadline)}, this.options));
+            }
+            if (publicReceipt.status !== undefined && publicReceipt.status !== null && Number(publicReceipt.status) === 0) {
+                const error = new Error("The public state update " + signed.transactionHash + " failed");
+                error.receipt = publicReceipt;
+                throw error;
+            }
+            this._progress("mined", publicReceipt);
+
+            publicReceipt = await this._confirm(publicReceipt, deadline);
+
+            const receipt = {
+                transactionHash: tx.hash,
+                from: tx.from,
+                contractAddress: tx.to,
+                status: response.status !== undefined ? response.status : response.statusCode,
+                validators: signed.validators,
+                publicTransactionHash: signed.transactionHash,
+                blockHash: publicReceipt.blockHash,
+                blockNumber: publicReceipt.blockNumber,
+                confirmations: this.confirmations,
+                publicReceipt
+            };
+            this._progress("receipt", receipt);
+            return receipt;
+        }
+        catch (error) {
+            this.status = "failed";
+            logger.get(this.verbose).error("Private transaction tracking failed", {error});
+            if (this.listenerCount("error") > 0) this.emit("error", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Scans the new blocks for the `setState` call of the wrapper signed by its validators for the given nonce.
+     *
+     * @returns {Promise<Object>} The public `transactionHash`, the `validators` who signed, their `signatures` and the signed `stateHash`
+     * @ignore
+     */
+    async _findStateUpdate(address, validators, nonce, fromBlock, deadline) {
+        let next = fromBlock;
+        for (;;) {
+            const head = Number(await rpc.send(this.web3, 'eth_blockNumber', [], this.verbose, this.options));
+            for (; next <= head; next++) {
+                const block = await rpc.send(this.web3, 'eth_getBlockByNumber', [utils.toBlockTag(next), true], this.verbose, this.options);
+                const found = ((block && block.transactions) || [])
+                    .filter(tx => tx.to && tx.to.toLowerCase() === address.toLowerCase())
+                    .map(tx => wrapper.decodeStateUpdate(tx, nonce))
+                    .find(update => update && update.validators.join() === validators.join());
+                if (found) return found;
+            }
+            await this._wait(deadline);
+        }
+    }
+
+    /**
+     * Waits for the confirmations, refreshing the receipt in case the public transaction moved to another block.
+     *
+     * @ignore
+     */
+    async _confirm(receipt, deadline) {
+        let count = 0;
+        while (count < this.confirmations) {
+            const head = Number(await rpc.send(this.web3, 'eth_blockNumber', [], this.verbose, this.options));
+            if (head - Number(receipt.blockNumber) <= count) {
+                await this._wait(deadline);
+                continue;
+            }
+            receipt = await rpc.send(this.web3, 'eth_getTransactionReceipt', [receipt.transactionHash], this.verbose, this.options);
+            if (!receipt || !receipt.blockNumber) throw new Error("The public state update was dropped by a chain reorganization");
+            const reached = Math.min(head - Number(receipt.blockNumber), this.confirmations);
+            for (; count < reached; count++) this._progress("confirmation", count + 1, receipt);
+        }
+        return receipt;
+    }
+
+    /**
+     * @ignore
+     */
+    async _wait(deadline) {
+        if (Date.now() + this.pollInterval > deadline) throw new TimeoutError(this.waitTimeout);
+        await sleep(this.pollInterval, this.options.signal || getDefaults().signal);
+    }
+}
+
+/**
+ * Submits a signed private transaction and tracks it to its confirmed public state update.
+ * This method is not part of the official Parity private API, just here for convenience.
+ *
+ * @memberof module:private/tracker
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
+ * @param {String} rawTx The signed private transaction, see {@link module:private.signTransaction signTransaction}
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options See {@link module:private/tracker.PrivateTransactionTracker PrivateTransactionTracker}
+ * @returns {module:private/tracker.PrivateTransactionTracker} The tracker, which resolves with the private receipt
+ */
+function sendAndTrack(web3, rawTx, verbose=true, options={}) {
+    return new PrivateTransactionTracker(web3, rawTx, verbose, options);
+}
+
+/**
+ * @returns {Number} The milliseconds left before the deadline, 0 to wait forever
+ * @ignore
+ */
+function remaining(deadline) {
+    return deadline === Infinity ? 0 : Math.max(deadline - Date.now(), 1);
+}
+
+module.exports = {
+    PrivateTransactionTracker,
+    sendAndTrack
+}
@@ -0,0 +1,292 @@
+/** @module private/wrapper */
+"use strict";
+
+const abiCoder = require("web3-eth-abi");
+const BN = require("bn.js");
+
+const rpc = require("../rpc.js");
+const crypto = require("../crypto.js");
+const utils = require("../utils.js");
+const privateApi = require("./private.js");
+
+/**
+ * The JSON interface of Parity's public `PrivateContract` wrapper, which holds the encrypted code and state
+ * of a private contract, the nonce of its state and its validators.
+ *
+ * @memberof module:private/wrapper
+ * @constant
+ */
+const WRAPPER_ABI = [
+    {"constant": true, "inputs": [], "name": "getValidators", "outputs": [{"name": "", "type": "address[]"}], "payable": false, "stateMutability": "view", "type": "function"},
+    {"constant": true, "inputs": [{"name": "", "type": "uint256"}], "name": "validators", "outputs": [{"name": "", "type": "address"}], "payable": false, "stateMutability": "view", "type": "function"},
+    {"constant": true, "inputs": [], "name": "code", "outputs": [{"name": "", "type": "bytes"}], "payable": false, "stateMutability": "view", "type": "function"},
+    {"constant": true, "inputs": [], "name": "state", "outputs": [{"name": "", "type": "bytes"}], "payable": false, "stateMutability": "view", "type": "function"},
+    {"constant": true, "inputs": [], "name": "nonce", "outputs": [{"name": "", "type": "uint256"}], "payable": false, "stateMutability": "view", "type": "function"},
+    {"constant": false, "inputs": [{"name": "newState", "type": "bytes"}, {"name": "v", "type": "uint8[]"}, {"name": "r", "type": "bytes32[]"}, {"name": "s", "type": "bytes32[]"}], "name": "setState", "outputs": [], "payable": false, "stateMutability": "nonpayable", "type": "function"},
+    {"inputs": [{"name": "initialValidators", "type": "address[]"}, {"name": "initialCode", "type": "bytes"}, {"name": "initialState", "type": "bytes"}], "payable": false, "stateMutability": "nonpayable", "type": "constructor"}
+];
+
+const METHODS = WRAPPER_ABI.filter(item => item.type === "function").reduce((acc, item) => {
+    acc[item.name] = item;
+    return acc;
+}, {});
+
+const SET_STATE_SELECTOR = abiCoder.encodeFunctionSignature(METHODS.setState);
+
+/**
+ * Default maximum number of blocks scanned by {@link module:private/wrapper.getStateChanges getStateChanges}.
+ *
+ * @memberof module:private/wrapper
+ * @constant
+ */
+const MAX_BLOCKS = 10000;
+
+/**
+ * Calls a getter of the wrapper contract.
+ *
+ * @param {Boolean} optional Whether to return null rather than fail when there is no wrapper, like before its deployment
+ * @ignore
+ */
+async function callGetter(web3, address, name, block, verbose, options, optional=false) {
+    const method = METHODS[name];
+    const data = abiCoder.encodeFunctionCall(method, []);
+    const result = await rpc.send(web3, 'eth_call', [{to: address, data}, utils.toBlockTag(block)], verbose, options);
+    if (!result || result === "0x") {
+        if (optional) return null;
+        throw new Error("No private contract wrapper at " + address + " in block " + utils.toBlockTag(block));
+    }
+    return abiCoder.decodeParameters(method.outputs, result)[0];
+}
+
+/**
+ * Returns the validators of a private contract, whose signatures are required to change its state.
+ *
+ * @memberof module:private/wrapper
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
+ * @param {String} address Address of the private contract
+ * @param {Number|String} block Block number or tag. Default is "latest"
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
+ * @returns {Promise<Array<String>>} The lowercase addresses of the validators
+ */
+async function getValidators(web3, address, block="latest", verbose=true, options={}) {
+    const validators = await callGetter(web3, address, "getValidators", block, verbose, options);
+    return validators.map(validator => validator.toLowerCase());
+}
+
+/**
+ * Returns the nonce of the private state, incremented by every state change.
+ *
+ * @memberof module:private/wrapper
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
+ * @param {String} address Address of the private contract
+ * @param {Number|String} block Block number or tag. Default is "latest"
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
+ * @returns {Promise<Number>} The nonce
+ */
+async function getNonce(web3, address, block="latest", verbose=true, options={}) {
+    return Number(await callGetter(web3, address, "nonce", block, verbose, options));
+}
+
+/**
+ * Returns the encrypted code of the private contract.
+ *
+ * @memberof module:private/wrapper
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
+ * @param {String} address Address of the private contract
+ * @param {Number|String} block Block number or tag. Default is "latest"
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
+ * @returns {Promise<String>} The hex-encoded encrypted code
+ */
+function getEncryptedCode(web3, address, block="latest", verbose=true, options={}) {
+    return callGetter(web3, address, "code", block, verbose, options);
+}
+
+/**
+ * Returns the encrypted state of the private contract.
+ *
+ * @memberof module:private/wrapper
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
+ * @param {String} address Address of the private contract
+ * @param {Number|String} block Block number or tag. Default is "latest"
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
+ * @returns {Promise<String>} The hex-encoded encrypted state
+ */
+function getEncryptedState(web3, address, block="latest", verbose=true, options={}) {
+    return callGetter(web3, address, "state", block, verbose, options);
+}
+
+/**
+ * Reads the whole wrapper of a private contract at a block.
+ *
+ * @memberof module:private/wrapper
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
+ * @param {String} address Address of the private contract
+ * @param {Number|String} block Block number or tag. Default is "latest"
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
+ * @returns {Promise<Object>} The `address`, the `blockNumber` read, the `validators`, the `nonce`,
+ * and the hex-encoded `encryptedCode` and `encryptedState`
+ */
+async function read(web3, address, block="latest", verbose=true, options={}) {
+    const blockNumber = await privateApi.blockNumber(web3, block, verbose, options);
+    const [validators, nonce, encryptedCode, encryptedState] = await Promise.all([
+        getValidators(web3, address, blockNumber, verbose, options),
+        getNonce(web3, address, blockNumber, verbose, options),
+        getEncryptedCode(web3, address, blockNumber, verbose, options),
+        getEncryptedState(web3, address, blockNumber, verbose, options)
+    ]);
+    return {address, blockNumber, validators, nonce, encryptedCode, encryptedState};
+}
+
+/**
+ * Finds the block in which a private contract was deployed, by bisecting the blocks where its wrapper exists.
+ * Reading the wrapper at old blocks needs a node keeping their state, like an archive node.
+ *
+ * @memberof module:private/wrapper
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
+ * @param {String} address Address of the private contract
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
+ * @returns {Promise<Number>} The number of the first block with the wrapper
+ */
+async function getDeploymentBlock(web3, address, verbose=true, options={}) {
+    let high = await privateApi.blockNumber(web3, "latest", verbose, options);
+    await callGetter(web3, address, "nonce", high, verbose, options);
+    let low = 0;
+    while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        if (await callGetter(web3, address, "nonce", middle, verbose, options, true) === null) low = middle + 1;
+        else high = middle;
+    }
+    return high;
+}
+
+/**
+ * Returns the state changes of a private contract in a block range, as `PrivateStateChanged` events. The wrapper
+ * doesn't log its state changes, so they are the successful `setState` transactions of the wrapper, found
+ * by scanning every block of the range. Ranges longer than `maxBlocks` are rejected with a `RangeError`.
+ *
+ * @memberof module:private/wrapper
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
+ * @param {String} address Address of the private contract
+ * @param {Object} range
+ * @param {Number|String} range.fromBlock First block of the range. Default is the deployment block of the contract,
+ * see {@link module:private/wrapper.getDeploymentBlock getDeploymentBlock}
+ * @param {Number|String} range.toBlock Last block of the range. Default is "latest"
+ * @param {Number} range.maxBlocks Maximum number of blocks in the range. Default is {@link module:private/wrapper.MAX_BLOCKS MAX_BLOCKS}
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
+ * @returns {Promise<Array<Object>>} The events, shaped like web3 events: `event`, `address`, `blockNumber`, `blockHash`,
+ * `transactionHash`, `transactionIndex` and the `returnValues`: the new `nonce`, the new encrypted `state`, the `signers`
+ * recovered from the `signatures` and the signed `stateHash`
+ */
+async function getStateChanges(web3, address, {fromBlock, toBlock="latest", maxBlocks=MAX_BLOCKS}={}, verbose=true, options={}) {
+    const [first, last] = await Promise.all([
+        fromBlock === undefined
+            ? getDeploymentBlock(web3, address, verbose, options)
+            : privateApi.blockNumber(web3, fromBlock, verbose, options),
+        privateApi.blockNumber(web3, toBlock, verbose, options)
+    ]);
+    if (first > last) throw new RangeError("Block " + first + " is after block " + last);
+    if (last - first + 1 > maxBlocks) {
+        throw new RangeError("Blocks " + first + " to " + last + " are more than " + maxBlocks + " blocks to scan, please narrow the range");
+    }
+    let nonce = first > 0 ? Number(await callGetter(web3, address, "nonce", first - 1, verbose, options, true)) : 0;
+    const events = [];
+    for (let number = first; number <= last; number++) {
+        const block = await rpc.send(web3, 'eth_getBlockByNumber', [utils.toBlockTag(number), true], verbose, options);
+        const calls = ((block && block.transactions) || [])
+            .filter(tx => tx.to && tx.to.toLowerCase() === address.toLowerCase() && tx.input && tx.input.startsWith(SET_STATE_SELECTOR));
+        for (const tx of calls) {
+            const receipt = await rpc.send(web3, 'eth_getTransactionReceipt', [tx.hash], verbose, options);
+            if (!receipt || Number(receipt.status) === 0) continue;
+            const update = decodeStateUpdate(tx, nonce);
+            if (!update) continue;
+            nonce++;
+            events.push({
+                event: "PrivateStateChanged",
+                address: tx.to,
+                blockNumber: Number(block.number),
+                blockHash: block.hash,
+                transactionHash: tx.hash,
+                transactionIndex: Number(tx.transactionIndex),
+                returnValues: {
+                    nonce: String(nonce),
+                    state: update.state,
+                    signers: update.validators,
+                    signatures: update.signatures,
+                    stateHash: update.stateHash
+                }
+            });
+        }
+    }
+    return events;
+}
+
+/**
+ * Returns when the nonce of a private contract changed in a block range, from the
+ * {@link module:private/wrapper.getStateChanges state changes}.
+ *
+ * @memberof module:private/wrapper
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
+ * @param {String} address Address of the private contract
+ * @param {Object} range The `fromBlock`, `toBlock` and `maxBlocks` of the range, see {@link module:private/wrapper.getStateChanges getStateChanges}
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
+ * @returns {Promise<Array<Object>>} The `nonce`, `blockNumber`, `transactionHash` and `signers` of every change
+ */
+async function getNonceHistory(web3, address, range={}, verbose=true, options={}) {
+    const events = await getStateChanges(web3, address, range, verbose, options);
+    return events.map(event => ({
+        nonce: Number(event.returnValues.nonce),
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        signers: event.returnValues.signers
+    }));
+}
+
+/**
+ * Decodes a `setState` transaction of a wrapper and recovers the validators who signed the new state for the given nonce.
+ * The validators sign `keccak256(keccak256(newState) || nonce)`, nonce being 32 bytes big endian.
+ *
+ * @memberof module:private/wrapper
+ * @param {Object} tx The transaction, as returned by `eth_getTransactionByHash`
+ * @param {Number|BN} nonce The nonce of the state being replaced
+ * @returns {Object} The public `transactionHash`, the new encrypted `state`, the recovered `validators`, their `signatures`
+ * and the signed `stateHash`. Null if the transaction is not a well-formed state update
+ */
+function decodeStateUpdate(tx, nonce) {
+    if (!tx.input || !tx.input.startsWith(SET_STATE_SELECTOR)) return null;
+    try {
+        const args = abiCoder.decodeParameters(METHODS.setState.inputs, "0x" + tx.input.slice(10));
+        const stateHash = crypto.keccak256(Buffer.concat([
+            crypto.keccak256(crypto.toBuffer(args.newState)), new BN(nonce).toArrayLike(Buffer, "be", 32)
+        ]));
+        const signatures = args.v.map((v, i) => crypto.toHex(Buffer.concat([
+            crypto.toBuffer(args.r[i]), crypto.toBuffer(args.s[i]), Buffer.from([Number(v)])
+        ])));
+        const validators = signatures.map(signature => crypto.publicToAddress(crypto.recover(signature, stateHash)));
+        return {transactionHash: tx.hash, state: args.newState, validators, signatures, stateHash: crypto.toHex(stateHash)};
+    }
+    catch (e) {
+        return null;
+    }
+}
+
+module.exports = {
+    WRAPPER_ABI,
+    MAX_BLOCKS,
+    getValidators,
+    getNonce,
+    getEncryptedCode,
+    getEncryptedState,
+    read,
+    getDeploymentBlock,
+    getStateChanges,
+    getNonceHistory,
+    decodeStateUpdate
+}
@@ -0,0 +1,149 @@
+/**
+ * JSON-RPC providers. Every function taking a `web3` instance accepts any of:
+ *
+ *  - a web3 instance, of any version: its `currentProvider` is used
+ *  - an EIP-1193 provider, with `request({method, params})`, like `window.ethereum` or the providers of web3 4.x
+ *  - an ethers provider, with `send(method, params)`
+ *  - a legacy provider, with `sendAsync(payload, callback)` or `send(payload, callback)`, like the providers of web3 1.x
+ *  - the URL of an endpoint: `http://` and `https://` requests are posted with the {@link module:transport transport}
+ *    of the call options, `ws://`, `wss://` and IPC paths go through web3's providers, connected once and shared
+ *
+ *     ss.signRawHash("http://127.0.0.1:8545", account, pwd, hash);
+ *     ss.signRawHash(window.ethereum, account, pwd, hash);
+ *
+ * The style of the provider is detected once and remembered.
+ *
+ * @module provider
+ */
+
+"use strict";
+
+const call = require("./call.js");
+const transport = require("./transport");
+
+const adapters = new WeakMap();
+const endpoints = new Map();
+
+/**
+ * Adapts a provider, a web3 instance or an endpoint URL to a single request style.
+ *
+ * @memberof module:provider
+ * @param {Object|String} target The web3 instance, provider or URL
+ * @returns {Object} The adapter: its `kind` ("eip1193", "ethers", "legacy", "http" or "socket") and
+ * `send(payload, options)`, sending a JSON-RPC request object or a batch of them and resolving with the response(s).
+ * It rejects on transport errors only, JSON-RPC errors are part of the responses. `options` are the `transport` and `signal` of HTTP requests
+ */
+function wrap(target) {
+    if (typeof target === "string") {
+        if (!endpoints.has(target)) endpoints.set(target, endpointAdapter(target));
+        return endpoints.get(target);
+    }
+    if (!target || (typeof target !== "object" && typeof target !== "function")) {
+        throw new TypeError("Not a JSON-RPC provider: " + target);
+    }
+    if (!adapters.has(target)) adapters.set(target, objectAdapter(target));
+    return adapters.get(target);
+}
+
+/**
+ * Closes the connection to a WebSocket or IPC endpoint opened by {@link module:provider.wrap wrap}. Other targets are left alone.
+ *
+ * @memberof module:provider
+ * @param {String} url The endpoint URL or IPC path
+ */
+function close(url) {
+    const adapter = endpoints.get(url);
+    if (!adapter) return;
+    endpoints.delete(url);
+    if (adapter.close) adapter.close();
+}
+
+/**
+ * @ignore
+ */
+function objectAdapter(target) {
+    if (target.currentProvider) return wrap(target.currentProvider);
+    if (typeof target.send === "function" && typeof target.getNetwork === "function") {
+        return {kind: "ethers", send: payload => each(payload, request => target.send(request.method, request.params || []))};
+    }
+    if (typeof target.sendAsync === "function") return legacyAdapter(target, "sendAsync");
+    if (typeof target.request === "function") {
+        return {kind: "eip1193", send: payload => each(payload, request => target.request({method: request.method, params: request.params || []}))};
+    }
+    if (typeof target.send === "function") return legacyAdapter(target, "send");
+    throw new TypeError("Not a JSON-RPC provider: it has neither request, send nor sendAsync");
+}
+
+/**
+ * @ignore
+ */
+function endpointAdapter(url) {
+    if (/^https?:\/\//i.test(url)) {
+        return {kind: "http", send: (payload, {transport: send, signal}={}) => {
+            send = send || call.getDefaults().transport || transport.defaultTransport();
+            const body = JSON.stringify(payload);
+            return send({url, method: "POST", headers: {"Content-Type": "application/json"}, body, signal}).then(response => {
+                try {
+                    return JSON.parse(response.body);
+                }
+                catch (e) {
+                    const error = new Error("Invalid JSON-RPC response from " + url + ": HTTP " + response.statusCode);
+                    error.statusCode = response.statusCode;
+                    throw error;
+                }
+            });
+        }};
+    }
+    const Web3 = require("web3");
+    if (/^wss?:\/\//i.test(url)) {
+        const provider = new Web3.providers.WebsocketProvider(url);
+        return Object.assign(legacyAdapter(provider, "send"), {kind: "socket", close: () => provider.disconnect()});
+    }
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(url) && (/[\\/]/.test(url) || url.endsWith(".ipc"))) {
+        const provider = new Web3.providers.IpcProvider(url, require("net"));
+        return Object.assign(legacyAdapter(provider, "send"), {kind: "socket", close: () => provider.connection.end()});
+    }
+    throw new TypeError("Not a JSON-RPC endpoint: " + url);
+}
+
+/**
+ * @ignore
+ */
+function legacyAdapter(provider, method) {
+    return {kind: "legacy", send: payload => new Promise((resolve, reject) => {
+        provider[method](payload, (e, r) => e ? reject(e) : resolve(r));
+    })};
+}
+
+/**
+ * Sends a request, or every request of a batch, through a provider taking one method call at a time,
+ * and builds the JSON-RPC responses.
+ *
+ * @ignore
+ */
+function each(payload, request) {
+    const one = item => Promise.resolve()
+        .then(() => request(item))
+        .then(result => ({jsonrpc: "2.0", id: item.id, result}), e => {
+            const error = rpcErrorOf(e);
+            if (!error) throw e;
+            return {jsonrpc: "2.0", id: item.id, error};
+        });
+    return Array.isArray(payload) ? Promise.all(payload.map(one)) : one(payload);
+}
+
+/**
+ * The JSON-RPC error behind an error thrown by an EIP-1193 or ethers provider, null for transport errors.
+ *
+ * @ignore
+ */
+function rpcErrorOf(e) {
+    const error = e && e.error && Number.isInteger(e.error.code) ? e.error : e;
+    if (!error || !Number.isInteger(error.code)) return null;
+    return {code: error.code, message: error.message, data: error.data};
+}
+
+module.exports = {
+    wrap,
+    close
+}
@@ -0,0 +1,162 @@
+/**
+ * @module rpc
+ * @ignore
+ */
+
+"use strict";
+
+const call = require("./call.js");
+const logger = require("./logger.js");
+const provider = require("./provider.js");
+const { RpcError } = require("./errors.js");
+
+let lastId = 0;
+
+/**
+ * Returns a JSON-RPC request ID unique within the process, so that responses over a shared provider can be correlated.
+ *
+ * @returns {Number} The ID
+ */
+function nextId() {
+    lastId = lastId < Number.MAX_SAFE_INTEGER ? lastId + 1 : 1;
+    return lastId;
+}
+
+/**
+ * Sends a JSON-RPC request through a web3 instance, a provider or an endpoint URL, see {@link module:provider},
+ * honouring the call options of {@link module:call}.
+ * Only transport errors and timeouts are retried by default: a JSON-RPC error response is an answer,
+ * rejected as an {@link module:errors.RpcError RpcError}.
+ *
+ * @param {Object|String} web3 The web3 instance, provider or endpoint URL
+ * @param {String} method The RPC method
+ * @param {Array} params The parameters
+ * @param {Boolean|module:logger.Logger} verbose Whether to log, or the logger to use
+ * @param {Object} options Call options
+ * @returns {Promise<any>} The result
+ */
+function send(web3, method, params, verbose=true, options={}) {
+    const log = logger.get(verbose, {requestId: logger.requestId(), method});
+    const transportErrors = new WeakSet();
+    const attempt = signal => {
+        const id = nextId();
+        log.debug("RPC request", {params, id});
+        return adapterOf(web3)
+            .then(adapter => adapter.send({jsonrpc: '2.0', method, params, id}, {signal, transport: options.transport})
+                .then(r => {
+                    if (!isResponseTo(r, id)) throw new Error("Invalid JSON-RPC response: expected the response to request " + id);
+                    return r;
+                })
+                .catch(e => {
+                    log.warn("RPC request failed", {error: e});
+                    if (e instanceof Object) transportErrors.add(e);
+                    throw e;
+                }))
+            .then(r => {
+                if (r.error !== undefined) throw new RpcError(r.error, method);
+                log.debug("RPC response", {});
+                return r.result;
+            });
+    };
+    return call.run(attempt, options, error => transportErrors.has(error) || call.isTransient(error), log)
+        .catch(error => {
+            log.error("RPC call failed", {error, reason: error.reason});
+            throw error;
+        });
+}
+
+/**
+ * Sends JSON-RPC requests as batches through a web3 instance, a provider or an endpoint URL, honouring the call options
+ * of {@link module:call} for every batch. Providers taking one request at a time get the requests of a batch concurrently. A transport error fails and retries the whole batch, while JSON-RPC errors only fail their request.
+ *
+ * @param {Object|String} web3 The web3 instance, provider or endpoint URL
+ * @param {Array<Object>} requests The `method` and `params` of every request
+ * @param {Boolean|module:logger.Logger} verbose Whether to log, or the logger to use
+ * @param {Object} options Call options, and `batchSize`: the most requests sent in one batch. Default is 100
+ * @returns {Promise<Array<Object>>} The outcome of every request, in order, shaped like the ones of `Promise.allSettled`:
+ * `{status: "fulfilled", value}` with the result, or `{status: "rejected", reason}` with an {@link module:errors.RpcError RpcError}
+ */
+async function sendBatch(web3, requests, verbose=true, {batchSize=100, ...options}={}) {
+    if (!Number.isInteger(batchSize) || batchSize < 1) throw new TypeError("The batch size must be a positive integer");
+    const outcomes = [];
+    for (let i = 0; i < requests.length; i += batchSize) {
+        outcomes.push(...await sendChunk(web3, requests.slice(i, i + batchSize), verbose, options));
+    }
+    return outcomes;
+}
+
+/**
+ * Sends one batch.
+ *
+ * @ignore
+ */
+function sendChunk(web3, requests, verbose, options) {
+    const log = logger.get(verbose, {requestId: logger.requestId(), method: "batch"});
+    const transportErrors = new WeakSet();
+    const attempt = signal => {
+        const payload = requests.map(({method, params}) => ({jsonrpc: '2.0', method, params, id: nextId()}));
+        log.debug("RPC batch request", {methods: payload.map(request => request.method), ids: payload.map(request => request.id)});
+        return adapterOf(web3)
+            .then(adapter => adapter.send(payload, {signal, transport: options.transport})
+                .then(r => {
+                    if (!Array.isArray(r)) {
+                        throw r && r.error !== undefined ? new RpcError(r.error, "batch") : new Error("Invalid JSON-RPC batch response");
+                    }
+                    return r;
+                })
+                .catch(e => {
+                    log.warn("RPC batch request failed", {error: e});
+                    if (e instanceof Object) transportErrors.add(e);
+                    throw e;
+                }))
+            .then(r => {
+                const responses = new Map(r.filter(response => response && response.id !== undefined).map(response => [response.id, response]));
+                return payload.map(request => {
+                    const response = responses.get(request.id);
+                    if (!response) {
+                        return {status: "rejected", reason: new Error("Invalid JSON-RPC response: no response to request " + request.id)};
+                    }
+                    if (response.error !== undefined) {
+                        return {status: "rejected", reason: new RpcError(response.error, request.method)};
+                    }
+                    return {status: "fulfilled", value: response.result};
+                });
+            });
+    };
+    return call.run(attempt, options, error => transportErrors.has(error) || call.isTransient(error), log)
+        .then(outcomes => {
+            outcomes.filter(outcome => outcome.status === "rejected").forEach(outcome => {
+                log.error("RPC call failed", {error: outcome.reason, method: outcome.reason.method, reason: outcome.reason.reason});
+            });
+            log.debug("RPC batch response", {size: outcomes.length});
+            return outcomes;
+        }, error => {
+            log.error("RPC batch failed", {error, reason: error.reason});
+            throw error;
+        });
+}
+
+/**
+ * The {@link module:provider provider} adapter of `web3`, rejecting if it is not a provider.
+ *
+ * @ignore
+ */
+function adapterOf(web3) {
+    return Promise.resolve().then(() => provider.wrap(web3));
+}
+
+/**
+ * Whether a response answers the request of the given ID. Responses without ID are accepted,
+ * as some providers correlate them themselves and strip it.
+ *
+ * @ignore
+ */
+function isResponseTo(response, id) {
+    return !!response && (response.id === undefined || response.id === null || response.id === id);
+}
+
+module.exports = {
+    send,
+    sendBatch,
+    nextId
+}
@@ -0,0 +1,135 @@
+/** @module secretstore/admin */
+"use strict";
+
+const crypto = require("../crypto.js");
+const logger = require("../logger.js");
+const session = require("./session.js");
+const { isSigner } = require("../signer.js");
+
+/**
+ * Checks and normalizes node IDs: the 64 byte public keys of the key servers, as in their `self_secret` or `nodes` configuration.
+ *
+ * @memberof module:secretstore/admin
+ * @param {Array<String>} nodeIDs The node IDs, hex encoded with or without "0x"
+ * @returns {Array<String>} The lowercase, "0x" prefixed node IDs, without duplicates
+ * @throws {TypeError} If a node ID is not a valid public key
+ */
+function validateNodeIDs(nodeIDs) {
+    if (!Array.isArray(nodeIDs)) {
+        throw new TypeError("Node IDs must be an array");
+    }
+    const normalized = nodeIDs.map(nodeID => {
+        if (typeof nodeID !== "string" || !/^(0x)?[0-9a-fA-F]{128}$/.test(nodeID)) {
+            throw new TypeError("Invalid node ID, expected 64 hex encoded bytes: " + nodeID);
+        }
+        try {
+            crypto.toPoint(nodeID);
+        } catch (e) {
+            throw new TypeError("Invalid node ID, not a public key: " + nodeID);
+        }
+        return "0x" + nodeID.replace(/^0x/, "").toLowerCase();
+    });
+    return Array.from(new Set(normalized));
+}
+
+/**
+ * Computes the hash of a nodes set locally, the same as `secretstore_serversSetHash`: `keccak(ordered_list(nodeIDs))`.
+ *
+ * @memberof module:secretstore/admin
+ * @param {Array<String>} nodeIDs The node IDs
+ * @returns {String} The hex-encoded hash
+ */
+function serversSetHash(nodeIDs) {
+    return crypto.toHex(crypto.serversSetHash(validateNodeIDs(nodeIDs)));
+}
+
+/**
+ * Works out what a nodes set change session does, and the two sets whose hashes the administrator signs.
+ *
+ * @memberof module:secretstore/admin
+ * @param {Array<String>} currentSet Node IDs of the key servers currently in the Secret Store
+ * @param {Array<String>} targetSet Node IDs of the key servers that should be in the Secret Store after the session
+ * @returns {Object} The plan: `staying`, `added` and `removed` node IDs, `oldSet` (staying + added + removed) and `newSet` (staying + added),
+ * their hashes `oldSetHash` and `newSetHash`, and whether anything `changed`
+ */
+function planNodesSetChange(currentSet, targetSet) {
+    const current = validateNodeIDs(currentSet);
+    const target = validateNodeIDs(targetSet);
+    if (target.length === 0) {
+        throw new TypeError("The new nodes set can't be empty");
+    }
+    const staying = current.filter(nodeID => target.includes(nodeID));
+    const added = target.filter(nodeID => !current.includes(nodeID));
+    const removed = current.filter(nodeID => !target.includes(nodeID));
+    const oldSet = staying.concat(added, removed);
+    const newSet = staying.concat(added);
+    return {
+        staying,
+        added,
+        removed,
+        oldSet,
+        newSet,
+        oldSetHash: serversSetHash(oldSet),
+        newSetHash: serversSetHash(newSet),
+        changed: added.length > 0 || removed.length > 0
+    };
+}
+
+/**
+ * Signs both set hashes of a plan with the administrator's key.
+ *
+ * @memberof module:secretstore/admin
+ * @param {module:signer.Signer} admin Signer of the administrator, whose public key is the key servers' `admin_public`
+ * @param {Object} plan The plan, as returned by {@link module:secretstore/admin.planNodesSetChange planNodesSetChange}
+ * @returns {Promise<Object>} `signatureOldSet` and `signatureNewSet`
+ */
+async function signNodesSetChange(admin, plan) {
+    if (!isSigner(admin)) throw new TypeError("Not a signer: " + admin);
+    return {
+        signatureOldSet: await admin.signRawHash(plan.oldSetHash),
+        signatureNewSet: await admin.signRawHash(plan.newSetHash)
+    };
+}
+
+/**
+ * Changes the set of key servers: plans the change, signs both sets and runs the `nodes set change` session.
+ * All staying, added and removed nodes must be online for the duration of the session.
+ * Nothing is signed nor sent in a dry run, and no session is run if the sets are the same.
+ *
+ * @memberof module:secretstore/admin
+ * @param {String|Array<String>|module:secretstore/pool.NodePool} url URL where the SS node is listening for incoming requests, or a pool of nodes to fail over between
+ * @param {module:signer.Signer} admin Signer of the administrator, whose public key is the key servers' `admin_public`
+ * @param {Array<String>} currentSet Node IDs of the key servers currently in the Secret Store
+ * @param {Array<String>} targetSet Node IDs of the key servers that should be in the Secret Store after the session
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options
+ * @param {Boolean} options.dryRun Only report what would change. Default is false
+ * @param {Object} options.* Other options are call options of the session: timeout, retries, backoff and abort signal, see {@link module:call}
+ * @returns {Promise<Object>} The plan (see {@link module:secretstore/admin.planNodesSetChange planNodesSetChange}), with `dryRun`,
+ * and once run the signatures and the `result` of the session
+ */
+async function changeNodesSet(url, admin, currentSet, targetSet, verbose=true, {dryRun=false, ...options}={}) {
+    if (!isSigner(admin)) throw new TypeError("Not a signer: " + admin);
+    const report = Object.assign(planNodesSetChange(currentSet, targetSet), {dryRun});
+    const log = logger.get(verbose);
+    if (dryRun || !report.changed) {
+        log.info("Nodes set change planned", {dryRun, added: report.added.length, removed: report.removed.length});
+        return report;
+    }
+    const signatures = await signNodesSetChange(admin, report).catch(e => {
+        log.error("Signing the nodes sets failed", {error: e});
+        throw e;
+    });
+    Object.assign(report, signatures);
+    report.result = await session.nodesSetChange(url, report.newSet, signatures.signatureOldSet, signatures.signatureNewSet, verbose, options);
+    log.info("Nodes set changed", {added: report.added.length, removed: report.removed.length});
+    return report;
+}
+
+module.exports = {
+    validateNodeIDs,
+    serversSetHash,
+    planNodesSetChange,
+    signNodesSetChange,
+    changeNodesSet
+}
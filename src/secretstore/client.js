@@ -0,0 +1,241 @@
+/** @module secretstore/client */
+"use strict";
+
+const nodeCrypto = require("crypto");
+
+const crypto = require("../crypto.js");
+const utils = require("../utils.js");
+const secret = require("./secret.js");
+const session = require("./session.js");
+const stream = require("./stream.js");
+const envelope = require("./envelope.js");
+const { NodePool } = require("./pool.js");
+const { RpcSigner, isSigner } = require("../signer.js");
+
+/**
+ * Stores and retrieves documents in a few calls, taking care of document IDs, signatures and key sessions.
+ *
+ * Two flows are supported:
+ *
+ *  - trusted: a single `server and document key generation` session on store and a `document key retrieval` session on retrieve.
+ *    Fewer round trips, but the document key is known to the key servers.
+ *  - untrusted (default): separate `server key generation` and `document key storing` sessions on store, and a
+ *    `document key shadow retrieval` session on retrieve, so the key servers never learn the document key.
+ *    With a local signer, like a {@link module:signer.KeystoreSigner KeystoreSigner}, the document key is generated,
+ *    recovered and used in this process only. With an {@link module:signer.RpcSigner RpcSigner}, the default when
+ *    `web3` and `account` are given, the Parity node of the account generates, recovers and uses it instead.
+ *
+ * @memberof module:secretstore/client
+ * @class
+ */
+class SecretStoreClient {
+    /**
+     * @constructor
+     * @param {Object} options
+     * @param {Object|String} options.web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}. Needed if the signer needs a node or no signer is given
+     * @param {String|Array<String>|module:secretstore/pool.NodePool} options.url URL(s) where the SS nodes are listening for incoming requests.
+     * Several URLs are turned into a {@link module:secretstore/pool.NodePool NodePool}, spreading sessions across the nodes and failing over between them
+     * @param {module:signer.Signer} options.signer Signer of the SS user
+     * @param {String} options.account Account of SS user, when no signer is given
+     * @param {String} options.pwd Password of SS user, when no signer is given
+     * @param {Boolean} options.trusted Whether to use the trusted flow by default. Default is false
+     * @param {Number} options.threshold Default key threshold
+     * @param {Boolean|module:logger.Logger} options.verbose Whether to log errors, or the logger to use
+     */
+    constructor({web3, url, signer, account, pwd, trusted=false, threshold=1, verbose=true}) {
+        if (!signer) {
+            if (!web3 || !account) throw new TypeError("Either a signer or web3 and account are required");
+            signer = new RpcSigner(web3, account, pwd, verbose);
+        }
+        if (!isSigner(signer)) throw new TypeError("Not a signer: " + signer);
+        if (!url) throw new TypeError("At least one Secret Store URL is required");
+        this.url = Array.isArray(url) ? new NodePool(url) : url;
+        this.web3 = web3;
+        this.signer = signer;
+        this.trusted = trusted;
+        this.threshold = threshold;
+        this.verbose = verbose;
+    }
+
+    /**
+     * Encrypts a document under a new document key, which is stored in the Secret Store.
+     *
+     * @param {String|Buffer} data The document, hex encoded or as a Buffer
+     * @param {Object} options
+     * @param {Number} options.threshold Key threshold value, defaults to the client's
+     * @param {String} options.docID The document ID (32 bytes, hex). Random by default
+     * @param {Boolean} options.trusted Whether to use the trusted flow, defaults to the client's
+     * @param {Object} options.* Other options are call options of every session and RPC call: timeout, retries, backoff and abort signal, see {@link module:call}
+     * @returns {Promise<Object>} `docID` and the hex-encoded `ciphertext`
+     */
+    async storeDocument(data, {threshold=this.threshold, docID, trusted=this.trusted, ...options}={}) {
+        const hexDocument = toHexDocument(data);
+        docID = utils.remove0x(docID || nodeCrypto.randomBytes(32).toString("hex"));
+        const encryptedKey = await this._generateKey(docID, threshold, trusted, options);
+        const ciphertext = await secret.encryptWithSigner(this.signer, encryptedKey, hexDocument, this.verbose, options);
+        return {docID, ciphertext};
+    }
+
+    /**
+     * Retrieves the document key of a document and decrypts the document with it.
+     *
+     * @param {String} docID The document ID returned by {@link module:secretstore/client.SecretStoreClient#storeDocument storeDocument}
+     * @param {String} ciphertext The hex-encoded encrypted document
+     * @param {Object} options
+     * @param {Boolean} options.trusted Whether to use the trusted flow, defaults to the client's
+     * @param {Object} options.* Other options are call options of every session and RPC call, see {@link module:call}
+     * @returns {Promise<String>} The hex-encoded document
+     */
+    async retrieveDocument(docID, ciphertext, {trusted=this.trusted, ...options}={}) {
+        const signature = await this.signer.signRawHash(utils.add0x(utils.remove0x(docID)));
+        if (trusted) {
+            const encryptedKey = await session.retrieveDocumentKey(this.url, docID, signature, this.verbose, options);
+            return secret.decryptWithSigner(this.signer, encryptedKey, ciphertext, this.verbose, options);
+        }
+        const shadow = await session.shadowRetrieveDocumentKey(this.url, docID, signature, this.verbose, options);
+        return secret.shadowDecryptWithSigner(this.signer, shadow.decrypted_secret, shadow.common_point,
+            shadow.decrypt_shadows, ciphertext, this.verbose, options);
+    }
+
+    /**
+     * Encrypts a string, a Buffer or any JSON value under a new document key, which is stored in the Secret Store,
+     * into a self-describing envelope recording the document ID, content type, threshold, creation time and author.
+     * The value is encrypted locally with the document key, see {@link module:secretstore/envelope.seal envelope.seal}:
+     * the signer can't be an {@link module:signer.RpcSigner RpcSigner}.
+     *
+     * @param {*} value The value, see {@link module:secretstore/envelope.encodeContent envelope.encodeContent}
+     * @param {Object} options
+     * @param {Number} options.threshold Key threshold value, defaults to the client's
+     * @param {String} options.docID The document ID (32 bytes, hex). Random by default
+     * @param {Boolean} options.trusted Whether to use the trusted flow, defaults to the client's
+     * @param {String} options.contentType Media type of the value, inferred from its type by default
+     * @param {Object} options.* Other options are call options of every session and RPC call, see {@link module:call}
+     * @returns {Promise<Object>} The envelope, see {@link module:secretstore/envelope} for its JSON and binary encodings
+     */
+    async sealEnvelope(value, {threshold=this.threshold, docID, trusted=this.trusted, contentType, ...options}={}) {
+        this._requireLocalSigner();
+        const content = envelope.encodeContent(value, contentType);
+        const author = await this.signer.getAddress();
+        docID = utils.remove0x(docID || nodeCrypto.randomBytes(32).toString("hex"));
+        const encryptedKey = await this._generateKey(docID, threshold, trusted, options);
+        const documentKey = await this.signer.decrypt(encryptedKey);
+        return envelope.seal(documentKey, value, {docID, contentType: content.contentType, threshold, author});
+    }
+
+    /**
+     * Decrypts an envelope sealed by {@link module:secretstore/client.SecretStoreClient#sealEnvelope sealEnvelope}.
+     * The signer can't be an {@link module:signer.RpcSigner RpcSigner}.
+     *
+     * @param {Object|String|Buffer} sealed The envelope, or its JSON or binary encoding
+     * @param {Object} options
+     * @param {Boolean} options.trusted Whether to use the trusted flow, defaults to the client's
+     * @param {Object} options.* Other options are call options of every session and RPC call, see {@link module:call}
+     * @returns {Promise<*>} The value, see {@link module:secretstore/envelope.decodeContent envelope.decodeContent}, failing if the envelope is altered
+     */
+    async openEnvelope(sealed, {trusted=this.trusted, ...options}={}) {
+        this._requireLocalSigner();
+        sealed = envelope.parse(sealed);
+        return envelope.open(await this._retrieveKey(sealed.docID, trusted, options), sealed);
+    }
+
+    /**
+     * Encrypts a large document as a stream, in chunks, under a new document key which is stored in the Secret Store.
+     * The document is encrypted locally with the document key, see {@link module:secretstore/stream}: the signer
+     * has to decrypt the key, so it can't be an {@link module:signer.RpcSigner RpcSigner}.
+     *
+     *     const {docID, stream} = await client.storeStream(fs.createReadStream("export.csv"));
+     *     await pipeline(stream, fs.createWriteStream("export.csv.enc"));
+     *
+     * @param {AsyncIterable|Iterable|Buffer} source The document, see {@link module:secretstore/stream.encrypt stream.encrypt}
+     * @param {Object} options
+     * @param {Number} options.threshold Key threshold value, defaults to the client's
+     * @param {String} options.docID The document ID (32 bytes, hex). Random by default
+     * @param {Boolean} options.trusted Whether to use the trusted flow, defaults to the client's
+     * @param {Number} options.chunkSize Bytes of document per chunk. Default is 1 MiB
+     * @param {Object} options.* Other options are call options of every session and RPC call, see {@link module:call}
+     * @returns {Promise<Object>} `docID` and the encrypted `stream`
+     */
+    async storeStream(source, {threshold=this.threshold, docID, trusted=this.trusted, chunkSize, ...options}={}) {
+        this._requireLocalSigner();
+        docID = utils.remove0x(docID || nodeCrypto.randomBytes(32).toString("hex"));
+        const encryptedKey = await this._generateKey(docID, threshold, trusted, options);
+        const documentKey = await this.signer.decrypt(encryptedKey);
+        return {docID, stream: stream.encrypt(documentKey, source, {chunkSize, docID})};
+    }
+
+    /**
+     * Retrieves the document key of a document stored with {@link module:secretstore/client.SecretStoreClient#storeStream storeStream}
+     * and decrypts it as a stream. The signer can't be an {@link module:signer.RpcSigner RpcSigner}.
+     *
+     * @param {String} docID The document ID returned by {@link module:secretstore/client.SecretStoreClient#storeStream storeStream}
+     * @param {AsyncIterable|Iterable|Buffer} source The encrypted document, see {@link module:secretstore/stream.decrypt stream.decrypt}
+     * @param {Object} options
+     * @param {Boolean} options.trusted Whether to use the trusted flow, defaults to the client's
+     * @param {Object} options.* Other options are call options of every session and RPC call, see {@link module:call}
+     * @returns {Promise<Readable>} The decrypted document, failing if the encrypted document is truncated or altered
+     */
+    async retrieveStream(docID, source, {trusted=this.trusted, ...options}={}) {
+        this._requireLocalSigner();
+        docID = utils.remove0x(docID);
+        return stream.decrypt(await this._retrieveKey(docID, trusted, options), source, {docID});
+    }
+
+    /**
+     * Generates the server key and document key of a new document, and stores the document key.
+     *
+     * @returns {Promise<String>} The document key, encrypted with the public key of the signer
+     * @ignore
+     */
+    async _generateKey(docID, threshold, trusted, options) {
+        const signature = await this.signer.signRawHash(utils.add0x(docID));
+        if (trusted) {
+            return session.generateServerAndDocumentKey(this.url, docID, signature, threshold, this.verbose, options);
+        }
+        const serverKey = await session.generateServerKey(this.url, docID, signature, threshold, this.verbose, options);
+        const documentKey = await secret.generateDocumentKeyWithSigner(this.signer, serverKey, this.verbose, options);
+        await session.storeDocumentKey(this.url, docID, signature,
+            documentKey.common_point, documentKey.encrypted_point, this.verbose, options);
+        return documentKey.encrypted_key;
+    }
+
+    /**
+     * Retrieves the document key of a document and decrypts it with the signer.
+     *
+     * @returns {Promise<String>} The plain document key
+     * @ignore
+     */
+    async _retrieveKey(docID, trusted, options) {
+        const signature = await this.signer.signRawHash(utils.add0x(docID));
+        if (trusted) {
+            const encryptedKey = await session.retrieveDocumentKey(this.url, docID, signature, this.verbose, options);
+            return this.signer.decrypt(encryptedKey);
+        }
+        const shadow = await session.shadowRetrieveDocumentKey(this.url, docID, signature, this.verbose, options);
+        const shadows = await Promise.all(shadow.decrypt_shadows.map(encrypted => this.signer.decrypt(encrypted)));
+        return crypto.decryptWithShadowCoefficients(shadow.decrypted_secret, shadow.common_point, shadows);
+    }
+
+    /**
+     * @ignore
+     */
+    _requireLocalSigner() {
+        if (this.signer instanceof RpcSigner) throw new TypeError("The signer has to decrypt locally, node accounts can't");
+    }
+}
+
+/**
+ * @param {String|Buffer} data Hex string or Buffer
+ * @returns {String} "0x" prefixed hex string
+ * @ignore
+ */
+function toHexDocument(data) {
+    if (Buffer.isBuffer(data)) return "0x" + data.toString("hex");
+    if (typeof data !== "string" || !/^(0x)?([0-9a-fA-F]{2})*$/.test(data)) {
+        throw new TypeError("The document must be a hex string or a Buffer");
+    }
+    return utils.add0x(data);
+}
+
+module.exports = {
+    SecretStoreClient
+}
@@ -0,0 +1,308 @@
+/**
+ * Self-describing encrypted envelopes: the ciphertext of a document bundled with what is needed to decrypt and
+ * interpret it later, so that it can be stored or sent on its own.
+ *
+ *     const sealed = await client.sealEnvelope({reading: 42});
+ *     fs.writeFileSync("reading.ssev", ss.envelope.toBinary(sealed));
+ *     const {reading} = await client.openEnvelope(fs.readFileSync("reading.ssev"));
+ *
+ * An envelope is an object with the fields:
+ *
+ *  - `version`: version of the format, 1
+ *  - `docID`: the hex-encoded 32 byte document ID, without "0x"
+ *  - `contentType`: the media type of the plaintext: "text/plain; charset=utf-8" for strings, "application/json"
+ *    for objects, arrays, numbers and booleans, and "application/octet-stream" for Buffers unless set otherwise
+ *  - `threshold`: the key threshold of the document key, or null if unknown
+ *  - `createdAt`: the creation time, as an ISO 8601 string with millisecond precision
+ *  - `author`: the address of the author, or null if unknown
+ *  - `ciphertext`: the hex-encoded random 12 byte IV || AES-256-GCM ciphertext || 16 byte tag
+ *
+ * Its JSON encoding, see {@link module:secretstore/envelope.toJSON toJSON}, is the object itself. Its binary encoding,
+ * see {@link module:secretstore/envelope.toBinary toBinary}, is, with big endian integers:
+ *
+ *     header     := "SSEV" | version (1 byte) | flags (1 byte) | docID (32 bytes) | threshold (2 bytes)
+ *                     | createdAt (8 bytes, ms since epoch) | author (20 bytes) | content type length (1 byte) | content type (UTF-8)
+ *     envelope   := header | ciphertext
+ *
+ * where the flags tell whether the threshold (bit 0) and the author (bit 1) are set, their bytes being zero otherwise.
+ *
+ * The plaintext is encrypted with the key HMAC-SHA256(document key, "SSEV") and the binary header as additional data,
+ * whichever encoding the envelope is kept in: an envelope whose fields are altered fails to open.
+ *
+ * @module secretstore/envelope
+ */
+
+"use strict";
+
+const nodeCrypto = require("crypto");
+
+const crypto = require("../crypto.js");
+const utils = require("../utils.js");
+
+const MAGIC = Buffer.from("SSEV");
+const VERSION = 1;
+const HAS_THRESHOLD = 1;
+const HAS_AUTHOR = 2;
+const FIXED_LEN = MAGIC.length + 1 + 1 + 32 + 2 + 8 + 20 + 1;
+const CIPHER = "aes-256-gcm";
+const IV_LEN = 12;
+const TAG_LEN = 16;
+
+const TEXT = "text/plain; charset=utf-8";
+const JSON_TYPE = "application/json";
+const BINARY = "application/octet-stream";
+
+/**
+ * Encodes a native value as a hex document.
+ *
+ * @memberof module:secretstore/envelope
+ * @param {String|Buffer|Uint8Array|Object|Array|Number|Boolean|null} value The value: strings are UTF-8 encoded,
+ * Buffers taken as they are and anything else JSON encoded. A string with a JSON media type has to be JSON already
+ * @param {String} contentType Media type of the value, overriding the one inferred from its type
+ * @returns {Object} The `contentType` and the hex-encoded `hexDocument`, "0x" prefixed
+ */
+function encodeContent(value, contentType) {
+    let data;
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+        data = Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+        contentType = contentType || BINARY;
+    }
+    else if (typeof value === "string") {
+        data = Buffer.from(value, "utf8");
+        contentType = contentType || TEXT;
+    }
+    else {
+        const json = JSON.stringify(value);
+        if (json === undefined) throw new TypeError("The value can't be encoded: " + typeof value);
+        data = Buffer.from(json, "utf8");
+        contentType = contentType || JSON_TYPE;
+    }
+    return {contentType, hexDocument: "0x" + data.toString("hex")};
+}
+
+/**
+ * Decodes a hex document back to a native value, according to its media type.
+ *
+ * @memberof module:secretstore/envelope
+ * @param {String} hexDocument The hex-encoded document
+ * @param {String} contentType Media type of the document
+ * @returns {String|Buffer|Object|Array|Number|Boolean|null} A parsed value for JSON types, a string for text types and a Buffer otherwise
+ */
+function decodeContent(hexDocument, contentType) {
+    const data = Buffer.from(utils.remove0x(hexDocument), "hex");
+    if (isJson(contentType)) return JSON.parse(data.toString("utf8"));
+    if (/^text\//i.test(contentType)) return data.toString("utf8");
+    return data;
+}
+
+/**
+ * Builds an envelope, validating and normalizing its fields.
+ *
+ * @memberof module:secretstore/envelope
+ * @param {Object} fields The fields of the envelope, see {@link module:secretstore/envelope}. `createdAt` may be a Date or a number of ms,
+ * and defaults to now. `threshold` and `author` default to null
+ * @returns {Object} The envelope
+ */
+function create({ciphertext, ...fields}) {
+    if (typeof ciphertext !== "string" || !/^(0x)?([0-9a-fA-F]{2})+$/.test(ciphertext)) {
+        throw new TypeError("Invalid envelope ciphertext");
+    }
+    return Object.assign(createHeader(fields), {ciphertext: utils.add0x(utils.remove0x(ciphertext)).toLowerCase()});
+}
+
+/**
+ * @returns {Object} The fields of an envelope but its ciphertext, validated and normalized
+ * @ignore
+ */
+function createHeader({docID, contentType, threshold=null, author=null, createdAt=new Date()}) {
+    if (typeof docID !== "string" || !/^(0x)?[0-9a-fA-F]{64}$/.test(docID)) throw new TypeError("Invalid envelope docID: " + docID);
+    if (typeof contentType !== "string" || contentType.length === 0 || Buffer.byteLength(contentType) > 255) {
+        throw new TypeError("Invalid envelope content type: " + contentType);
+    }
+    if (threshold !== null && (!Number.isInteger(threshold) || threshold < 0 || threshold > 0xffff)) {
+        throw new TypeError("Invalid envelope threshold: " + threshold);
+    }
+    if (author !== null && (typeof author !== "string" || !/^(0x)?[0-9a-fA-F]{40}$/.test(author))) {
+        throw new TypeError("Invalid envelope author: " + author);
+    }
+    const time = new Date(createdAt);
+    if (isNaN(time.getTime()) || time.getTime() < 0) throw new TypeError("Invalid envelope creation time: " + createdAt);
+    return {
+        version: VERSION,
+        docID: utils.remove0x(docID).toLowerCase(),
+        contentType,
+        threshold,
+        createdAt: time.toISOString(),
+        author: author === null ? null : utils.add0x(utils.remove0x(author)).toLowerCase()
+    };
+}
+
+/**
+ * Encrypts a native value locally into an envelope, with the document key.
+ *
+ * @memberof module:secretstore/envelope
+ * @param {String} documentKey The plain document key, see {@link module:secretstore/local.decryptDocumentKey local.decryptDocumentKey}
+ * @param {*} value The value, see {@link module:secretstore/envelope.encodeContent encodeContent}
+ * @param {Object} fields The `docID`, and optionally the `contentType`, `threshold`, `author` and `createdAt` of the envelope
+ * @returns {Object} The envelope
+ */
+function seal(documentKey, value, {contentType, ...fields}) {
+    const content = encodeContent(value, contentType);
+    const header = createHeader(Object.assign({}, fields, {contentType: content.contentType}));
+    const iv = nodeCrypto.randomBytes(IV_LEN);
+    const cipher = nodeCrypto.createCipheriv(CIPHER, envelopeKey(documentKey), iv, {authTagLength: TAG_LEN});
+    cipher.setAAD(encodeHeader(header));
+    const data = Buffer.concat([cipher.update(Buffer.from(utils.remove0x(content.hexDocument), "hex")), cipher.final()]);
+    return create(Object.assign(header, {ciphertext: Buffer.concat([iv, data, cipher.getAuthTag()]).toString("hex")}));
+}
+
+/**
+ * Decrypts an envelope locally with the document key.
+ *
+ * @memberof module:secretstore/envelope
+ * @param {String} documentKey The plain document key, see {@link module:secretstore/local.decryptDocumentKey local.decryptDocumentKey}
+ * @param {Object|String|Buffer} envelope The envelope, or its JSON or binary encoding
+ * @returns {*} The value, see {@link module:secretstore/envelope.decodeContent decodeContent}
+ */
+function open(documentKey, envelope) {
+    envelope = parse(envelope);
+    const ciphertext = Buffer.from(utils.remove0x(envelope.ciphertext), "hex");
+    if (ciphertext.length < IV_LEN + TAG_LEN) throw new Error("Invalid envelope: ciphertext too short");
+    const decipher = nodeCrypto.createDecipheriv(CIPHER, envelopeKey(documentKey), ciphertext.slice(0, IV_LEN), {authTagLength: TAG_LEN});
+    decipher.setAAD(encodeHeader(envelope));
+    decipher.setAuthTag(ciphertext.slice(ciphertext.length - TAG_LEN));
+    let data;
+    try {
+        data = Buffer.concat([decipher.update(ciphertext.slice(IV_LEN, ciphertext.length - TAG_LEN)), decipher.final()]);
+    }
+    catch (e) {
+        throw new Error("Invalid envelope: altered, or sealed with another document key");
+    }
+    return decodeContent(data.toString("hex"), envelope.contentType);
+}
+
+/**
+ * Encodes an envelope as JSON.
+ *
+ * @memberof module:secretstore/envelope
+ * @param {Object} envelope The envelope
+ * @returns {String} The JSON encoding
+ */
+function toJSON(envelope) {
+    return JSON.stringify(create(envelope));
+}
+
+/**
+ * Encodes an envelope in the compact binary encoding.
+ *
+ * @memberof module:secretstore/envelope
+ * @param {Object} envelope The envelope
+ * @returns {Buffer} The binary encoding
+ */
+function toBinary(envelope) {
+    envelope = create(envelope);
+    return Buffer.concat([encodeHeader(envelope), Buffer.from(utils.remove0x(envelope.ciphertext), "hex")]);
+}
+
+/**
+ * @returns {Buffer} The binary header of a normalized envelope
+ * @ignore
+ */
+function encodeHeader(envelope) {
+    const contentType = Buffer.from(envelope.contentType, "utf8");
+    const buf = Buffer.alloc(FIXED_LEN);
+    let offset = MAGIC.copy(buf);
+    buf[offset++] = VERSION;
+    buf[offset++] = (envelope.threshold !== null ? HAS_THRESHOLD : 0) | (envelope.author !== null ? HAS_AUTHOR : 0);
+    offset += Buffer.from(envelope.docID, "hex").copy(buf, offset);
+    offset = buf.writeUInt16BE(envelope.threshold || 0, offset);
+    const time = Date.parse(envelope.createdAt);
+    offset = buf.writeUInt32BE(Math.floor(time / 0x100000000), offset);
+    offset = buf.writeUInt32BE(time % 0x100000000, offset);
+    if (envelope.author !== null) Buffer.from(utils.remove0x(envelope.author), "hex").copy(buf, offset);
+    offset += 20;
+    buf[offset] = contentType.length;
+    return Buffer.concat([buf, contentType]);
+}
+
+/**
+ * Decodes an envelope from either encoding, telling them apart.
+ *
+ * @memberof module:secretstore/envelope
+ * @param {Object|String|Buffer|Uint8Array} data The envelope, its JSON encoding, or its binary encoding
+ * @returns {Object} The envelope
+ */
+function parse(data) {
+    if (Buffer.isBuffer(data) || data instanceof Uint8Array) return fromBinary(Buffer.from(data.buffer, data.byteOffset, data.byteLength));
+    if (typeof data === "string") {
+        try {
+            data = JSON.parse(data);
+        }
+        catch (e) {
+            throw new Error("Invalid envelope: malformed JSON");
+        }
+    }
+    if (!data || typeof data !== "object") throw new Error("Invalid envelope: not an object");
+    checkVersion(data.version);
+    return create(data);
+}
+
+/**
+ * @ignore
+ */
+function fromBinary(buf) {
+    if (buf.length < FIXED_LEN || !buf.slice(0, MAGIC.length).equals(MAGIC)) throw new Error("Invalid envelope: not a binary envelope");
+    let offset = MAGIC.length;
+    checkVersion(buf[offset++]);
+    const flags = buf[offset++];
+    const docID = buf.slice(offset, offset += 32).toString("hex");
+    const threshold = buf.readUInt16BE(offset);
+    offset += 2;
+    const createdAt = buf.readUInt32BE(offset) * 0x100000000 + buf.readUInt32BE(offset + 4);
+    offset += 8;
+    const author = "0x" + buf.slice(offset, offset += 20).toString("hex");
+    const contentTypeEnd = offset + 1 + buf[offset];
+    if (buf.length <= contentTypeEnd) throw new Error("Invalid envelope: truncated");
+    return create({
+        docID,
+        contentType: buf.slice(offset + 1, contentTypeEnd).toString("utf8"),
+        threshold: flags & HAS_THRESHOLD ? threshold : null,
+        createdAt,
+        author: flags & HAS_AUTHOR ? author : null,
+        ciphertext: buf.slice(contentTypeEnd).toString("hex")
+    });
+}
+
+/**
+ * @ignore
+ */
+function envelopeKey(documentKey) {
+    const key = crypto.toBuffer(documentKey);
+    if (key.length !== 64) throw new Error("Invalid document key length: " + key.length);
+    return nodeCrypto.createHmac("sha256", key).update(MAGIC).digest();
+}
+
+/**
+ * @ignore
+ */
+function checkVersion(version) {
+    if (version !== VERSION) throw new Error("Unsupported envelope version: " + version);
+}
+
+/**
+ * @ignore
+ */
+function isJson(contentType) {
+    return typeof contentType === "string" && /^application\/([a-z0-9.-]+\+)?json\s*(;|$)/i.test(contentType);
+}
+
+module.exports = {
+    encodeContent,
+    decodeContent,
+    create,
+    seal,
+    open,
+    toJSON,
+    toBinary,
+    parse
+}
@@ -2,3 +2,10 @@
 
 module.exports = require("./secret.js");
 module.exports.session = require("./session.js");
+module.exports.local = require("./local.js");
+module.exports.stream = require("./stream.js");
+module.exports.envelope = require("./envelope.js");
+module.exports.pool = require("./pool.js");
+module.exports.client = require("./client.js");
+module.exports.wallet = require("./wallet.js");
+module.exports.admin = require("./admin.js");
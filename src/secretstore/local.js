@@ -0,0 +1,175 @@
+/** @module secretstore/local */
+"use strict";
+
+const crypto = require("../crypto.js");
+
+/**
+ * Decrypts the private key of an encrypted JSON keystore, like the ones in Parity's `keys` directory.
+ *
+ * @memberof module:secretstore/local
+ * @param {Object|String} keystore The keystore JSON, parsed or as a string
+ * @param {String} password Password of the keystore
+ * @returns {String} The hex-encoded private key
+ */
+function decryptKeystore(keystore, password) {
+    const Accounts = require("web3-eth-accounts");
+    if (typeof keystore === "string") keystore = JSON.parse(keystore);
+    return new Accounts().decrypt(keystore, password).privateKey;
+}
+
+/**
+ * Resolves a private key given either directly or as a keystore and its password.
+ *
+ * @param {String|Object} key Hex-encoded private key, or an object with `keystore` and `password` fields
+ * @returns {String} The hex-encoded private key
+ * @ignore
+ */
+function toPrivateKey(key) {
+    if (key && typeof key === "object" && key.keystore) {
+        return decryptKeystore(key.keystore, key.password);
+    }
+    return key;
+}
+
+/**
+ * Decrypts a document key encrypted with the requester's public key (ECIES), as returned by
+ * `session.retrieveDocumentKey`, `session.generateServerAndDocumentKey` or the `encrypted_key`
+ * field of `generateDocumentKey`. Unlike `secretstore_encrypt` and `secretstore_decrypt`, this
+ * happens locally: neither the password nor the document key leave the process.
+ *
+ * @memberof module:secretstore/local
+ * @param {String|Object} key Requester's private key, or an object with `keystore` and `password` fields
+ * @param {String} encryptedKey Document key encrypted with requester's public key
+ * @returns {String} The hex-encoded document key (64 bytes, a curve point)
+ */
+function decryptDocumentKey(key, encryptedKey) {
+    const documentKey = crypto.eciesDecrypt(toPrivateKey(key), encryptedKey);
+    if (documentKey.length !== 64) {
+        throw new Error("Invalid document key length: " + documentKey.length);
+    }
+    return crypto.toHex(documentKey);
+}
+
+/**
+ * Encrypts a document locally, producing the same output as `secretstore_encrypt`:
+ * AES-128-CTR keyed by the first 16 bytes of the document key, with the 16 byte IV appended to the ciphertext.
+ *
+ * @memberof module:secretstore/local
+ * @param {String} documentKey The plain document key, as returned by {@link module:secretstore/local.decryptDocumentKey decryptDocumentKey}
+ * @param {String} hexDocument Hex encoded document data
+ * @param {String} iv Hex encoded 16 byte initialization vector. Random by default, only set it to reproduce a known ciphertext
+ * @returns {String} The hex-encoded encrypted document
+ */
+function encrypt(documentKey, hexDocument, iv) {
+    if (iv !== undefined) {
+        iv = crypto.toBuffer(iv);
+        if (iv.length !== crypto.INIT_VEC_LEN) {
+            throw new Error("Invalid initialization vector length: " + iv.length);
+        }
+    }
+    return crypto.toHex(crypto.encryptDocument(documentKey, hexDocument, iv));
+}
+
+/**
+ * Decrypts a document locally that was encrypted by {@link module:secretstore/local.encrypt encrypt} or `secretstore_encrypt`.
+ *
+ * @memberof module:secretstore/local
+ * @param {String} documentKey The plain document key, as returned by {@link module:secretstore/local.decryptDocumentKey decryptDocumentKey}
+ * @param {String} encryptedDocument Hex encoded encrypted document data
+ * @returns {String} The hex-encoded decrypted document
+ */
+function decrypt(documentKey, encryptedDocument) {
+    return crypto.toHex(crypto.decryptDocument(documentKey, encryptedDocument));
+}
+
+/**
+ * Recovers the document key locally from the result of a `document key shadow retrieval` session,
+ * by decrypting the shadow coefficients with the requester's private key. The document key is never
+ * reconstructed on any key server nor sent to a Parity node.
+ *
+ * @memberof module:secretstore/local
+ * @param {String|Object} key Requester's private key, or an object with `keystore` and `password` fields
+ * @param {String} decryptedSecret Field from `document key shadow retrieval session` result
+ * @param {String} commonPoint Field from `document key shadow retrieval session` result
+ * @param {Array<String>} decryptShadows Field from `document key shadow retrieval session` result
+ * @returns {String} The hex-encoded document key (64 bytes, a curve point)
+ */
+function decryptShadowDocumentKey(key, decryptedSecret, commonPoint, decryptShadows) {
+    const secret = toPrivateKey(key);
+    const shadows = decryptShadows.map(shadow => crypto.eciesDecrypt(secret, shadow));
+    return crypto.toHex(crypto.decryptWithShadowCoefficients(decryptedSecret, commonPoint, shadows));
+}
+
+/**
+ * Decrypts a document locally with the result of a `document key shadow retrieval` session,
+ * the client-side counterpart of `shadowDecrypt`.
+ *
+ * @memberof module:secretstore/local
+ * @param {String|Object} key Requester's private key, or an object with `keystore` and `password` fields
+ * @param {String} decryptedSecret Field from `document key shadow retrieval session` result
+ * @param {String} commonPoint Field from `document key shadow retrieval session` result
+ * @param {Array<String>} decryptShadows Field from `document key shadow retrieval session` result
+ * @param {String} encryptedDocument Encrypted document data, returned by `encrypt`
+ * @returns {String} The hex-encoded decrypted document
+ */
+function shadowDecrypt(key, decryptedSecret, commonPoint, decryptShadows, encryptedDocument) {
+    return decrypt(decryptShadowDocumentKey(key, decryptedSecret, commonPoint, decryptShadows), encryptedDocument);
+}
+
+/**
+ * Decrypts the result of a `schnorr signing` or `ecdsa signing` session with the requester's private key.
+ * The signature is not verified, see {@link module:secretstore/local.verifySchnorrSignature verifySchnorrSignature}
+ * and {@link module:secretstore/local.verifyEcdsaSignature verifyEcdsaSignature}.
+ *
+ * @memberof module:secretstore/local
+ * @param {String|Object} key Requester's private key, or an object with `keystore` and `password` fields
+ * @param {String} encryptedSignature Signature encrypted with requester's public key, as returned by `session.signSchnorr` or `session.signEcdsa`
+ * @returns {String} The hex-encoded signature: c || s (64 bytes) for Schnorr, r || s || v (65 bytes) for ECDSA
+ */
+function decryptSignature(key, encryptedSignature) {
+    const signature = crypto.eciesDecrypt(toPrivateKey(key), encryptedSignature);
+    if (signature.length !== 64 && signature.length !== 65) {
+        throw new Error("Invalid signature length: " + signature.length);
+    }
+    return crypto.toHex(signature);
+}
+
+/**
+ * Verifies the Schnorr signature computed by a `schnorr signing` session against the server key.
+ * Malformed signatures are reported as invalid, so that the result of a misbehaving node can't pass.
+ *
+ * @memberof module:secretstore/local
+ * @param {String} serverKey The server key public, as returned by `session.generateServerKey`
+ * @param {String} messageHash The signed 256-bit hash
+ * @param {String} signature The hex-encoded signature c || s, as returned by {@link module:secretstore/local.decryptSignature decryptSignature}
+ * @returns {Boolean} True if the signature is valid for the message and the server key
+ */
+function verifySchnorrSignature(serverKey, messageHash, signature) {
+    return crypto.verifySchnorr(serverKey, messageHash, signature);
+}
+
+/**
+ * Verifies the ECDSA signature computed by an `ecdsa signing` session against the server key.
+ * Malformed signatures are reported as invalid, so that the result of a misbehaving node can't pass.
+ *
+ * @memberof module:secretstore/local
+ * @param {String} serverKey The server key public, as returned by `session.generateServerKey`
+ * @param {String} messageHash The signed 256-bit hash
+ * @param {String} signature The hex-encoded signature r || s || v, as returned by {@link module:secretstore/local.decryptSignature decryptSignature}
+ * @returns {Boolean} True if the signature is valid for the message and the server key
+ */
+function verifyEcdsaSignature(serverKey, messageHash, signature) {
+    return crypto.verify(serverKey, messageHash, signature);
+}
+
+module.exports = {
+    decryptKeystore,
+    decryptDocumentKey,
+    encrypt,
+    decrypt,
+    decryptShadowDocumentKey,
+    shadowDecrypt,
+    decryptSignature,
+    verifySchnorrSignature,
+    verifyEcdsaSignature
+}
@@ -0,0 +1,161 @@
+/** @module secretstore/pool */
+"use strict";
+
+const { isNetworkError } = require("../call.js");
+
+/**
+ * Tells whether a failed session request is worth retrying on another node:
+ * connection errors (see {@link module:call.isNetworkError isNetworkError}) and transient session errors
+ * (like `Consensus temporary unreachable`) are, rejected requests (like `Access denied` or
+ * `Server key with this ID is already generated`) are not, and neither are requests aborted on timeout
+ * or cancellation, nor any other error, like a bug of the request.
+ *
+ * @memberof module:secretstore/pool
+ * @param {Error} error The error of the failed request
+ * @returns {Boolean} True if another node may succeed
+ */
+function isRetryable(error) {
+    if (!error || error.name === "AbortError") return false;
+    if (!error.response) return isNetworkError(error);
+    if (typeof error.transient === "boolean") return error.transient;
+    return error.response.statusCode >= 500;
+}
+
+/**
+ * A set of Secret Store HTTP endpoints serving the same sessions. It can be passed
+ * to any function of {@link module:secretstore/session} in place of a single URL:
+ * each request goes to a node picked by the selection strategy, and is retried on the
+ * next one upon a connection error or a transient error. Failing nodes are marked down and only
+ * tried as a last resort until `cooldown` passes.
+ *
+ * @memberof module:secretstore/pool
+ * @class
+ */
+class NodePool {
+    /**
+     * @constructor
+     * @param {Array<String>} urls URLs where the SS nodes are listening for incoming requests
+     * @param {Object} options
+     * @param {String} options.strategy `"round-robin"` (default) or `"random"`
+     * @param {Number} options.cooldown Milliseconds a failed node is avoided for. Default is 30000
+     * @param {Number} options.maxAttempts Maximum number of nodes tried for one request. Default is all of them
+     * @param {Function} options.retryable Predicate on the error telling whether to try another node. Default is {@link module:secretstore/pool.isRetryable isRetryable}
+     */
+    constructor(urls, {strategy="round-robin", cooldown=30000, maxAttempts, retryable=isRetryable}={}) {
+        if (!Array.isArray(urls) || urls.length === 0) {
+            throw new TypeError("At least one Secret Store URL is required");
+        }
+        if (strategy !== "round-robin" && strategy !== "random") {
+            throw new TypeError("Unknown strategy: " + strategy);
+        }
+        this.nodes = urls.map(url => ({url, failures: 0, downUntil: 0, lastError: null}));
+        this.strategy = strategy;
+        this.cooldown = cooldown;
+        this.maxAttempts = maxAttempts || urls.length;
+        this.retryable = retryable;
+        this._next = 0;
+    }
+
+    /**
+     * @returns {Array<String>} URLs of the nodes
+     */
+    get urls() {
+        return this.nodes.map(node => node.url);
+    }
+
+    /**
+     * @returns {Array<Object>} `url`, `healthy`, number of consecutive `failures` and `lastError` of every node
+     */
+    status() {
+        const now = Date.now();
+        return this.nodes.map(node => ({
+            url: node.url,
+            healthy: node.downUntil <= now,
+            failures: node.failures,
+            lastError: node.lastError
+        }));
+    }
+
+    /**
+     * Marks a node as failed, so that it is avoided for `cooldown` milliseconds.
+     *
+     * @param {String} url URL of the node
+     * @param {Error} error The error it failed with
+     */
+    markDown(url, error) {
+        const node = this._node(url);
+        node.failures++;
+        node.lastError = error || null;
+        node.downUntil = Date.now() + this.cooldown;
+    }
+
+    /**
+     * Marks a node as healthy.
+     *
+     * @param {String} url URL of the node
+     */
+    markUp(url) {
+        const node = this._node(url);
+        node.failures = 0;
+        node.lastError = null;
+        node.downUntil = 0;
+    }
+
+    /**
+     * The order nodes are tried in for the next request: healthy ones as picked by the strategy,
+     * then the ones marked down, those failing the longest last.
+     *
+     * @returns {Array<String>} URLs of the nodes
+     */
+    select() {
+        const now = Date.now();
+        let order;
+        if (this.strategy === "random") {
+            order = this.nodes.slice();
+            for (let i = order.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [order[i], order[j]] = [order[j], order[i]];
+            }
+        }
+        else {
+            order = this.nodes.slice(this._next).concat(this.nodes.slice(0, this._next));
+            this._next = (this._next + 1) % this.nodes.length;
+        }
+        const healthy = order.filter(node => node.downUntil <= now);
+        const down = order.filter(node => node.downUntil > now).sort((a, b) => a.failures - b.failures);
+        return healthy.concat(down).map(node => node.url);
+    }
+
+    /**
+     * Runs a request against the nodes until one succeeds, a non-retryable error occurs, `maxAttempts` nodes failed
+     * or the signal is aborted. A request failing because of the signal doesn't mark its node down.
+     *
+     * @param {Function} fn Function taking a node URL, returning a Promise of the result
+     * @param {AbortSignal} signal Optional signal of the call, stopping the failover once aborted
+     * @returns {Promise<any>} The result of the first successful request, or the last error
+     */
+    run(fn, signal) {
+        const candidates = this.select().slice(0, this.maxAttempts);
+        const attempt = (i) => fn(candidates[i]).then(result => {
+            this.markUp(candidates[i]);
+            return result;
+        }, error => {
+            if ((signal && signal.aborted) || !this.retryable(error)) throw error;
+            this.markDown(candidates[i], error);
+            if (i + 1 >= candidates.length) throw error;
+            return attempt(i + 1);
+        });
+        return attempt(0);
+    }
+
+    _node(url) {
+        const node = this.nodes.find(n => n.url === url);
+        if (!node) throw new Error("Unknown node: " + url);
+        return node;
+    }
+}
+
+module.exports = {
+    NodePool,
+    isRetryable
+}
@@ -3,6 +3,11 @@
 "use strict";
 
 const utils = require("../utils.js");
+const rpc = require("../rpc.js");
+const logger = require("../logger.js");
+const crypto = require("../crypto.js");
+const local = require("./local.js");
+const { RpcSigner } = require("../signer.js");
 
 /**
  * 
@@ -10,68 +15,32 @@ const utils = require("../utils.js");
  * signatures of server key id and signatures of nodes set hash.
  * 
  * @memberof module:secretstore
- * @param {Object} web3 The web3 instance
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
  * @param {String} account Account of SS user
  * @param {String} pwd Password of SS user
  * @param {String} hash The 256-bit hash to be signed (server key id or nodes set hash)
- * @param {Boolean} verbose Whether to console log errors
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
  * @returns {Promise<String>} The signed hash
  */
-function signRawHash(web3, account, pwd, hash, verbose=true) {
-    return new Promise((resolve, reject) => {
-        web3.currentProvider.send({
-            jsonrpc: '2.0',
-            method: 'secretstore_signRawHash',
-            params: [account, pwd, utils.add0x(hash)],
-            id: 1
-        }, (e, r) => {
-            if (e) {
-                if (verbose) utils.logError(e);
-                reject(e);
-            }
-            else if (r.error !== undefined) {
-                if (verbose) utils.logError(r.error);
-                reject(r.error);
-            }
-            else {
-                resolve(r.result);
-            }
-        });
-    });
+function signRawHash(web3, account, pwd, hash, verbose=true, options={}) {
+    return rpc.send(web3, 'secretstore_signRawHash', [account, pwd, utils.add0x(hash)], verbose, options);
 }
 
 /**
  * Securely generates document key, so that it remains unknown to all key servers.
  * 
  * @memberof module:secretstore
- * @param {Object} web3 The web3 instance
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
  * @param {String} account Account of SS user
  * @param {String} pwd Password of SS user
  * @param {String} serverKey The server key, returned by a server key generating session
- * @param {Boolean} verbose Whether to console log errors
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
  * @return {Promise<String>} The document key
  */
-function generateDocumentKey(web3, account, pwd, serverKey, verbose=true) {
-    return new Promise((resolve, reject) => {
-        web3.currentProvider.send({
-            jsonrpc: '2.0',
-            method: 'secretstore_generateDocumentKey',
-            params: [account, pwd, serverKey],
-            id: 1
-        }, (e, r) => {
-            if (e) {
-                if (verbose) utils.logError(e);
-                reject(e);
-            }
-            else if (r.error !== undefined) {
-                if (verbose) utils.logError(r.error);
-                reject(r.error);
-            }
-            else {
-                resolve(r.result);
-            }
-        });
-    });
+function generateDocumentKey(web3, account, pwd, serverKey, verbose=true, options={}) {
+    return rpc.send(web3, 'secretstore_generateDocumentKey', [account, pwd, serverKey], verbose, options);
 }
 
 /**
@@ -80,35 +49,17 @@ function generateDocumentKey(web3, account, pwd, serverKey, verbose=true) {
  * or a server- and document key generation session.
  * 
  * @memberof module:secretstore
- * @param {Object} web3 The web3 instance
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
  * @param {String} account Account of SS user
  * @param {String} pwd Password of SS user
  * @param {String} encryptedKey Document key encrypted with requester's public key
  * @param {String} hexDocument Hex encoded document data
- * @param {Boolean} verbose Whether to console log errors
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
  * @return {Promise<String>} The encrypted secret document
  */
-function encrypt(web3, account, pwd, encryptedKey, hexDocument, verbose=true) {
-    return new Promise((resolve, reject) => {
-        web3.currentProvider.send({
-            jsonrpc: '2.0',
-            method: 'secretstore_encrypt',
-            params: [account, pwd, encryptedKey, hexDocument],
-            id: 1
-        }, (e, r) => {
-            if (e) {
-                if (verbose) utils.logError(e);
-                reject(e);
-            }
-            else if (r.error !== undefined) {
-                if (verbose) utils.logError(r.error);
-                reject(r.error);
-            }
-            else {
-                resolve(r.result);
-            }
-        });
-    });
+function encrypt(web3, account, pwd, encryptedKey, hexDocument, verbose=true, options={}) {
+    return rpc.send(web3, 'secretstore_encrypt', [account, pwd, encryptedKey, hexDocument], verbose, options);
 }
 
 /**
@@ -116,113 +67,310 @@ function encrypt(web3, account, pwd, encryptedKey, hexDocument, verbose=true) {
  * encrypted by `encrypt` method before.
  * 
  * @memberof module:secretstore
- * @param {Object} web3 The web3 instance
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
  * @param {String} account Account of SS user
  * @param {String} pwd Password of SS user
  * @param {String} encryptedKey Document key encrypted with requester's public key
  * @param {String} encryptedDocument Encrypted document data, returned by "encrypt"
- * @param {Boolean} verbose Whether to console log errors
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
  * @return {Promise<String>} The decrypted secret document
  */
-function decrypt(web3, account, pwd, encryptedKey, encryptedDocument, verbose=true) {
-    return new Promise((resolve, reject) => {
-        web3.currentProvider.send({
-            jsonrpc: '2.0',
-            method: 'secretstore_decrypt',
-            params: [account, pwd, encryptedKey, encryptedDocument],
-            id: 1
-        }, (e, r) => {
-            if (e) {
-                if (verbose) utils.logError(e);
-                reject(e);
-            }
-            else if (r.error !== undefined) {
-                if (verbose) utils.logError(r.error);
-                reject(r.error);
-            }
-            else {
-                resolve(r.result);
-            }
-        });
-    });
+function decrypt(web3, account, pwd, encryptedKey, encryptedDocument, verbose=true, options={}) {
+    return rpc.send(web3, 'secretstore_decrypt', [account, pwd, encryptedKey, encryptedDocument], verbose, options);
 }
 
 /**
  * This method can be used to decrypt document, encrypted by `encrypt` method before.
  * 
  * @memberof module:secretstore
- * @param {Object} web3 The web3 instance
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
  * @param {String} account Account of SS user
  * @param {String} pwd Password of SS user
  * @param {String} decryptedSecret Field from `document key shadow retrieval session` result
  * @param {String} commonPoint Field from `document key shadow retrieval session` result
  * @param {String} decryptShadows Field from `document key shadow retrieval session` result
  * @param {String} encryptedDocument Encrypted document data, returned by `encrypt`
- * @param {Boolean} verbose Whether to console log errors
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
  * @return {Promise<String>} The decrypted secret document
  */
-function shadowDecrypt(web3, account, pwd, decryptedSecret, commonPoint, decryptShadows, encryptedDocument, verbose=true) {
-    return new Promise((resolve, reject) => {
-        web3.currentProvider.send({
-            jsonrpc: '2.0',
-            method: 'secretstore_shadowDecrypt',
-            params: [account, pwd, decryptedSecret, commonPoint, decryptShadows, encryptedDocument],
-            id: 1
-        }, (e, r) => {
-            if (e) {
-                if (verbose) utils.logError(e);
-                reject(e);
-            }
-            else if (r.error !== undefined) {
-                if (verbose) utils.logError(r.error);
-                reject(r.error);
-            }
-            else {
-                resolve(r.result);
-            }
-        });
-    });
+function shadowDecrypt(web3, account, pwd, decryptedSecret, commonPoint, decryptShadows, encryptedDocument, verbose=true, options={}) {
+    return rpc.send(web3, 'secretstore_shadowDecrypt', [account, pwd, decryptedSecret, commonPoint, decryptShadows, encryptedDocument], verbose, options);
 }
 
 /**
  * 
  * Computes the hash of nodes ids, required to compute nodes set signature 
  * for manual `nodes set change` session.
+ * {@link module:secretstore/admin.serversSetHash admin.serversSetHash} computes it locally.
  * 
  * @memberof module:secretstore
- * @param {Object} web3 The web3 instance
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
  * @param {Array<String>} nodeIDs node IDs of the "new set"
- * @param {Boolean} verbose Whether to console log errors
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
  * @returns {Promise<String>} The hash
  */
-function serversSetHash(web3, nodeIDs, verbose=true) {
-    return new Promise((resolve, reject) => {
-        web3.currentProvider.send({
-            jsonrpc: '2.0',
-            method: 'secretstore_serversSetHash',
-            params: [nodeIDs],
-            id: 1
-        }, (e, r) => {
-            if (e) {
-                if (verbose) utils.logError(e);
-                reject(e);
-            }
-            else if (r.error !== undefined) {
-                if (verbose) utils.logError(r.error);
-                reject(r.error);
-            }
-            else {
-                resolve(r.result);
-            }
-        });
+function serversSetHash(web3, nodeIDs, verbose=true, options={}) {
+    return rpc.send(web3, 'secretstore_serversSetHash', [nodeIDs], verbose, options);
+}
+
+/**
+ * Signs many hashes in batched JSON-RPC requests, like {@link module:secretstore.signRawHash signRawHash} does one.
+ *
+ * @memberof module:secretstore
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
+ * @param {String} account Account of SS user
+ * @param {String} pwd Password of SS user
+ * @param {Array<String>} hashes The 256-bit hashes to be signed
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options of every batch, see {@link module:call}, and `batchSize`: the most requests in one batch. Default is 100
+ * @returns {Promise<Array<Object>>} The outcome of every hash, in order: `{status: "fulfilled", value}` with the signature,
+ * or `{status: "rejected", reason}` with the error
+ */
+function signRawHashMany(web3, account, pwd, hashes, verbose=true, options={}) {
+    return rpc.sendBatch(web3, hashes.map(hash => ({
+        method: 'secretstore_signRawHash', params: [account, pwd, utils.add0x(hash)]
+    })), verbose, options);
+}
+
+/**
+ * Encrypts many documents in batched JSON-RPC requests, like {@link module:secretstore.encrypt encrypt} does one.
+ *
+ * @memberof module:secretstore
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
+ * @param {String} account Account of SS user
+ * @param {String} pwd Password of SS user
+ * @param {Array<Object>} items The `encryptedKey` and `hexDocument` of every document
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options of every batch, see {@link module:call}, and `batchSize`: the most requests in one batch. Default is 100
+ * @returns {Promise<Array<Object>>} The outcome of every document, in order: `{status: "fulfilled", value}` with the encrypted document,
+ * or `{status: "rejected", reason}` with the error
+ */
+function encryptMany(web3, account, pwd, items, verbose=true, options={}) {
+    return rpc.sendBatch(web3, items.map(({encryptedKey, hexDocument}) => ({
+        method: 'secretstore_encrypt', params: [account, pwd, encryptedKey, hexDocument]
+    })), verbose, options);
+}
+
+/**
+ * Decrypts many documents in batched JSON-RPC requests, like {@link module:secretstore.decrypt decrypt} does one.
+ *
+ * @memberof module:secretstore
+ * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
+ * @param {String} account Account of SS user
+ * @param {String} pwd Password of SS user
+ * @param {Array<Object>} items The `encryptedKey` and `encryptedDocument` of every document
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options of every batch, see {@link module:call}, and `batchSize`: the most requests in one batch. Default is 100
+ * @returns {Promise<Array<Object>>} The outcome of every document, in order: `{status: "fulfilled", value}` with the decrypted document,
+ * or `{status: "rejected", reason}` with the error
+ */
+function decryptMany(web3, account, pwd, items, verbose=true, options={}) {
+    return rpc.sendBatch(web3, items.map(({encryptedKey, encryptedDocument}) => ({
+        method: 'secretstore_decrypt', params: [account, pwd, encryptedKey, encryptedDocument]
+    })), verbose, options);
+}
+
+/**
+ * Settles the promises of the local, signer based variants of the batched functions.
+ *
+ * @ignore
+ */
+function settle(promises) {
+    return Promise.all(promises.map(promise => promise.then(
+        value => ({status: "fulfilled", value}),
+        reason => ({status: "rejected", reason})
+    )));
+}
+
+/**
+ * Logs errors of the local, signer based variants like the RPC based functions do.
+ *
+ * @ignore
+ */
+function logged(promise, verbose) {
+    return promise.catch(e => {
+        logger.get(verbose).error("Signer operation failed", {error: e});
+        throw e;
     });
 }
 
+/**
+ * Signs a hash with a signer, like {@link module:secretstore.signRawHash signRawHash} does with a node account.
+ *
+ * @memberof module:secretstore
+ * @param {module:signer.Signer} signer Signer of the SS user. An {@link module:signer.RpcSigner RpcSigner} goes through the node, other signers compute everything locally apart from their own requests
+ * @param {String} hash The 256-bit hash to be signed (server key id or nodes set hash)
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
+ * @returns {Promise<String>} The signed hash
+ */
+function signRawHashWithSigner(signer, hash, verbose=true, options={}) {
+    if (signer instanceof RpcSigner) {
+        return signRawHash(signer.web3, signer.account, signer.pwd, hash, verbose, options);
+    }
+    return logged(signer.signRawHash(utils.add0x(hash)), verbose);
+}
+
+/**
+ * Generates a document key for a signer, like {@link module:secretstore.generateDocumentKey generateDocumentKey} does for a node account.
+ * With a local signer, the document key is generated in this process.
+ *
+ * @memberof module:secretstore
+ * @param {module:signer.Signer} signer Signer of the SS user. An {@link module:signer.RpcSigner RpcSigner} goes through the node, other signers compute everything locally apart from their own requests
+ * @param {String} serverKey The server key, returned by a server key generating session
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
+ * @returns {Promise<Object>} The `common_point`, `encrypted_point` and `encrypted_key` of the document key
+ */
+function generateDocumentKeyWithSigner(signer, serverKey, verbose=true, options={}) {
+    if (signer instanceof RpcSigner) {
+        return generateDocumentKey(signer.web3, signer.account, signer.pwd, serverKey, verbose, options);
+    }
+    return logged(signer.getPublic().then(requesterPublic => {
+        const documentKey = crypto.publicFromSecret(crypto.randomScalar());
+        const encrypted = crypto.encryptSecret(documentKey, serverKey);
+        return {
+            common_point: crypto.toHex(encrypted.common_point),
+            encrypted_point: crypto.toHex(encrypted.encrypted_point),
+            encrypted_key: crypto.toHex(crypto.eciesEncrypt(requesterPublic, documentKey))
+        };
+    }), verbose);
+}
+
+/**
+ * Encrypts a document with a signer, like {@link module:secretstore.encrypt encrypt} does with a node account.
+ *
+ * @memberof module:secretstore
+ * @param {module:signer.Signer} signer Signer of the SS user. An {@link module:signer.RpcSigner RpcSigner} goes through the node, other signers compute everything locally apart from their own requests
+ * @param {String} encryptedKey Document key encrypted with requester's public key
+ * @param {String} hexDocument Hex encoded document data
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
+ * @returns {Promise<String>} The encrypted secret document
+ */
+function encryptWithSigner(signer, encryptedKey, hexDocument, verbose=true, options={}) {
+    if (signer instanceof RpcSigner) {
+        return encrypt(signer.web3, signer.account, signer.pwd, encryptedKey, hexDocument, verbose, options);
+    }
+    return logged(signer.decrypt(encryptedKey)
+        .then(documentKey => local.encrypt(documentKey, hexDocument)), verbose);
+}
+
+/**
+ * Decrypts a document with a signer, like {@link module:secretstore.decrypt decrypt} does with a node account.
+ *
+ * @memberof module:secretstore
+ * @param {module:signer.Signer} signer Signer of the SS user. An {@link module:signer.RpcSigner RpcSigner} goes through the node, other signers compute everything locally apart from their own requests
+ * @param {String} encryptedKey Document key encrypted with requester's public key
+ * @param {String} encryptedDocument Encrypted document data, returned by `encrypt`
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
+ * @returns {Promise<String>} The decrypted secret document
+ */
+function decryptWithSigner(signer, encryptedKey, encryptedDocument, verbose=true, options={}) {
+    if (signer instanceof RpcSigner) {
+        return decrypt(signer.web3, signer.account, signer.pwd, encryptedKey, encryptedDocument, verbose, options);
+    }
+    return logged(signer.decrypt(encryptedKey)
+        .then(documentKey => local.decrypt(documentKey, encryptedDocument)), verbose);
+}
+
+/**
+ * Decrypts a document with a signer and the result of a shadow retrieval session, like {@link module:secretstore.shadowDecrypt shadowDecrypt} does with a node account.
+ *
+ * @memberof module:secretstore
+ * @param {module:signer.Signer} signer Signer of the SS user. An {@link module:signer.RpcSigner RpcSigner} goes through the node, other signers compute everything locally apart from their own requests
+ * @param {String} decryptedSecret Field from `document key shadow retrieval session` result
+ * @param {String} commonPoint Field from `document key shadow retrieval session` result
+ * @param {Array<String>} decryptShadows Field from `document key shadow retrieval session` result
+ * @param {String} encryptedDocument Encrypted document data, returned by `encrypt`
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
+ * @returns {Promise<String>} The decrypted secret document
+ */
+function shadowDecryptWithSigner(signer, decryptedSecret, commonPoint, decryptShadows, encryptedDocument, verbose=true, options={}) {
+    if (signer instanceof RpcSigner) {
+        return shadowDecrypt(signer.web3, signer.account, signer.pwd, decryptedSecret, commonPoint, decryptShadows, encryptedDocument, verbose, options);
+    }
+    return logged(Promise.all(decryptShadows.map(shadow => signer.decrypt(shadow))).then(shadows => {
+        const documentKey = crypto.decryptWithShadowCoefficients(decryptedSecret, commonPoint, shadows);
+        return local.decrypt(documentKey, encryptedDocument);
+    }), verbose);
+}
+
+/**
+ * Signs many hashes with a signer, like {@link module:secretstore.signRawHashMany signRawHashMany} does with a node account.
+ * Only an {@link module:signer.RpcSigner RpcSigner} goes through batched requests.
+ *
+ * @memberof module:secretstore
+ * @param {module:signer.Signer} signer Signer of the SS user. An {@link module:signer.RpcSigner RpcSigner} goes through the node, other signers compute everything locally apart from their own requests
+ * @param {Array<String>} hashes The 256-bit hashes to be signed
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options of every batch, see {@link module:call}, and `batchSize`: the most requests in one batch. Default is 100
+ * @returns {Promise<Array<Object>>} The outcome of every hash, in order, see {@link module:secretstore.signRawHashMany signRawHashMany}
+ */
+function signRawHashManyWithSigner(signer, hashes, verbose=true, options={}) {
+    if (signer instanceof RpcSigner) {
+        return signRawHashMany(signer.web3, signer.account, signer.pwd, hashes, verbose, options);
+    }
+    return settle(hashes.map(hash => signRawHashWithSigner(signer, hash, verbose, options)));
+}
+
+/**
+ * Encrypts many documents with a signer, like {@link module:secretstore.encryptMany encryptMany} does with a node account.
+ * Only an {@link module:signer.RpcSigner RpcSigner} goes through batched requests.
+ *
+ * @memberof module:secretstore
+ * @param {module:signer.Signer} signer Signer of the SS user. An {@link module:signer.RpcSigner RpcSigner} goes through the node, other signers compute everything locally apart from their own requests
+ * @param {Array<Object>} items The `encryptedKey` and `hexDocument` of every document
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options of every batch, see {@link module:call}, and `batchSize`: the most requests in one batch. Default is 100
+ * @returns {Promise<Array<Object>>} The outcome of every document, in order, see {@link module:secretstore.encryptMany encryptMany}
+ */
+function encryptManyWithSigner(signer, items, verbose=true, options={}) {
+    if (signer instanceof RpcSigner) {
+        return encryptMany(signer.web3, signer.account, signer.pwd, items, verbose, options);
+    }
+    return settle(items.map(({encryptedKey, hexDocument}) => encryptWithSigner(signer, encryptedKey, hexDocument, verbose, options)));
+}
+
+/**
+ * Decrypts many documents with a signer, like {@link module:secretstore.decryptMany decryptMany} does with a node account.
+ * Only an {@link module:signer.RpcSigner RpcSigner} goes through batched requests.
+ *
+ * @memberof module:secretstore
+ * @param {module:signer.Signer} signer Signer of the SS user. An {@link module:signer.RpcSigner RpcSigner} goes through the node, other signers compute everything locally apart from their own requests
+ * @param {Array<Object>} items The `encryptedKey` and `encryptedDocument` of every document
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options of every batch, see {@link module:call}, and `batchSize`: the most requests in one batch. Default is 100
+ * @returns {Promise<Array<Object>>} The outcome of every document, in order, see {@link module:secretstore.decryptMany decryptMany}
+ */
+function decryptManyWithSigner(signer, items, verbose=true, options={}) {
+    if (signer instanceof RpcSigner) {
+        return decryptMany(signer.web3, signer.account, signer.pwd, items, verbose, options);
+    }
+    return settle(items.map(({encryptedKey, encryptedDocument}) => decryptWithSigner(signer, encryptedKey, encryptedDocument, verbose, options)));
+}
+
 module.exports = {
     signRawHash,
     generateDocumentKey,
     encrypt,
     decrypt,
     shadowDecrypt,
-    serversSetHash
+    serversSetHash,
+    signRawHashMany,
+    encryptMany,
+    decryptMany,
+    signRawHashWithSigner,
+    generateDocumentKeyWithSigner,
+    encryptWithSigner,
+    decryptWithSigner,
+    shadowDecryptWithSigner,
+    signRawHashManyWithSigner,
+    encryptManyWithSigner,
+    decryptManyWithSigner
 }
\ No newline at end of file
@@ -2,62 +2,102 @@
 "use strict";
 
 const utils = require("../utils.js");
+const call = require("../call.js");
+const logger = require("../logger.js");
+const transport = require("../transport");
+const { SecretStoreSessionError } = require("../errors.js");
+const { isSigner } = require("../signer.js");
+const { NodePool } = require("./pool.js");
 
 /**
- * Error class, thrown upon a failed SS session http request.
- * 
- * @memberof module:secretstore/session
- * @class
+ * Signs the server key ID with the signer given in place of the signature.
+ *
+ * @ignore
  */
-class SecretStoreSessionError extends Error {
-    /**
-     * @constructor
-     * @param {String} message The error message 
-     * @param {Object} response The response object
-     */
-    constructor(message, response) {
-        super(message);
-        this.response = response;
-        this.name = "SecretStoreSessionError";
+function signServerKeyID(serverKeyID, signer, verbose) {
+    return signer.signRawHash(utils.add0x(utils.remove0x(serverKeyID))).catch(e => {
+        logger.get(verbose).error("Signing the server key ID failed", {error: e, docID: utils.remove0x(serverKeyID)});
+        throw e;
+    });
+}
+
+/**
+ * Sends a session request to a single SS node.
+ *
+ * @ignore
+ */
+function nodeRequest(url, {session, docID, path, method, body}, log, signal, send) {
+    var options = {
+        url: url + path,
+        method: method,
+        headers: {}
+    };
+    if (body !== undefined) {
+        options.body = body;
+        options.headers["Content-Type"] = "application/json";
     }
-};
+
+    log.debug("Secret Store request", {url, path, method});
+    return send(Object.assign({signal}, options)).then(response => {
+        if (response.statusCode != 200) {
+            const error = SecretStoreSessionError.fromResponse(response, {session, docID, url});
+            log.warn("Secret Store request failed", {url, path, method, statusCode: response.statusCode,
+                code: error.code, details: error.details});
+            throw error;
+        }
+        log.debug("Secret Store response", {url, statusCode: response.statusCode});
+        return response.body;
+    }, error => {
+        log.warn("Secret Store request failed", {url, path, method, error});
+        throw error;
+    });
+}
+
+/**
+ * Sends a session request to a single node, or through a pool of nodes failing over between them,
+ * honouring the call options.
+ *
+ * @ignore
+ */
+function sessionRequest(url, request, verbose, options) {
+    if (Array.isArray(url)) url = new NodePool(url);
+    const send = options.transport || call.getDefaults().transport || transport.defaultTransport();
+    const log = logger.get(verbose, {requestId: logger.requestId(), session: request.session, docID: request.docID});
+    return call.run(signal => {
+        if (url instanceof NodePool) {
+            return url.run(nodeUrl => nodeRequest(nodeUrl, request, log, signal, send), signal);
+        }
+        return nodeRequest(url, request, log, signal, send);
+    }, options, undefined, log).catch(error => {
+        log.error("Secret Store session failed", {error, statusCode: error.statusCode});
+        throw error;
+    });
+}
 
 /**
  * Generates server keys.
  * 
  * @memberof module:secretstore/session
- * @param {String} url URL where the SS node is listening for incoming requests
+ * @param {String|Array<String>|module:secretstore/pool.NodePool} url URL where the SS node is listening for incoming requests, or a pool of nodes to fail over between
  * @param {String} serverKeyID The server key ID
- * @param {String} signedServerKeyID The server key ID signed by SS user
+ * @param {String|module:signer.Signer} signedServerKeyID The server key ID signed by SS user, or the signer to sign it with
  * @param {Number} threshold Key threshold value. Please consider the guidelines when choosing this value: https://wiki.parity.io/Secret-Store.html#server-key-generation-session
- * @param {Boolean} verbose Whether to console log errors
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
  * @returns {Promise<String>} The hex-encoded public portion of server key
  */
-function generateServerKey(url, serverKeyID, signedServerKeyID, threshold, verbose=true) {
-
-    return new Promise((resolve, reject) => {
-        const request = require('request');
-
-        var options = {
-            url: url + "/shadow/" + utils.remove0x(serverKeyID) + "/" + utils.remove0x(signedServerKeyID) + "/" + threshold,
-            method: 'POST'
-        };
+function generateServerKey(url, serverKeyID, signedServerKeyID, threshold, verbose=true, options={}) {
+    if (isSigner(signedServerKeyID)) {
+        return signServerKeyID(serverKeyID, signedServerKeyID, verbose)
+            .then(signature => generateServerKey(url, serverKeyID, signature, threshold, verbose, options));
+    }
 
-        request(options, (error, response, body) => {
-            if (error) {
-                if (verbose) utils.logError(e);
-                reject(error);
-            }
-            else if (response.statusCode != 200) {
-                if (verbose) utils.logFailedResponse(response, body, options);
-                var sserror = new SecretStoreSessionError("Request failed.", response);
-                reject(sserror);
-            }
-            else {
-                resolve(utils.removeEnclosingDQuotes(body));
-            }
-        });
-    });
+    return sessionRequest(url, {
+        session: "server key generation",
+        docID: utils.remove0x(serverKeyID),
+        path: "/shadow/" + utils.remove0x(serverKeyID) + "/" + utils.remove0x(signedServerKeyID) + "/" + threshold,
+        method: 'POST'
+    }, verbose, options).then(body => utils.removeEnclosingDQuotes(body));
 }
 
 /**
@@ -67,74 +107,51 @@ function generateServerKey(url, serverKeyID, signedServerKeyID, threshold, verbo
  * you can generate both keys simultaneously.
  * 
  * @memberof module:secretstore/session
- * @param {String} url URL where the SS node is listening for incoming requests
+ * @param {String|Array<String>|module:secretstore/pool.NodePool} url URL where the SS node is listening for incoming requests, or a pool of nodes to fail over between
  * @param {String} serverKeyID The server key ID
- * @param {String} signedServerKeyID The server key ID signed by SS user
+ * @param {String|module:signer.Signer} signedServerKeyID The server key ID signed by SS user, or the signer to sign it with
  * @param {Number} threshold Key threshold value. Please consider the guidelines when choosing this value: https://wiki.parity.io/Secret-Store.html#server-key-generation-session
- * @param {Boolean} verbose Whether to console log errors
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
  * @returns {Promise<String>} The hex-encoded document key, encrypted with requester public key (ECIES encryption is used)
  */
-function generateServerAndDocumentKey(url, serverKeyID, signedServerKeyID, threshold, verbose=true) {
-
-    return new Promise((resolve, reject) => {
-        const request = require('request');
-
-        var options = {
-            url: url + "/" + utils.remove0x(serverKeyID) + "/" + utils.remove0x(signedServerKeyID) + "/" + threshold,
-            method: 'POST'
-        };
+function generateServerAndDocumentKey(url, serverKeyID, signedServerKeyID, threshold, verbose=true, options={}) {
+    if (isSigner(signedServerKeyID)) {
+        return signServerKeyID(serverKeyID, signedServerKeyID, verbose)
+            .then(signature => generateServerAndDocumentKey(url, serverKeyID, signature, threshold, verbose, options));
+    }
 
-        request(options, (error, response, body) => {
-            if (error) {
-                if (verbose) utils.logError(e);
-                reject(error);
-            }
-            else if (response.statusCode != 200) {
-                if (verbose) utils.logFailedResponse(response, body, options);
-                var sserror = new SecretStoreSessionError("Request failed.", response);
-                reject(sserror);
-            }
-            else {
-                resolve(utils.removeEnclosingDQuotes(body));
-            }
-        });
-    });
+    return sessionRequest(url, {
+        session: "server and document key generation",
+        docID: utils.remove0x(serverKeyID),
+        path: "/" + utils.remove0x(serverKeyID) + "/" + utils.remove0x(signedServerKeyID) + "/" + threshold,
+        method: 'POST'
+    }, verbose, options).then(body => utils.removeEnclosingDQuotes(body));
 }
 
 /**
  * This session is a preferable way of retrieving previously generated document key.
  * 
  * @memberof module:secretstore/session
- * @param {String} url URL where the SS node is listening for incoming requests
+ * @param {String|Array<String>|module:secretstore/pool.NodePool} url URL where the SS node is listening for incoming requests, or a pool of nodes to fail over between
  * @param {String} serverKeyID The server key ID
- * @param {String} signedServerKeyID The server key ID signed by SS user
- * @param {Boolean} verbose Whether to console log errors
+ * @param {String|module:signer.Signer} signedServerKeyID The server key ID signed by SS user, or the signer to sign it with
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
  * @returns {Promise<Object>} The hex-encoded decrypted_secret, common_point and decrypt_shadows fields
  */
-function shadowRetrieveDocumentKey(url, serverKeyID, signedServerKeyID, verbose=true) {
-    return new Promise((resolve, reject) => {
-        const request = require('request');
-
-        var options = {
-            url: url + "/shadow/" + utils.remove0x(serverKeyID) + "/" + utils.remove0x(signedServerKeyID),
-            method: 'GET'
-        };
+function shadowRetrieveDocumentKey(url, serverKeyID, signedServerKeyID, verbose=true, options={}) {
+    if (isSigner(signedServerKeyID)) {
+        return signServerKeyID(serverKeyID, signedServerKeyID, verbose)
+            .then(signature => shadowRetrieveDocumentKey(url, serverKeyID, signature, verbose, options));
+    }
 
-        request(options, (error, response, body) => {
-            if (error) {
-                if (verbose) utils.logError(e);
-                reject(error);
-            }
-            else if (response.statusCode != 200) {
-                if (verbose) utils.logFailedResponse(response, body, options);
-                var sserror = new SecretStoreSessionError("Request failed.", response);
-                reject(sserror);
-            }
-            else {
-                resolve(JSON.parse(body));
-            }
-        });
-    });
+    return sessionRequest(url, {
+        session: "document key shadow retrieval",
+        docID: utils.remove0x(serverKeyID),
+        path: "/shadow/" + utils.remove0x(serverKeyID) + "/" + utils.remove0x(signedServerKeyID),
+        method: 'GET'
+    }, verbose, options).then(body => JSON.parse(body));
 }
 
 /**
@@ -144,110 +161,77 @@ function shadowRetrieveDocumentKey(url, serverKeyID, signedServerKeyID, verbose=
  * But it requires Secret Store client either to have an access to Parity RPCs, or to run some EC calculations to decrypt the document key.
  * 
  * @memberof module:secretstore/session
- * @param {String} url URL where the SS node is listening for incoming requests
+ * @param {String|Array<String>|module:secretstore/pool.NodePool} url URL where the SS node is listening for incoming requests, or a pool of nodes to fail over between
  * @param {String} serverKeyID The server key ID
- * @param {String} signedServerKeyID The server key ID signed by SS user
- * @param {Boolean} verbose Whether to console log errors
+ * @param {String|module:signer.Signer} signedServerKeyID The server key ID signed by SS user, or the signer to sign it with
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
  * @returns {Promise<String>} The hex-encoded document key, encrypted with requester public key (ECIES encryption is used)
  */
-function retrieveDocumentKey(url, serverKeyID, signedServerKeyID, verbose=true) {
-    return new Promise((resolve, reject) => {
-        const request = require('request');
-
-        var options = {
-            url: url + "/" + utils.remove0x(serverKeyID) + "/" + utils.remove0x(signedServerKeyID),
-            method: 'GET'
-        };
+function retrieveDocumentKey(url, serverKeyID, signedServerKeyID, verbose=true, options={}) {
+    if (isSigner(signedServerKeyID)) {
+        return signServerKeyID(serverKeyID, signedServerKeyID, verbose)
+            .then(signature => retrieveDocumentKey(url, serverKeyID, signature, verbose, options));
+    }
 
-        request(options, (error, response, body) => {
-            if (error) {
-                if (verbose) utils.logError(e);
-                reject(error);
-            }
-            else if (response.statusCode != 200) {
-                if (verbose) utils.logFailedResponse(response, body, options);
-                var sserror = new SecretStoreSessionError("Request failed.", response);
-                reject(sserror);
-            }
-            else {
-                resolve(utils.removeEnclosingDQuotes(body));
-            }
-        });
-    });
+    return sessionRequest(url, {
+        session: "document key retrieval",
+        docID: utils.remove0x(serverKeyID),
+        path: "/" + utils.remove0x(serverKeyID) + "/" + utils.remove0x(signedServerKeyID),
+        method: 'GET'
+    }, verbose, options).then(body => utils.removeEnclosingDQuotes(body));
 }
 
 /**
  * Schnorr signing session, for computing Schnorr signature of a given message hash.
  * 
  * @memberof module:secretstore/session
- * @param {String} url URL where the SS node is listening for incoming requests
+ * @param {String|Array<String>|module:secretstore/pool.NodePool} url URL where the SS node is listening for incoming requests, or a pool of nodes to fail over between
  * @param {String} serverKeyID The server key ID
- * @param {String} signedServerKeyID The server key ID signed by SS user
+ * @param {String|module:signer.Signer} signedServerKeyID The server key ID signed by SS user, or the signer to sign it with
  * @param {String} messageHash The 256-bit hash of the message that needs to be signed
- * @param {Boolean} verbose Whether to console log errors
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
  * @returns {Promise<String>} The hex-encoded Schnorr signature (serialized as c || s), encrypted with requester public key (ECIES encryption is used)
  */ 
-function signSchnorr(url, serverKeyID, signedServerKeyID, messageHash, verbose=true) {
-    return new Promise((resolve, reject) => {
-        const request = require('request');
-
-        var options = {
-            url: url + "/schnorr/" + utils.remove0x(serverKeyID) + "/" + utils.remove0x(signedServerKeyID) + "/" + messageHash,
-            method: 'GET'
-        };
+function signSchnorr(url, serverKeyID, signedServerKeyID, messageHash, verbose=true, options={}) {
+    if (isSigner(signedServerKeyID)) {
+        return signServerKeyID(serverKeyID, signedServerKeyID, verbose)
+            .then(signature => signSchnorr(url, serverKeyID, signature, messageHash, verbose, options));
+    }
 
-        request(options, (error, response, body) => {
-            if (error) {
-                if (verbose) utils.logError(e);
-                reject(error);
-            }
-            else if (response.statusCode != 200) {
-                if (verbose) utils.logFailedResponse(response, body, options);
-                var sserror = new SecretStoreSessionError("Request failed.", response);
-                reject(sserror);
-            }
-            else {
-                resolve(utils.removeEnclosingDQuotes(body));
-            }
-        });
-    });
+    return sessionRequest(url, {
+        session: "schnorr signing",
+        docID: utils.remove0x(serverKeyID),
+        path: "/schnorr/" + utils.remove0x(serverKeyID) + "/" + utils.remove0x(signedServerKeyID) + "/" + messageHash,
+        method: 'GET'
+    }, verbose, options).then(body => utils.removeEnclosingDQuotes(body));
 }
 
 /**
  * ECDSA signing session, for computing ECDSA signature of a given message hash.
  * 
  * @memberof module:secretstore/session
- * @param {String} url URL where the SS node is listening for incoming requests
+ * @param {String|Array<String>|module:secretstore/pool.NodePool} url URL where the SS node is listening for incoming requests, or a pool of nodes to fail over between
  * @param {String} serverKeyID The server key ID
- * @param {String} signedServerKeyID The server key ID signed by SS user
+ * @param {String|module:signer.Signer} signedServerKeyID The server key ID signed by SS user, or the signer to sign it with
  * @param {String} messageHash The 256-bit hash of the message that needs to be signed
- * @param {Boolean} verbose Whether to console log errors
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
  * @return {Promise<String>} The hex-encoded ECDSA signature (serialized as r || s || v), encrypted with requester public key (ECIES encryption is used)
  */ 
-function signEcdsa(url, serverKeyID, signedServerKeyID, messageHash, verbose=true) {
-    return new Promise((resolve, reject) => {
-        const request = require('request');
-
-        var options = {
-            url: url + "/ecdsa/" + utils.remove0x(serverKeyID) + "/" + utils.remove0x(signedServerKeyID) + "/" + messageHash,
-            method: 'GET'
-        };
+function signEcdsa(url, serverKeyID, signedServerKeyID, messageHash, verbose=true, options={}) {
+    if (isSigner(signedServerKeyID)) {
+        return signServerKeyID(serverKeyID, signedServerKeyID, verbose)
+            .then(signature => signEcdsa(url, serverKeyID, signature, messageHash, verbose, options));
+    }
 
-        request(options, (error, response, body) => {
-            if (error) {
-                if (verbose) utils.logError(e);
-                reject(error);
-            }
-            else if (response.statusCode != 200) {
-                if (verbose) utils.logFailedResponse(response, body, options);
-                var sserror = new SecretStoreSessionError("Request failed.", response);
-                reject(sserror);
-            }
-            else {
-                resolve(utils.removeEnclosingDQuotes(body));
-            }
-        });
-    });
+    return sessionRequest(url, {
+        session: "ecdsa signing",
+        docID: utils.remove0x(serverKeyID),
+        path: "/ecdsa/" + utils.remove0x(serverKeyID) + "/" + utils.remove0x(signedServerKeyID) + "/" + messageHash,
+        method: 'GET'
+    }, verbose, options).then(body => utils.removeEnclosingDQuotes(body));
 }
 
 
@@ -255,41 +239,30 @@ function signEcdsa(url, serverKeyID, signedServerKeyID, messageHash, verbose=tru
  * Binds an externally-generated document key to a server key. Useable after a `server key generation` session.
  * 
  * @memberof module:secretstore/session
- * @param {String} url URL where the SS node is listening for incoming requests
+ * @param {String|Array<String>|module:secretstore/pool.NodePool} url URL where the SS node is listening for incoming requests, or a pool of nodes to fail over between
  * @param {String} serverKeyID Same ID that was used in `server key generation session`
- * @param {String} signedServerKeyID Same server key id, signed by the same entity (author) that has signed the server key id in the `server key generation session`
+ * @param {String|module:signer.Signer} signedServerKeyID Same server key id, signed by the same entity (author) that has signed the server key id in the `server key generation session`, or the signer to sign it with
  * @param {String} commonPoint The hex-encoded common point portion of encrypted document key
  * @param {String} encryptedPoint The hex-encoded encrypted point portion of encrypted document key
- * @param {Boolean} verbose Whether to console log errors
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
  * @returns {Promise<String>} Empty body of the response if everything was OK
  */
-function storeDocumentKey(url, serverKeyID, signedServerKeyID, commonPoint, encryptedPoint, verbose=true) {
-    return new Promise((resolve, reject) => {
-        const request = require('request');
-
-        var options = {
-            url: url + "/shadow/" + utils.remove0x(serverKeyID)
-                + "/" + utils.remove0x(signedServerKeyID)
-                + "/" + utils.remove0x(commonPoint)
-                + "/" + utils.remove0x(encryptedPoint),
-            method: 'POST'
-        };
+function storeDocumentKey(url, serverKeyID, signedServerKeyID, commonPoint, encryptedPoint, verbose=true, options={}) {
+    if (isSigner(signedServerKeyID)) {
+        return signServerKeyID(serverKeyID, signedServerKeyID, verbose)
+            .then(signature => storeDocumentKey(url, serverKeyID, signature, commonPoint, encryptedPoint, verbose, options));
+    }
 
-        request(options, (error, response, body) => {
-            if (error) {
-                if (verbose) utils.logError(e);
-                reject(error);
-            }
-            else if (response.statusCode != 200) {
-                if (verbose) utils.logFailedResponse(response, body, options);
-                var sserror = new SecretStoreSessionError("Request failed.", response);
-                reject(sserror);
-            }
-            else {
-                resolve(body);
-            }
-        });
-    });
+    return sessionRequest(url, {
+        session: "document key storing",
+        docID: utils.remove0x(serverKeyID),
+        path: "/shadow/" + utils.remove0x(serverKeyID)
+            + "/" + utils.remove0x(signedServerKeyID)
+            + "/" + utils.remove0x(commonPoint)
+            + "/" + utils.remove0x(encryptedPoint),
+        method: 'POST'
+    }, verbose, options);
 }
 
 
@@ -298,50 +271,26 @@ function storeDocumentKey(url, serverKeyID, signedServerKeyID, commonPoint, encr
  * Before starting the session, you’ll need to generate two administrator’s signatures: 
  * `old set` signature and `new set` signature. To generate these signatures, 
  * the Secret Store RPC methods should be used: `serversSetHash` and `signRawHash`.
+ * {@link module:secretstore/admin.changeNodesSet admin.changeNodesSet} does all of this for you.
  * 
  * @memberof module:secretstore/session
- * @param {String} url URL where the SS node is listening for incoming requests
+ * @param {String|Array<String>|module:secretstore/pool.NodePool} url URL where the SS node is listening for incoming requests, or a pool of nodes to fail over between
  * @param {String} nodeIDsNewSet node IDs of the `new set`
  * @param {String} signatureOldSet ECDSA signature of all online nodes IDs `keccak(ordered_list(staying + added + removing))`
  * @param {String} signatureNewSet ECDSA signature of nodes IDs, that should stay in the Secret Store after the session ends `keccak(ordered_list(staying + added))`
- * @param {Boolean} verbose Whether to console log errors
+ * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+ * @param {Object} options Call options: timeout, retries, backoff and abort signal, see {@link module:call}
  * @returns {Promise<Object>} Unknown
  */
-function nodesSetChange(url, nodeIDsNewSet, signatureOldSet, signatureNewSet, verbose=true) {
-    return new Promise((resolve, reject) => {
-        const request = require('request');
-
-        /*
-        let x = '["' + nodeIDsNewSet[0] + '"';
-        for(var i = 1; i < nodeIDsNewSet.length; i++) {
-            x += ',"' + nodeIDsNewSet[i] + '"';
-        }
-        x += ']';
-        */
-        var options = {
-            url: url + "/admin/servers_set_change"
-                + "/" + utils.remove0x(signatureOldSet)
-                + "/" + utils.remove0x(signatureNewSet),
-            method: 'POST',
-            body: JSON.stringify(nodeIDsNewSet)
-            //body: x
-        };
-
-        request(options, (error, response, body) => {
-            if (error) {
-                if (verbose) utils.logError(e);
-                reject(error);
-            }
-            else if (response.statusCode != 200) {
-                if (verbose) utils.logFailedResponse(response, body, options);
-                var sserror = new SecretStoreSessionError("Request failed.", response);
-                reject(sserror);
-            }
-            else {
-                resolve(utils.removeEnclosingDQuotes(body));
-            }
-        });
-    });
+function nodesSetChange(url, nodeIDsNewSet, signatureOldSet, signatureNewSet, verbose=true, options={}) {
+    return sessionRequest(url, {
+        session: "nodes set change",
+        path: "/admin/servers_set_change"
+            + "/" + utils.remove0x(signatureOldSet)
+            + "/" + utils.remove0x(signatureNewSet),
+        method: 'POST',
+        body: JSON.stringify(nodeIDsNewSet)
+    }, verbose, options).then(body => utils.removeEnclosingDQuotes(body));
 }
 
 module.exports = {
@@ -0,0 +1,327 @@
+/**
+ * Streaming encryption of large documents under one Secret Store document key, for documents too large for
+ * `secretstore_encrypt` or a single hex string. The document is encrypted locally in authenticated chunks:
+ *
+ *     const encrypted = stream.encrypt(documentKey, fs.createReadStream("export.csv"), {docID});
+ *     await pipeline(encrypted, fs.createWriteStream("export.csv.enc"));
+ *
+ *     const decrypted = stream.decrypt(documentKey, fs.createReadStream("export.csv.enc"), {docID});
+ *     await pipeline(decrypted, fs.createWriteStream("export.csv"));
+ *
+ * The container format, version 1:
+ *
+ *     container := header chunk* manifest
+ *     header    := "SSCF" | version (1 byte) | length (4 bytes) | header JSON
+ *     chunk     := length (4 bytes) | AES-256-GCM ciphertext | tag (16 bytes)
+ *     manifest  := length (4 bytes) | AES-256-GCM ciphertext | tag (16 bytes)
+ *
+ * Lengths are big endian and count the ciphertext only. The header JSON holds the `cipher` ("aes-256-gcm"),
+ * the `chunkSize` in bytes, a random 32 byte `salt` and the `docID`, or null. The manifest is the last record:
+ * its plaintext is the JSON `{"chunks": n, "size": bytes}` of the whole document.
+ *
+ * Every container has its own key, HMAC-SHA256(document key, "SSCF" || salt). Records are encrypted with
+ * the 12 byte IV type (4 bytes, 0 for chunks and 1 for the manifest) || index (8 bytes), where the manifest has
+ * the index following the last chunk, and the SHA-256 of the header as additional data. Reordered, dropped or
+ * altered chunks, a tampered header and a missing manifest all fail decryption.
+ *
+ * @module secretstore/stream
+ */
+
+"use strict";
+
+const nodeCrypto = require("crypto");
+const { Readable } = require("stream");
+
+const crypto = require("../crypto.js");
+const utils = require("../utils.js");
+
+const MAGIC = Buffer.from("SSCF");
+const VERSION = 1;
+const CIPHER = "aes-256-gcm";
+const TAG_LEN = 16;
+const MAX_HEADER_LEN = 64 * 1024;
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+const MAX_MANIFEST_LEN = 1024;
+const CHUNK = 0;
+const MANIFEST = 1;
+
+/**
+ * Encrypts a document in chunks into the container format of {@link module:secretstore/stream}.
+ *
+ * @memberof module:secretstore/stream
+ * @param {String} documentKey The plain document key, see {@link module:secretstore/local.decryptDocumentKey local.decryptDocumentKey}
+ * @param {AsyncIterable|Iterable|Buffer} source The document: a Node readable stream, or any iterable of Buffers,
+ * Uint8Arrays or strings (UTF-8 encoded)
+ * @param {Object} options
+ * @param {Number} options.chunkSize Bytes of document per chunk, at most 64 MiB. Default is 1 MiB
+ * @param {String} options.docID The document ID, bound to the container. Default is none
+ * @returns {Readable} The container, as a readable stream of Buffers
+ */
+function encrypt(documentKey, source, {chunkSize=1024 * 1024, docID=null}={}) {
+    if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_CHUNK_SIZE) {
+        throw new RangeError("The chunk size must be an integer between 1 and " + MAX_CHUNK_SIZE);
+    }
+    const key = toDocumentKey(documentKey);
+    const salt = nodeCrypto.randomBytes(32).toString("hex");
+    return Readable.from(encryptContainer(key, {cipher: CIPHER, chunkSize, salt, docID: toDocID(docID)}, reader(source)));
+}
+
+/**
+ * Decrypts a container produced by {@link module:secretstore/stream.encrypt encrypt}.
+ * Chunks are streamed as soon as they are authenticated, so the document is only complete and in order
+ * once the stream ends without error: a truncated container fails at its end.
+ *
+ * @memberof module:secretstore/stream
+ * @param {String} documentKey The plain document key, see {@link module:secretstore/local.decryptDocumentKey local.decryptDocumentKey}
+ * @param {AsyncIterable|Iterable|Buffer} source The container: a Node readable stream, or any iterable of Buffers or Uint8Arrays
+ * @param {Object} options
+ * @param {String} options.docID The document ID the container must be bound to. Default is any
+ * @returns {Readable} The document, as a readable stream of Buffers
+ */
+function decrypt(documentKey, source, {docID=null}={}) {
+    const key = toDocumentKey(documentKey);
+    return Readable.from(decryptContainer(key, reader(source), toDocID(docID)));
+}
+
+/**
+ * @ignore
+ */
+async function* encryptContainer(documentKey, {chunkSize, salt, ...fields}, input) {
+    try {
+        const header = encodeHeader(Object.assign({chunkSize, salt}, fields));
+        const key = containerKey(documentKey, salt);
+        const aad = crypto.sha256(header);
+        yield header;
+
+        let chunks = 0;
+        let size = 0;
+        for (;;) {
+            const chunk = await input.read(chunkSize);
+            if (chunk.length > 0) {
+                yield seal(key, CHUNK, chunks++, aad, chunk);
+                size += chunk.length;
+            }
+            if (chunk.length < chunkSize) break;
+        }
+        yield seal(key, MANIFEST, chunks, aad, Buffer.from(JSON.stringify({chunks, size}), "utf8"));
+    }
+    finally {
+        await input.close();
+    }
+}
+
+/**
+ * @ignore
+ */
+async function* decryptContainer(documentKey, input, docID) {
+    try {
+        const prefix = await input.read(MAGIC.length + 5);
+        if (prefix.length < MAGIC.length + 5 || !prefix.slice(0, MAGIC.length).equals(MAGIC)) {
+            throw new Error("Invalid encrypted stream: not a chunked container");
+        }
+        const version = prefix[MAGIC.length];
+        if (version !== VERSION) throw new Error("Unsupported encrypted stream version: " + version);
+        const length = prefix.readUInt32BE(MAGIC.length + 1);
+        if (length > MAX_HEADER_LEN) throw new Error("Invalid encrypted stream: header too large");
+        const json = await input.read(length);
+        if (json.length < length) throw new Error("Invalid encrypted stream: truncated header");
+        const header = parseHeader(json);
+        if (docID !== null && header.docID !== docID) {
+            throw new Error("Invalid encrypted stream: encrypted for document " + header.docID + ", not " + docID);
+        }
+        const key = containerKey(documentKey, header.salt);
+        const aad = crypto.sha256(Buffer.concat([prefix, json]));
+
+        let chunks = 0;
+        let size = 0;
+        for (;;) {
+            const record = await readRecord(input, Math.max(header.chunkSize, MAX_MANIFEST_LEN));
+            if (record === null) throw new Error("Invalid encrypted stream: truncated, the manifest is missing");
+            const chunk = open(key, CHUNK, chunks, aad, record);
+            if (chunk !== null) {
+                chunks++;
+                size += chunk.length;
+                yield chunk;
+                continue;
+            }
+            const manifest = open(key, MANIFEST, chunks, aad, record);
+            if (manifest === null) throw new Error("Invalid encrypted stream: chunk " + chunks + " is altered or out of order");
+            const {chunks: expectedChunks, size: expectedSize} = JSON.parse(manifest.toString("utf8"));
+            if (expectedChunks !== chunks || expectedSize !== size) {
+                throw new Error("Invalid encrypted stream: the manifest doesn't match the chunks");
+            }
+            if ((await input.read(1)).length > 0) throw new Error("Invalid encrypted stream: data after the manifest");
+            return;
+        }
+    }
+    finally {
+        await input.close();
+    }
+}
+
+/**
+ * @returns {Buffer} The record of a chunk or of the manifest
+ * @ignore
+ */
+function seal(key, type, index, aad, plain) {
+    const cipher = nodeCrypto.createCipheriv(CIPHER, key, ivOf(type, index), {authTagLength: TAG_LEN});
+    cipher.setAAD(aad);
+    const data = Buffer.concat([cipher.update(plain), cipher.final()]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length, 0);
+    return Buffer.concat([length, data, cipher.getAuthTag()]);
+}
+
+/**
+ * @returns {Buffer|null} The plaintext of a record, or null if it is not the record of this type and index
+ * @ignore
+ */
+function open(key, type, index, aad, record) {
+    const decipher = nodeCrypto.createDecipheriv(CIPHER, key, ivOf(type, index), {authTagLength: TAG_LEN});
+    decipher.setAAD(aad);
+    decipher.setAuthTag(record.tag);
+    try {
+        return Buffer.concat([decipher.update(record.data), decipher.final()]);
+    }
+    catch (e) {
+        return null;
+    }
+}
+
+/**
+ * @returns {Promise<Object|null>} The `data` and `tag` of the next record, or null at the end of the input
+ * @ignore
+ */
+async function readRecord(input, maxLength) {
+    const prefix = await input.read(4);
+    if (prefix.length === 0) return null;
+    if (prefix.length < 4) throw new Error("Invalid encrypted stream: truncated record");
+    const length = prefix.readUInt32BE(0);
+    if (length > maxLength) throw new Error("Invalid encrypted stream: record larger than the chunk size");
+    const record = await input.read(length + TAG_LEN);
+    if (record.length < length + TAG_LEN) throw new Error("Invalid encrypted stream: truncated record");
+    return {data: record.slice(0, length), tag: record.slice(length)};
+}
+
+/**
+ * @ignore
+ */
+function ivOf(type, index) {
+    const iv = Buffer.alloc(12);
+    iv.writeUInt32BE(type, 0);
+    iv.writeUInt32BE(Math.floor(index / 0x100000000), 4);
+    iv.writeUInt32BE(index % 0x100000000, 8);
+    return iv;
+}
+
+/**
+ * @ignore
+ */
+function containerKey(documentKey, salt) {
+    return nodeCrypto.createHmac("sha256", documentKey).update(MAGIC).update(Buffer.from(salt, "hex")).digest();
+}
+
+/**
+ * @ignore
+ */
+function encodeHeader(header) {
+    const json = Buffer.from(JSON.stringify(header), "utf8");
+    const prefix = Buffer.alloc(MAGIC.length + 5);
+    MAGIC.copy(prefix);
+    prefix[MAGIC.length] = VERSION;
+    prefix.writeUInt32BE(json.length, MAGIC.length + 1);
+    return Buffer.concat([prefix, json]);
+}
+
+/**
+ * @ignore
+ */
+function parseHeader(json) {
+    let header;
+    try {
+        header = JSON.parse(json.toString("utf8"));
+    }
+    catch (e) {
+        throw new Error("Invalid encrypted stream: malformed header");
+    }
+    if (!header || header.cipher !== CIPHER) throw new Error("Unsupported encrypted stream cipher: " + (header && header.cipher));
+    if (!Number.isInteger(header.chunkSize) || header.chunkSize < 1 || header.chunkSize > MAX_CHUNK_SIZE
+        || typeof header.salt !== "string" || !/^[0-9a-f]{64}$/.test(header.salt)) {
+        throw new Error("Invalid encrypted stream: malformed header");
+    }
+    return header;
+}
+
+/**
+ * @ignore
+ */
+function toDocumentKey(documentKey) {
+    const key = crypto.toBuffer(documentKey);
+    if (key.length !== 64) throw new Error("Invalid document key length: " + key.length);
+    return key;
+}
+
+/**
+ * @ignore
+ */
+function toDocID(docID) {
+    return docID === null || docID === undefined ? null : utils.remove0x(docID).toLowerCase();
+}
+
+/**
+ * Reads exact amounts of bytes from a source yielding pieces of any size.
+ *
+ * @ignore
+ */
+function reader(source) {
+    const iterator = pieces(source)[Symbol.asyncIterator]();
+    let buffered = [];
+    let length = 0;
+    let done = false;
+    return {
+        async read(n) {
+            while (length < n && !done) {
+                const next = await iterator.next();
+                if (next.done) done = true;
+                else if (next.value.length > 0) {
+                    buffered.push(next.value);
+                    length += next.value.length;
+                }
+            }
+            const all = buffered.length === 1 ? buffered[0] : Buffer.concat(buffered, length);
+            const rest = all.slice(n);
+            buffered = rest.length > 0 ? [rest] : [];
+            length = rest.length;
+            return all.slice(0, n);
+        },
+        async close() {
+            if (!done) {
+                done = true;
+                await iterator.return();
+            }
+        }
+    };
+}
+
+/**
+ * @returns {AsyncIterable<Buffer>} The pieces of a source
+ * @ignore
+ */
+function pieces(source) {
+    if (Buffer.isBuffer(source) || source instanceof Uint8Array || typeof source === "string") source = [source];
+    if (!source || (typeof source[Symbol.asyncIterator] !== "function" && typeof source[Symbol.iterator] !== "function")) {
+        throw new TypeError("The source must be a stream or an iterable");
+    }
+    return (async function* () {
+        for await (const piece of source) {
+            if (typeof piece === "string") yield Buffer.from(piece, "utf8");
+            else if (piece instanceof Uint8Array) yield Buffer.from(piece.buffer, piece.byteOffset, piece.byteLength);
+            else throw new TypeError("The source must yield Buffers, Uint8Arrays or strings");
+        }
+    })();
+}
+
+module.exports = {
+    encrypt,
+    decrypt
+}
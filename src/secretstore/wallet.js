@@ -0,0 +1,179 @@
+/** @module secretstore/wallet */
+"use strict";
+
+const nodeCrypto = require("crypto");
+
+const utils = require("../utils.js");
+const crypto = require("../crypto.js");
+const transaction = require("../transaction.js");
+const session = require("./session.js");
+const { NodePool } = require("./pool.js");
+const { SecretStoreSessionError } = require("../errors.js");
+const { Signer, isSigner } = require("../signer.js");
+
+/**
+ * Ethereum account whose private key is a Secret Store server key: it is shared among the key servers
+ * and never exists in one place. Hashes are signed by `ecdsa signing` sessions, and every signature is
+ * verified against the server key before use, so that a misbehaving node can't make it sign for another key.
+ *
+ * Being a {@link module:signer.Signer Signer}, it can be passed wherever a signer is taken, e.g. to
+ * `private.signTransaction`. {@link module:secretstore/wallet.ThresholdWallet#toAccount toAccount} gives a web3-like account.
+ *
+ * @memberof module:secretstore/wallet
+ * @class
+ */
+class ThresholdWallet extends Signer {
+    /**
+     * @constructor
+     * @param {Object} options
+     * @param {String|Array<String>|module:secretstore/pool.NodePool} options.url URL(s) where the SS nodes are listening for incoming requests
+     * @param {String} options.serverKeyID The server key ID
+     * @param {String} options.serverKey The server key public, as returned by `session.generateServerKey`
+     * @param {module:signer.Signer} options.requester Signer of the SS user allowed to use the server key.
+     * It must be able to decrypt, so an {@link module:signer.RpcSigner RpcSigner} won't do
+     * @param {Boolean|module:logger.Logger} options.verbose Whether to log errors, or the logger to use
+     * @param {Object} options.options Call options of the signing sessions, see {@link module:call}
+     */
+    constructor({url, serverKeyID, serverKey, requester, verbose=true, options={}}) {
+        super();
+        if (!url) throw new TypeError("At least one Secret Store URL is required");
+        if (!serverKeyID) throw new TypeError("The server key ID is required");
+        if (!isSigner(requester)) throw new TypeError("Not a signer: " + requester);
+        this.url = Array.isArray(url) ? new NodePool(url) : url;
+        this.serverKeyID = utils.remove0x(serverKeyID);
+        this.serverKey = crypto.toHex(crypto.pointToBuffer(crypto.toPoint(serverKey)));
+        this.address = crypto.publicToAddress(this.serverKey);
+        this.requester = requester;
+        this.verbose = verbose;
+        this.options = options;
+    }
+
+    /**
+     * Generates a new server key and returns the wallet of its address.
+     *
+     * @param {Object} options
+     * @param {String|Array<String>|module:secretstore/pool.NodePool} options.url URL(s) where the SS nodes are listening for incoming requests
+     * @param {module:signer.Signer} options.requester Signer of the SS user, the author of the server key
+     * @param {Number} options.threshold Key threshold value. Default is 1
+     * @param {String} options.serverKeyID The server key ID. Random by default
+     * @param {Boolean|module:logger.Logger} options.verbose Whether to log errors, or the logger to use
+     * @param {Object} options.options Call options of the sessions, see {@link module:call}
+     * @returns {Promise<module:secretstore/wallet.ThresholdWallet>} The wallet
+     */
+    static async generate({url, requester, threshold=1, serverKeyID, verbose=true, options={}}) {
+        if (Array.isArray(url)) url = new NodePool(url);
+        serverKeyID = utils.remove0x(serverKeyID || nodeCrypto.randomBytes(32).toString("hex"));
+        const serverKey = await session.generateServerKey(url, serverKeyID, requester, threshold, verbose, options);
+        return new ThresholdWallet({url, serverKeyID, serverKey, requester, verbose, options});
+    }
+
+    getAddress() {
+        return Promise.resolve(this.address);
+    }
+
+    getPublic() {
+        return Promise.resolve(this.serverKey);
+    }
+
+    /**
+     * Signs a 256-bit hash in an `ecdsa signing` session.
+     *
+     * @param {String} hash The hash to be signed
+     * @returns {Promise<String>} The verified signature (r || s || v), v being 0 or 1
+     * @throws {module:errors.SecretStoreSessionError} With code `INVALID_SIGNATURE` if the signature isn't made with the server key
+     */
+    async signRawHash(hash) {
+        const hashBytes = crypto.toBuffer(hash);
+        if (hashBytes.length !== 32) throw new TypeError("Invalid hash length: " + hashBytes.length);
+        const messageHash = hashBytes.toString("hex");
+        const encrypted = await session.signEcdsa(this.url, this.serverKeyID, this.requester, messageHash, this.verbose, this.options);
+        const signature = crypto.toBuffer(await this.requester.decrypt(encrypted));
+        if (!crypto.verify(this.serverKey, messageHash, signature)) {
+            throw new SecretStoreSessionError("Invalid signature", undefined,
+                {code: "INVALID_SIGNATURE", session: "ecdsa signing", docID: this.serverKeyID});
+        }
+        signature[64] = signature[64] >= 27 ? signature[64] - 27 : signature[64];
+        return crypto.toHex(signature);
+    }
+
+    /**
+     * Signs a legacy transaction, EIP-155 replay protected if `chainId` is set.
+     *
+     * @param {Object} tx The transaction
+     * @returns {Promise<String>} The hex-encoded raw signed transaction
+     */
+    async signTransaction(tx) {
+        if (tx.from && tx.from.toLowerCase() !== this.address) {
+            throw new Error("Transaction sender " + tx.from + " is not the wallet address " + this.address);
+        }
+        const signature = await this.signRawHash(crypto.toHex(transaction.signingHash(tx, tx.chainId)));
+        return transaction.serialize(tx, signature, tx.chainId);
+    }
+
+    /**
+     * Signs a message the way `eth_sign` and `personal_sign` do (EIP-191, version 0x45).
+     *
+     * @param {String|Buffer} message The message: a Buffer, a "0x" prefixed hex string or an UTF-8 string
+     * @returns {Promise<String>} The signature (r || s || v), v being 27 or 28
+     */
+    async signMessage(message) {
+        const signature = crypto.toBuffer(await this.signRawHash(crypto.toHex(hashMessage(message))));
+        signature[64] += 27;
+        return crypto.toHex(signature);
+    }
+
+    /**
+     * A web3-like account of the wallet. Unlike web3's, its `sign` returns a Promise.
+     *
+     * @returns {Object} `address`, `signTransaction(tx)` and `sign(message)`,
+     * resolving to the same objects as web3's `eth.accounts` ones
+     */
+    toAccount() {
+        return {
+            address: this.address,
+            signTransaction: async (tx) => {
+                const rawTransaction = await this.signTransaction(tx);
+                const decoded = transaction.decode(rawTransaction);
+                return {
+                    messageHash: crypto.toHex(transaction.signingHash(tx, tx.chainId)),
+                    v: transaction.toQuantity(decoded.v),
+                    r: crypto.toHex(decoded.r.toArrayLike(Buffer, "be", 32)),
+                    s: crypto.toHex(decoded.s.toArrayLike(Buffer, "be", 32)),
+                    rawTransaction,
+                    transactionHash: decoded.hash
+                };
+            },
+            sign: async (message) => {
+                const signature = await this.signMessage(message);
+                return {
+                    message,
+                    messageHash: crypto.toHex(hashMessage(message)),
+                    v: "0x" + signature.slice(-2),
+                    r: signature.slice(0, 66),
+                    s: "0x" + signature.slice(66, 130),
+                    signature
+                };
+            }
+        };
+    }
+}
+
+/**
+ * EIP-191 hash of a message: keccak256("\x19Ethereum Signed Message:\n" + length + message).
+ *
+ * @memberof module:secretstore/wallet
+ * @param {String|Buffer} message The message: a Buffer, a "0x" prefixed hex string or an UTF-8 string
+ * @returns {Buffer} The 32 byte hash
+ */
+function hashMessage(message) {
+    let bytes;
+    if (Buffer.isBuffer(message)) bytes = message;
+    else if (/^0x([0-9a-fA-F]{2})*$/.test(message)) bytes = crypto.toBuffer(message);
+    else bytes = Buffer.from(message, "utf8");
+    return crypto.keccak256(Buffer.concat([Buffer.from("\x19Ethereum Signed Message:\n" + bytes.length, "utf8"), bytes]));
+}
+
+module.exports = {
+    ThresholdWallet,
+    hashMessage
+}
@@ -0,0 +1,263 @@
+/**
+ * Signers abstract away where the key of a Secret Store user or transaction sender lives:
+ * in a Parity node's keystore, in memory, in an encrypted keystore file or behind a remote service.
+ * Wherever a function takes `(web3, account, pwd)` or a signed server key ID, a signer can be passed instead.
+ *
+ * @module signer
+ */
+
+"use strict";
+
+const crypto = require("./crypto.js");
+const transaction = require("./transaction.js");
+const rpc = require("./rpc.js");
+
+/**
+ * Arbitrary hash signed to find out the public key of signers that can only sign.
+ *
+ * @ignore
+ */
+const PUBLIC_PROBE_HASH = crypto.keccak256(Buffer.from("secretstore-private-js signer public key"));
+
+/**
+ * Base class of signers. Subclasses implement at least `getAddress`, `signRawHash` and `signTransaction`.
+ *
+ * @memberof module:signer
+ * @class
+ */
+class Signer {
+    /**
+     * @returns {Promise<String>} The address of the signer
+     */
+    getAddress() {
+        return Promise.reject(new Error("getAddress is not implemented"));
+    }
+
+    /**
+     * The public key of the signer. By default it is recovered from a signature, remembered once it succeeds.
+     *
+     * @returns {Promise<String>} The hex-encoded 64 byte public key
+     */
+    getPublic() {
+        if (!this._public) {
+            const probe = Promise.resolve()
+                .then(() => this.signRawHash(crypto.toHex(PUBLIC_PROBE_HASH)))
+                .then(signature => crypto.toHex(crypto.recover(signature, PUBLIC_PROBE_HASH)));
+            this._public = probe;
+            probe.catch(() => {
+                if (this._public === probe) this._public = null;
+            });
+        }
+        return this._public;
+    }
+
+    /**
+     * Signs a 256-bit hash, the same way as `secretstore_signRawHash`.
+     *
+     * @param {String} hash The hash to be signed
+     * @returns {Promise<String>} The signature (r || s || v)
+     */
+    signRawHash(hash) {
+        return Promise.reject(new Error("signRawHash is not implemented"));
+    }
+
+    /**
+     * Signs a complete transaction object.
+     *
+     * @param {Object} tx The transaction, with `chainId` set for replay protection
+     * @returns {Promise<String>} The hex-encoded raw signed transaction
+     */
+    signTransaction(tx) {
+        return Promise.reject(new Error("signTransaction is not implemented"));
+    }
+
+    /**
+     * Decrypts data encrypted with the signer's public key (ECIES), like encrypted document keys.
+     *
+     * @param {String} encrypted The hex-encoded encrypted data
+     * @returns {Promise<String>} The hex-encoded plain data
+     */
+    decrypt(encrypted) {
+        return Promise.reject(new Error("decrypt is not supported by this signer"));
+    }
+}
+
+/**
+ * Signer backed by an account of a Parity node, unlocked with its password on every request.
+ *
+ * @memberof module:signer
+ * @class
+ */
+class RpcSigner extends Signer {
+    /**
+     * @constructor
+     * @param {Object|String} web3 The web3 instance, or any provider or endpoint URL, see {@link module:provider}
+     * @param {String} account The account
+     * @param {String} pwd Password of the account
+     * @param {Boolean|module:logger.Logger} verbose Whether to log errors, or the logger to use
+     * @param {Object} options Call options of its requests: timeout, retries, backoff and abort signal, see {@link module:call}
+     */
+    constructor(web3, account, pwd, verbose=true, options={}) {
+        super();
+        this.web3 = web3;
+        this.account = account;
+        this.pwd = pwd;
+        this.verbose = verbose;
+        this.options = options;
+    }
+
+    getAddress() {
+        return Promise.resolve(this.account);
+    }
+
+    signRawHash(hash) {
+        return require("./secretstore/secret.js").signRawHash(this.web3, this.account, this.pwd, hash, this.verbose, this.options);
+    }
+
+    signTransaction(tx) {
+        const request = Object.assign({from: this.account}, tx);
+        delete request.chainId;
+        return rpc.send(this.web3, 'personal_signTransaction', [request, this.pwd], this.verbose, this.options)
+            .then(result => result.raw);
+    }
+}
+
+/**
+ * Signer holding a raw private key in memory. Everything happens locally.
+ *
+ * @memberof module:signer
+ * @class
+ */
+class PrivateKeySigner extends Signer {
+    /**
+     * @constructor
+     * @param {String} privateKey The hex-encoded private key
+     */
+    constructor(privateKey) {
+        super();
+        this.privateKey = privateKey;
+    }
+
+    /**
+     * @returns {String} The private key
+     * @ignore
+     */
+    _secret() {
+        return this.privateKey;
+    }
+
+    getAddress() {
+        return Promise.resolve().then(() => crypto.publicToAddress(crypto.publicFromSecret(this._secret())));
+    }
+
+    getPublic() {
+        return Promise.resolve().then(() => crypto.toHex(crypto.publicFromSecret(this._secret())));
+    }
+
+    signRawHash(hash) {
+        return Promise.resolve().then(() => crypto.toHex(crypto.sign(this._secret(), hash)));
+    }
+
+    signTransaction(tx) {
+        return Promise.resolve().then(() => transaction.sign(this._secret(), tx, tx.chainId));
+    }
+
+    decrypt(encrypted) {
+        return Promise.resolve().then(() => crypto.toHex(crypto.eciesDecrypt(this._secret(), encrypted)));
+    }
+}
+
+/**
+ * Signer using the key of an encrypted JSON keystore. The keystore is decrypted on first use.
+ *
+ * @memberof module:signer
+ * @class
+ */
+class KeystoreSigner extends PrivateKeySigner {
+    /**
+     * @constructor
+     * @param {Object|String} keystore The keystore JSON, parsed or as a string
+     * @param {String} password Password of the keystore
+     */
+    constructor(keystore, password) {
+        super(null);
+        this.keystore = keystore;
+        this.password = password;
+    }
+
+    _secret() {
+        if (!this.privateKey) {
+            this.privateKey = require("./secretstore/local.js").decryptKeystore(this.keystore, this.password);
+        }
+        return this.privateKey;
+    }
+}
+
+/**
+ * Signer delegating every operation to an async callback, e.g. for remote or hardware signing.
+ * The callback gets a request object with a `type` field and the `address`, plus:
+ *
+ *  - `"signRawHash"`: `hash`, answered with the signature (r || s || v)
+ *  - `"signTransaction"`: `transaction`, answered with the raw signed transaction
+ *  - `"decrypt"`: `data`, answered with the ECIES decrypted data. Optional to support
+ *
+ * @memberof module:signer
+ * @class
+ */
+class CallbackSigner extends Signer {
+    /**
+     * @constructor
+     * @param {String} address Address of the signer
+     * @param {Function} callback Async function taking a request object, returning a Promise of the hex-encoded result
+     */
+    constructor(address, callback) {
+        super();
+        this.address = address;
+        this.callback = callback;
+    }
+
+    getAddress() {
+        return Promise.resolve(this.address);
+    }
+
+    signRawHash(hash) {
+        return this._request("signRawHash", {hash});
+    }
+
+    signTransaction(tx) {
+        return this._request("signTransaction", {transaction: tx});
+    }
+
+    decrypt(encrypted) {
+        return this._request("decrypt", {data: encrypted});
+    }
+
+    /**
+     * Calls the callback, turning what it throws into a rejection.
+     *
+     * @ignore
+     */
+    _request(type, fields) {
+        return new Promise(resolve => resolve(this.callback(Object.assign({type, address: this.address}, fields))));
+    }
+}
+
+/**
+ * Tells whether the argument is a signer.
+ *
+ * @memberof module:signer
+ * @param {any} obj The object to check
+ * @returns {Boolean} True if it is a {@link module:signer.Signer Signer}
+ */
+function isSigner(obj) {
+    return obj instanceof Signer;
+}
+
+module.exports = {
+    Signer,
+    RpcSigner,
+    PrivateKeySigner,
+    KeystoreSigner,
+    CallbackSigner,
+    isSigner
+}
@@ -0,0 +1,159 @@
+/**
+ * @module transaction
+ * @ignore
+ */
+
+"use strict";
+
+const BN = require("bn.js");
+const rlp = require("rlp");
+
+const crypto = require("./crypto.js");
+const utils = require("./utils.js");
+
+const EMPTY = Buffer.alloc(0);
+
+/**
+ * Parses a quantity given as number, BN, decimal or "0x" prefixed hex string.
+ *
+ * @param {Number|String|BN} val The quantity
+ * @param {BN} def Returned when `val` is undefined or null
+ * @returns {BN} The quantity
+ */
+function quantity(val, def) {
+    if (val === undefined || val === null) return def;
+    if (BN.isBN(val)) return val;
+    if (typeof val === "number") return new BN(val);
+    val = val.toString();
+    if (val.startsWith("0x")) return new BN(utils.remove0x(val) || "0", 16);
+    return new BN(val, 10);
+}
+
+/**
+ * Formats a quantity as a "0x" prefixed hex string.
+ *
+ * @param {Number|BN} val The quantity
+ * @returns {String} The hex string
+ */
+function toQuantity(val) {
+    return "0x" + new BN(val).toString(16);
+}
+
+function toIntBuffer(bn) {
+    return bn.isZero() ? EMPTY : bn.toArrayLike(Buffer);
+}
+
+/**
+ * The six RLP fields of an unsigned legacy transaction.
+ *
+ * @param {Object} tx `nonce`, `gasPrice`, `gas`, `to`, `value` and `data` (or `input`)
+ * @returns {Array<Buffer>} The fields
+ */
+function fields(tx) {
+    return [
+        toIntBuffer(quantity(tx.nonce, new BN(0))),
+        toIntBuffer(quantity(tx.gasPrice, new BN(0))),
+        toIntBuffer(quantity(tx.gas !== undefined ? tx.gas : tx.gasLimit, new BN(0))),
+        tx.to ? crypto.toBuffer(tx.to) : EMPTY,
+        toIntBuffer(quantity(tx.value, new BN(0))),
+        crypto.toBuffer(tx.data || tx.input || "0x")
+    ];
+}
+
+function hashFields(txFields, chainId) {
+    const payload = txFields.slice(0, 6);
+    if (chainId !== undefined && chainId !== null) {
+        payload.push(toIntBuffer(quantity(chainId)), EMPTY, EMPTY);
+    }
+    return crypto.keccak256(rlp.encode(payload));
+}
+
+/**
+ * Hash to sign for a legacy transaction, EIP-155 replay protected when a chain ID is given.
+ *
+ * @param {Object} tx The transaction
+ * @param {Number} chainId The chain ID, or undefined for an unprotected transaction
+ * @returns {Buffer} The 32 byte hash
+ */
+function signingHash(tx, chainId) {
+    return hashFields(fields(tx), chainId);
+}
+
+/**
+ * Serializes a legacy transaction with its signature.
+ *
+ * @param {Object} tx The transaction
+ * @param {String|Buffer} signature The 65 byte signature r || s || v of the signing hash, v is 0/1 or 27/28
+ * @param {Number} chainId The chain ID the signing hash was computed with, or undefined
+ * @returns {String} The hex-encoded raw transaction
+ */
+function serialize(tx, signature, chainId) {
+    const sig = crypto.toBuffer(signature);
+    const recovery = sig[64] >= 27 ? sig[64] - 27 : sig[64];
+    const v = chainId !== undefined && chainId !== null
+        ? quantity(chainId).muln(2).addn(35 + recovery)
+        : new BN(27 + recovery);
+    return crypto.toHex(rlp.encode(fields(tx).concat([
+        toIntBuffer(v),
+        toIntBuffer(new BN(sig.slice(0, 32))),
+        toIntBuffer(new BN(sig.slice(32, 64)))
+    ])));
+}
+
+/**
+ * Signs a legacy transaction with a private key.
+ *
+ * @param {String|Buffer} secret The private key
+ * @param {Object} tx The transaction
+ * @param {Number} chainId The chain ID, or undefined for an unprotected transaction
+ * @returns {String} The hex-encoded raw transaction
+ */
+function sign(secret, tx, chainId) {
+    return serialize(tx, crypto.sign(secret, signingHash(tx, chainId)), chainId);
+}
+
+/**
+ * Decodes a signed legacy transaction and recovers its sender.
+ *
+ * @param {String|Buffer} raw The raw transaction
+ * @returns {Object} The transaction with BN quantities, `data` as Buffer and `from`, `hash`, `chainId`
+ */
+function decode(raw) {
+    const bytes = crypto.toBuffer(raw);
+    const decoded = rlp.decode(bytes);
+    if (!Array.isArray(decoded) || decoded.length !== 9) {
+        throw new Error("Only signed legacy transactions are supported");
+    }
+    const v = new BN(decoded[6]).toNumber();
+    const chainId = v >= 35 ? (v - 35) >> 1 : null;
+    const recovery = v >= 35 ? (v - 35) & 1 : v - 27;
+    const signature = Buffer.concat([
+        new BN(decoded[7]).toArrayLike(Buffer, "be", 32),
+        new BN(decoded[8]).toArrayLike(Buffer, "be", 32),
+        Buffer.from([recovery])
+    ]);
+    return {
+        hash: crypto.toHex(crypto.keccak256(bytes)),
+        raw: crypto.toHex(bytes),
+        from: crypto.publicToAddress(crypto.recover(signature, hashFields(decoded, chainId))),
+        chainId,
+        nonce: new BN(decoded[0]),
+        gasPrice: new BN(decoded[1]),
+        gas: new BN(decoded[2]),
+        to: decoded[3].length ? crypto.toHex(decoded[3]) : null,
+        value: new BN(decoded[4]),
+        data: decoded[5],
+        v: new BN(decoded[6]),
+        r: new BN(decoded[7]),
+        s: new BN(decoded[8])
+    };
+}
+
+module.exports = {
+    quantity,
+    toQuantity,
+    signingHash,
+    serialize,
+    sign,
+    decode
+}
@@ -0,0 +1,82 @@
+/**
+ * HTTP transports of the Secret Store sessions. A transport is a function taking a request object
+ * and returning a Promise of the response. Node's `http`/`https` is used by default.
+ *
+ * Any function with the {@link module:transport.Transport Transport} signature can be injected
+ * through the `transport` {@link module:call call option}, per call or globally:
+ *
+ *     call.configure({transport: transport.nodeTransport({ca: fs.readFileSync("ca.pem")})});
+ *     session.retrieveDocumentKey(url, id, signature, true, {transport: myTransport});
+ *
+ * @module transport
+ */
+
+"use strict";
+
+const node = require("./node.js");
+
+/**
+ * @callback Transport
+ * @memberof module:transport
+ * @param {Object} request `url`, `method`, `headers`, `body` (a string, or undefined) and an optional `AbortSignal` as `signal`
+ * @returns {Promise<Object>} The response: `statusCode`, `statusMessage`, `headers` and `body` as a string
+ */
+
+var defaultInstance;
+
+/**
+ * Transport built on `fetch`, the global one of Node 18+ or an injected implementation like undici's.
+ *
+ * @memberof module:transport
+ * @param {Object} options
+ * @param {Function} options.fetch The `fetch` implementation. Default is the global one
+ * @param {Object} options.headers Headers added to every request
+ * @param {Object} options.* Other options are passed to every `fetch` call, e.g. `credentials` or `dispatcher`
+ * @returns {module:transport.Transport} The transport
+ */
+function fetchTransport(options={}) {
+    const {fetch: fetchImpl, headers, ...init} = options;
+
+    return function (request) {
+        const doFetch = fetchImpl || (typeof fetch === "function" ? fetch : undefined);
+        if (!doFetch) {
+            return Promise.reject(new Error("No fetch implementation available, please inject one"));
+        }
+        return doFetch(request.url, Object.assign({}, init, {
+            method: request.method,
+            headers: Object.assign({}, headers, request.headers),
+            body: request.body,
+            signal: request.signal
+        })).then(res => res.text().then(body => {
+            const responseHeaders = {};
+            res.headers.forEach((value, name) => {
+                responseHeaders[name] = value;
+            });
+            return {
+                statusCode: res.status,
+                statusMessage: res.statusText,
+                headers: responseHeaders,
+                body: body
+            };
+        }));
+    };
+}
+
+/**
+ * The transport used when none is given: Node's `http`/`https`.
+ *
+ * @memberof module:transport
+ * @returns {module:transport.Transport} The transport
+ */
+function defaultTransport() {
+    if (!defaultInstance) {
+        defaultInstance = node.nodeTransport();
+    }
+    return defaultInstance;
+}
+
+module.exports = {
+    nodeTransport: node.nodeTransport,
+    fetchTransport,
+    defaultTransport
+}
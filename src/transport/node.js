@@ -0,0 +1,66 @@
+/**
+ * Node.js transport.
+ *
+ * @ignore
+ */
+
+"use strict";
+
+const http = require("http");
+const https = require("https");
+
+const TLS_OPTIONS = ["ca", "cert", "key", "pfx", "passphrase", "rejectUnauthorized", "servername"];
+
+/**
+ * Transport built on Node's `http` and `https` modules.
+ *
+ * @memberof module:transport
+ * @param {Object} options
+ * @param {http.Agent} options.agent Agent for all requests, e.g. a keep-alive or proxy agent
+ * @param {http.Agent} options.httpsAgent Agent for https requests only, if they need a different one
+ * @param {Object} options.headers Headers added to every request
+ * @param {String|Buffer} options.ca Trusted CA certificate(s), for nodes behind TLS with a private CA
+ * @param {String|Buffer} options.cert Client certificate, for mutual TLS
+ * @param {String|Buffer} options.key Private key of the client certificate
+ * @param {Boolean} options.rejectUnauthorized Whether to verify the server certificate. Default is true
+ * @returns {module:transport.Transport} The transport
+ */
+function nodeTransport(options={}) {
+    const tls = {};
+    TLS_OPTIONS.forEach(name => {
+        if (options[name] !== undefined) tls[name] = options[name];
+    });
+
+    return function (request) {
+        return new Promise((resolve, reject) => {
+            const url = new URL(request.url);
+            const secure = url.protocol === "https:";
+            const agent = secure ? (options.httpsAgent || options.agent) : options.agent;
+            const requestOptions = Object.assign(secure ? Object.assign({}, tls) : {}, {
+                method: request.method,
+                headers: Object.assign({}, options.headers, request.headers),
+                signal: request.signal
+            });
+            if (agent) requestOptions.agent = agent;
+
+            const req = (secure ? https : http).request(url, requestOptions, res => {
+                const chunks = [];
+                res.on("data", chunk => chunks.push(chunk));
+                res.on("error", reject);
+                res.on("end", () => resolve({
+                    statusCode: res.statusCode,
+                    statusMessage: res.statusMessage,
+                    headers: res.headers,
+                    body: Buffer.concat(chunks).toString("utf8")
+                }));
+            });
+            req.on("error", reject);
+            if (request.body !== undefined) req.write(request.body);
+            req.end();
+        });
+    };
+}
+
+module.exports = {
+    nodeTransport
+}
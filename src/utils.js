@@ -43,34 +43,21 @@ function removeEnclosingDQuotes(str) {
 }
 
 /**
- * Logs relevant information from a failed http response.
- * 
- * @param {Object} response The response object
- * @param {Object} body The body of the response
- * @param {Object} options Options object of the request
- */
-function logFailedResponse(response, body, options) {
-    console.log("Request failed");
-    console.log("StatusCode: " + response.statusCode);
-    console.log("StatusMessage: " + response.statusMessage);
-    console.log("Body: " + body);
-    console.log("Request options: " + JSON.stringify(options));
-}
-
-/**
- * Logs the error object.
- * 
- * @param {Error} e Error object
+ * Converts a block number to the JSON-RPC block parameter. Tags and hex quantities are kept.
+ *
+ * @param {Number|String} block Block number, hex quantity, or one of "latest", "earliest" and "pending"
+ * @returns {String} The block parameter
  */
-function logError(e) {
-    console.log("Error:");
-    console.log(e);
+function toBlockTag(block) {
+    if (Number.isInteger(block) && block >= 0) return "0x" + block.toString(16);
+    if (block === "latest" || block === "earliest" || block === "pending") return block;
+    if (typeof block === "string" && /^0x[0-9a-f]+$/i.test(block)) return "0x" + parseInt(block, 16).toString(16);
+    throw new TypeError("Invalid block number or tag: " + block);
 }
 
 module.exports = {
     remove0x,
     add0x,
     removeEnclosingDQuotes,
-    logFailedResponse,
-    logError
+    toBlockTag
 }
\ No newline at end of file
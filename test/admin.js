@@ -0,0 +1,81 @@
+const assert = require('chai').assert;
+const path = require('path');
+const ss = require(path.join(__dirname, '../src/secretstore'));
+const signers = require(path.join(__dirname, '../src/signer.js'));
+const errors = require(path.join(__dirname, '../src/errors.js'));
+
+const assets = require("./assets.js");
+const {alice} = assets.accounts;
+const {alicepwd, bobpwd} = assets.passwords;
+const {httpRpcAlice} = assets.httpRpc;
+const {httpSSAlice, httpSSBob} = assets.httpSS;
+const {node1, node2, node3} = assets.nodes;
+
+var web3 = new (require('web3'))(httpRpcAlice);
+
+describe('Nodes set admin test', async () => {
+    const admin = new signers.RpcSigner(web3, alice, alicepwd);
+
+    it('should validate and normalize node IDs', async () => {
+        assert.deepEqual(ss.admin.validateNodeIDs([node1, node1.slice(2).toUpperCase(), node2]), [node1, node2]);
+        assert.throws(() => ss.admin.validateNodeIDs([node1.slice(0, -2)]), TypeError, /64 hex encoded bytes/);
+        assert.throws(() => ss.admin.validateNodeIDs(["0x" + "00".repeat(64)]), TypeError, /not a public key/);
+        assert.throws(() => ss.admin.validateNodeIDs(node1), TypeError);
+    });
+
+    it('should hash nodes sets like the node does', async () => {
+        for (const set of [[node1, node2], [node3, node1, node2], [node2]]) {
+            assert.equal(ss.admin.serversSetHash(set), await ss.serversSetHash(web3, set));
+        }
+        assert.equal(ss.admin.serversSetHash([node1, node2]), ss.admin.serversSetHash([node2, node1]));
+    });
+
+    it('should plan a nodes set change', async () => {
+        const plan = ss.admin.planNodesSetChange([node1, node2, node3], [node1, node2]);
+        assert.deepEqual(plan.staying, [node1, node2]);
+        assert.deepEqual(plan.added, []);
+        assert.deepEqual(plan.removed, [node3]);
+        assert.equal(plan.oldSetHash, ss.admin.serversSetHash([node1, node2, node3]));
+        assert.equal(plan.newSetHash, ss.admin.serversSetHash([node1, node2]));
+        assert.isTrue(plan.changed);
+
+        const swap = ss.admin.planNodesSetChange([node1, node2], [node1, node3]);
+        assert.deepEqual(swap.added, [node3]);
+        assert.deepEqual(swap.removed, [node2]);
+        assert.sameMembers(swap.oldSet, [node1, node2, node3]);
+        assert.sameMembers(swap.newSet, [node1, node3]);
+
+        assert.isFalse(ss.admin.planNodesSetChange([node1, node2], [node2, node1]).changed);
+        assert.throws(() => ss.admin.planNodesSetChange([node1], []), TypeError);
+    });
+
+    it('should only report in a dry run', async () => {
+        const report = await ss.admin.changeNodesSet(httpSSAlice, admin, [node1, node2, node3], [node1, node2], true, {dryRun: true});
+        assert.isTrue(report.dryRun);
+        assert.deepEqual(report.removed, [node3]);
+        assert.notExists(report.signatureOldSet);
+        assert.notExists(report.result);
+    });
+
+    it('should remove a node and bring it back', async () => {
+        const removal = await ss.admin.changeNodesSet(httpSSAlice, admin, [node1, node2, node3], [node1, node2]);
+        assert.isFalse(removal.dryRun);
+        assert.exists(removal.result);
+        assert.equal(ss.local.verifyEcdsaSignature(node1, removal.oldSetHash, removal.signatureOldSet), true);
+        assert.equal(ss.local.verifyEcdsaSignature(node1, removal.newSetHash, removal.signatureNewSet), true);
+
+        const comeback = await ss.admin.changeNodesSet([httpSSBob, httpSSAlice], admin, [node1, node2], [node1, node2, node3]);
+        assert.deepEqual(comeback.added, [node3]);
+        assert.exists(comeback.result);
+    });
+
+    it('should not change the nodes set without the admin key', async () => {
+        const bob = new signers.KeystoreSigner(assets.keystores.bob, bobpwd);
+        try {
+            await ss.admin.changeNodesSet(httpSSAlice, bob, [node1, node2, node3], [node1, node2], false);
+            assert.fail("changed the nodes set");
+        } catch (e) {
+            assert.instanceOf(e, errors.AccessDeniedError);
+        }
+    });
+});
@@ -12,6 +12,11 @@ module.exports = {
         bobpwd: fs.readFileSync(path.join(__dirname, '../nodes_ss_dev/bob.pwd'), "utf-8"),
         charliepwd: fs.readFileSync(path.join(__dirname, '../nodes_ss_dev/charlie.pwd'), "utf-8"),
     },
+    keystores: {
+        alice: JSON.parse(fs.readFileSync(path.join(__dirname, '../nodes_ss_dev/db.dev_ss_alice/keys/DevelopmentChain/UTC--2018-09-16T16-37-22Z--507fbb9c-9916-31b9-88eb-952c4da4fed9'), "utf-8")),
+        bob: JSON.parse(fs.readFileSync(path.join(__dirname, '../nodes_ss_dev/db.dev_ss_bob/keys/DevelopmentChain/UTC--2018-09-18T08-53-12Z--dc882682-e2fe-3c29-f68c-3812258321df'), "utf-8")),
+        charlie: JSON.parse(fs.readFileSync(path.join(__dirname, '../nodes_ss_dev/db.dev_ss_charlie/keys/DevelopmentChain/UTC--2018-09-16T16-42-13Z--1fbf92b7-09ef-8843-765c-091bf7bcfe6a'), "utf-8")),
+    },
     httpSS: {
         httpSSAlice: "http://127.0.0.1:8090",
         httpSSBob: "http://127.0.0.1:8091",
@@ -0,0 +1,214 @@
+const assert = require('chai').assert;
+const http = require('http');
+const path = require('path');
+const call = require(path.join(__dirname, '../src/call.js'));
+const ss = require(path.join(__dirname, '../src/secretstore'));
+const private = require(path.join(__dirname, '../src/private'));
+
+const docID = "0x" + "11".repeat(32);
+const signature = "0x" + "22".repeat(65);
+
+function startServer(handler) {
+    return new Promise(resolve => {
+        const server = http.createServer(handler);
+        server.listen(0, "127.0.0.1", () => resolve(server));
+    });
+}
+
+function urlOf(server) {
+    return "http://127.0.0.1:" + server.address().port;
+}
+
+async function rejection(promise) {
+    try {
+        await promise;
+    } catch (e) {
+        return e;
+    }
+    assert.fail("should have been rejected");
+}
+
+function fakeWeb3(send) {
+    return {currentProvider: {send}};
+}
+
+describe('Call options test', async () => {
+    var hanging;
+    var flaky;
+    var flakyRequests = 0;
+    var closed = 0;
+
+    before(async () => {
+        hanging = await startServer((req, res) => {
+            res.on('close', () => closed++);
+        });
+        flaky = await startServer((req, res) => {
+            req.resume();
+            flakyRequests++;
+            if (flakyRequests % 3 !== 0) {
+                res.writeHead(500);
+                res.end('"Consensus temporary unreachable"');
+            }
+            else {
+                res.writeHead(200);
+                res.end('"0xabcdef"');
+            }
+        });
+    });
+
+    after(() => {
+        [hanging, flaky].forEach(server => {
+            server.closeAllConnections();
+            server.close();
+        });
+    });
+
+    it('should time out a stuck session and cancel its request', async () => {
+        const err = await rejection(ss.session.retrieveDocumentKey(urlOf(hanging), docID, signature, false, {timeout: 200}));
+        assert.instanceOf(err, call.TimeoutError);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.equal(closed, 1);
+    });
+
+    it('should retry transient session errors with backoff', async () => {
+        const delays = [];
+        const key = await ss.session.retrieveDocumentKey(urlOf(flaky), docID, signature, false, {
+            retries: 2,
+            backoff: (attempt) => { delays.push(attempt); return 10; }
+        });
+        assert.equal(key, "0xabcdef");
+        assert.deepEqual(delays, [0, 1]);
+    });
+
+    it('should give up after the last retry', async () => {
+        flakyRequests = 0;
+        const err = await rejection(ss.session.retrieveDocumentKey(urlOf(flaky), docID, signature, false,
+            {retries: 1, minDelay: 1}));
+        assert.instanceOf(err, ss.session.SecretStoreSessionError);
+        assert.equal(err.response.statusCode, 500);
+        assert.equal(flakyRequests, 2);
+    });
+
+    it('should abort a session', async () => {
+        const controller = new AbortController();
+        const pending = ss.session.generateServerKey(urlOf(hanging), docID, signature, 1, false, {signal: controller.signal});
+        setTimeout(() => controller.abort(), 20);
+        assert.instanceOf(await rejection(pending), call.AbortError);
+
+        const err = await rejection(ss.session.generateServerKey(urlOf(hanging), docID, signature, 1, false,
+            {signal: controller.signal}));
+        assert.instanceOf(err, call.AbortError);
+    });
+
+    it('should abort between retries', async () => {
+        const controller = new AbortController();
+        flakyRequests = 0;
+        const pending = ss.session.retrieveDocumentKey(urlOf(flaky), docID, signature, false,
+            {retries: 5, backoff: "constant", minDelay: 1000, signal: controller.signal});
+        setTimeout(() => controller.abort(), 50);
+        assert.instanceOf(await rejection(pending), call.AbortError);
+        assert.equal(flakyRequests, 1);
+    });
+
+    it('should time out and retry RPC calls', async () => {
+        let calls = 0;
+        const web3 = fakeWeb3((payload, callback) => {
+            calls++;
+            if (calls === 1) return;
+            if (calls === 2) return callback(new Error("CONNECTION ERROR"));
+            callback(null, {jsonrpc: "2.0", id: payload.id, result: "0x" + payload.method});
+        });
+        const result = await ss.serversSetHash(web3, [], false, {timeout: 30, retries: 2, minDelay: 1});
+        assert.equal(result, "0xsecretstore_serversSetHash");
+        assert.equal(calls, 3);
+    });
+
+    it('should not retry JSON-RPC errors', async () => {
+        let calls = 0;
+        const web3 = fakeWeb3((payload, callback) => {
+            calls++;
+            callback(null, {jsonrpc: "2.0", id: payload.id, error: {code: -32015, message: "Transaction execution error."}});
+        });
+        const err = await rejection(private.contractKey(web3, "0x" + "00".repeat(20), false, {retries: 3, minDelay: 1}));
+        assert.equal(err.code, -32015);
+        assert.equal(calls, 1);
+    });
+
+    it('should only hand attempts a signal when they can be cancelled', async () => {
+        const signals = [];
+        const fn = signal => { signals.push(signal); return "done"; };
+        await call.run(fn);
+        await call.run(fn, {timeout: 1000});
+        await call.run(fn, {signal: new AbortController().signal});
+        assert.isUndefined(signals[0]);
+        assert.instanceOf(signals[1], AbortSignal);
+        assert.instanceOf(signals[2], AbortSignal);
+    });
+
+    it('should apply global defaults', async () => {
+        const previous = call.getDefaults();
+        try {
+            call.configure({timeout: 20});
+            const web3 = fakeWeb3(() => {});
+            assert.instanceOf(await rejection(private.call(web3, {}, false)), call.TimeoutError);
+            assert.throws(() => call.configure({backoff: "fibonacci"}), TypeError);
+        } finally {
+            call.configure(previous);
+        }
+        assert.deepEqual(call.getDefaults(), previous);
+    });
+});
+
+describe('RPC request ID and batch test', async () => {
+    const rpc = require(path.join(__dirname, '../src/rpc.js'));
+
+    it('should give every request its own ID', async () => {
+        const ids = [];
+        const web3 = fakeWeb3((payload, callback) => {
+            ids.push(payload.id);
+            setTimeout(() => callback(null, {jsonrpc: "2.0", id: payload.id, result: payload.id}), 10 - ids.length);
+        });
+        const results = await Promise.all([1, 2, 3].map(() => private.contractKey(web3, "0x" + "00".repeat(20), false)));
+        assert.deepEqual(results, ids);
+        assert.equal(new Set(ids).size, 3);
+        assert.isAbove(rpc.nextId(), Math.max(...ids));
+    });
+
+    it('should reject responses to other requests', async () => {
+        const web3 = fakeWeb3((payload, callback) => callback(null, {jsonrpc: "2.0", id: payload.id + 1, result: "0x"}));
+        const err = await rejection(private.contractKey(web3, "0x" + "00".repeat(20), false));
+        assert.match(err.message, /Invalid JSON-RPC response/);
+    });
+
+    it('should send batches and settle every request', async () => {
+        const batches = [];
+        const web3 = fakeWeb3((payload, callback) => {
+            batches.push(payload.length);
+            callback(null, payload.map(request => request.params[0] === "fail"
+                ? {jsonrpc: "2.0", id: request.id, error: {code: -32000, message: "failed"}}
+                : {jsonrpc: "2.0", id: request.id, result: request.params[0]}).reverse());
+        });
+        const params = ["a", "fail", "c", "d", "e"];
+        const outcomes = await rpc.sendBatch(web3, params.map(param => ({method: "test_echo", params: [param]})), false, {batchSize: 2});
+        assert.deepEqual(batches, [2, 2, 1]);
+        assert.deepEqual(outcomes.map(outcome => outcome.value), ["a", undefined, "c", "d", "e"]);
+        assert.equal(outcomes[1].status, "rejected");
+        assert.equal(outcomes[1].reason.method, "test_echo");
+        assert.equal(outcomes[1].reason.code, -32000);
+    });
+
+    it('should retry batches failing as a whole', async () => {
+        let calls = 0;
+        const web3 = fakeWeb3((payload, callback) => {
+            calls++;
+            if (calls === 1) return callback(new Error("CONNECTION ERROR"));
+            callback(null, payload.slice(1).map(request => ({jsonrpc: "2.0", id: request.id, result: "0x1"})));
+        });
+        const outcomes = await rpc.sendBatch(web3, [{method: "a", params: []}, {method: "b", params: []}], false, {retries: 1, minDelay: 1});
+        assert.equal(calls, 2);
+        assert.equal(outcomes[0].status, "rejected");
+        assert.match(outcomes[0].reason.message, /no response/);
+        assert.deepEqual(outcomes[1], {status: "fulfilled", value: "0x1"});
+        assert.instanceOf(await rejection(rpc.sendBatch(web3, [], false, {batchSize: 0})), TypeError);
+    });
+});
@@ -0,0 +1,102 @@
+const assert = require('chai').assert;
+const http = require('http');
+const path = require('path');
+const diagnostics = require(path.join(__dirname, '../src/diagnostics.js'));
+const errors = require(path.join(__dirname, '../src/errors.js'));
+const ss = require(path.join(__dirname, '../src/secretstore'));
+
+const assets = require("./assets.js");
+const {httpRpcAlice, httpRpcBob} = assets.httpRpc;
+const {httpSSAlice, httpSSBob, httpSSCharlie} = assets.httpSS;
+
+var web3 = new (require('web3'))(httpRpcAlice);
+
+const deadNode = "http://127.0.0.1:1";
+
+describe('Diagnostics test', async () => {
+    var webServer;
+    var webUrl;
+    var webStatus = 404;
+
+    before(async () => {
+        webServer = http.createServer((req, res) => {
+            res.writeHead(webStatus, {"Content-Type": "text/html"});
+            res.end("<h1>" + http.STATUS_CODES[webStatus] + "</h1>");
+        });
+        await new Promise(resolve => webServer.listen(0, "127.0.0.1", resolve));
+        webUrl = "http://127.0.0.1:" + webServer.address().port;
+    });
+
+    after(async () => {
+        await new Promise(resolve => webServer.close(resolve));
+    });
+
+    it('should report a healthy cluster', async () => {
+        const report = await diagnostics.check({
+            secretStore: [httpSSAlice, httpSSBob, httpSSCharlie],
+            rpc: [web3, httpRpcBob],
+            threshold: 1
+        });
+        assert.isTrue(report.ok, report.problems.join());
+        assert.isTrue(report.ready);
+        assert.equal(report.online, 3);
+        assert.equal(report.required, 2);
+        assert.isTrue(report.secretStore.every(node => node.reachable && node.httpApi));
+        assert.deepEqual(report.rpc.map(endpoint => endpoint.url), [httpRpcAlice, httpRpcBob]);
+        assert.isTrue(report.rpc.every(endpoint => endpoint.secretstore && endpoint.private));
+        assert.include(report.rpc[0].modules, "secretstore");
+    });
+
+    it('should tell unreachable nodes from other HTTP servers', async () => {
+        const report = await diagnostics.check({secretStore: new ss.pool.NodePool([httpSSAlice, deadNode, webUrl])}, false);
+        assert.isFalse(report.ok);
+        assert.isTrue(report.ready);
+        assert.equal(report.online, 1);
+        const [alive, dead, web] = report.secretStore;
+        assert.isTrue(alive.httpApi);
+        assert.include(dead, {url: deadNode, reachable: false, httpApi: false});
+        assert.exists(dead.error);
+        assert.include(web, {url: webUrl, reachable: true, httpApi: false, statusCode: 404});
+        assert.deepEqual(report.problems, [deadNode + ": unreachable", webUrl + ": not a Secret Store HTTP API"]);
+    });
+
+    it('should not take the 400 and 403 pages of other HTTP servers for Secret Store errors', async () => {
+        try {
+            for (webStatus of [400, 403]) {
+                const probe = await diagnostics.probeSecretStore(webUrl);
+                assert.include(probe, {reachable: true, httpApi: false, statusCode: webStatus});
+                assert.exists(probe.error);
+            }
+        } finally {
+            webStatus = 404;
+        }
+        assert.isTrue((await diagnostics.probeSecretStore(httpSSAlice)).httpApi);
+    });
+
+    it('should report JSON-RPC endpoints missing APIs', async () => {
+        const publicOnly = {currentProvider: {send: (payload, callback) => callback(null,
+            {jsonrpc: "2.0", id: payload.id, result: {eth: "1.0", secretstore: "1.0"}})}};
+        const report = await diagnostics.check({secretStore: httpSSAlice, rpc: [publicOnly, deadNode]}, false);
+        assert.isFalse(report.ready);
+        assert.include(report.rpc[0], {reachable: true, secretstore: true, private: false});
+        assert.include(report.rpc[1], {url: deadNode, reachable: false});
+        assert.deepEqual(report.problems, ["JSON-RPC endpoint #0: private API not exposed", deadNode + ": JSON-RPC unreachable"]);
+    });
+
+    it('should guard sessions with a preflight check', async () => {
+        const report = await diagnostics.preflight({secretStore: [httpSSAlice, deadNode], threshold: 0}, false);
+        assert.equal(report.online, 1);
+        assert.isFalse(report.ok);
+
+        for (const cluster of [{secretStore: [httpSSAlice, deadNode], threshold: 1}, {secretStore: [httpSSAlice, httpSSBob, deadNode], requireAll: true}]) {
+            try {
+                await diagnostics.preflight(cluster, false, {timeout: 1000});
+                assert.fail("passed the preflight check");
+            } catch (e) {
+                assert.instanceOf(e, errors.PreflightError);
+                assert.isFalse(e.report.ready);
+                assert.match(e.message, / key servers online, \d required/);
+            }
+        }
+    });
+});
@@ -0,0 +1,111 @@
+const assert = require('chai').assert;
+const path = require('path');
+const sha256 = require('crypto-js/sha256');
+const ss = require(path.join(__dirname, '../src/secretstore'));
+const private = require(path.join(__dirname, '../src/private'));
+const errors = require(path.join(__dirname, '../src/errors.js'));
+
+const assets = require("./assets.js");
+const {alice, bob} = assets.accounts;
+const {alicepwd, bobpwd} = assets.passwords;
+const {httpRpcAlice} = assets.httpRpc;
+const {httpSSAlice, httpSSBob} = assets.httpSS;
+
+var web3 = new (require('web3'))(httpRpcAlice);
+
+async function rejection(promise) {
+    try {
+        await promise;
+    } catch (e) {
+        return e;
+    }
+    assert.fail("should have been rejected");
+}
+
+describe('Error taxonomy test', async () => {
+    var docID;
+    var signedDocID;
+    var skey;
+
+    before(async () => {
+        docID = sha256(Math.random().toString()).toString();
+        signedDocID = await ss.signRawHash(web3, alice, alicepwd, docID);
+    });
+
+    it('should tell a missing key', async () => {
+        const err = await rejection(ss.session.retrieveDocumentKey(httpSSAlice, docID, signedDocID, false));
+        assert.instanceOf(err, errors.KeyNotFoundError);
+        assert.instanceOf(err, ss.session.SecretStoreSessionError);
+        assert.equal(err.code, "SERVER_KEY_NOT_FOUND");
+        assert.equal(err.session, "document key retrieval");
+        assert.equal(err.docID, docID);
+        assert.equal(err.url, httpSSAlice);
+        assert.equal(err.statusCode, 404);
+        assert.equal(err.details, "Server key with this ID is not found");
+        assert.include(err.message, "document key retrieval session on " + httpSSAlice);
+        assert.isFalse(err.transient);
+    });
+
+    it('should tell an already generated key', async () => {
+        skey = await ss.session.generateServerKey(httpSSAlice, docID, signedDocID, 1, false);
+        const err = await rejection(ss.session.generateServerKey(httpSSBob, docID, signedDocID, 1, false));
+        assert.instanceOf(err, errors.KeyAlreadyExistsError);
+        assert.equal(err.code, "SERVER_KEY_ALREADY_GENERATED");
+        assert.equal(err.session, "server key generation");
+        assert.equal(err.url, httpSSBob);
+        assert.isFalse(err.transient);
+    });
+
+    it('should tell a denied access', async () => {
+        const bobSignature = await ss.signRawHash(web3, bob, bobpwd, docID);
+        const dkey = await ss.generateDocumentKey(web3, bob, bobpwd, skey);
+        const err = await rejection(ss.session.storeDocumentKey(httpSSAlice, docID, bobSignature,
+            dkey.common_point, dkey.encrypted_point, false));
+        assert.instanceOf(err, errors.AccessDeniedError);
+        assert.equal(err.code, "ACCESS_DENIED");
+        assert.equal(err.session, "document key storing");
+    });
+
+    it('should tell an invalid request', async () => {
+        const err = await rejection(ss.session.signSchnorr(httpSSAlice, docID, "0x" + "00".repeat(65), docID, false));
+        assert.instanceOf(err, errors.InvalidRequestError);
+        assert.equal(err.code, "BAD_SIGNATURE");
+        assert.equal(err.session, "schnorr signing");
+    });
+
+    it('should tell transient consensus failures', async () => {
+        const transport = () => Promise.resolve({statusCode: 500, body: '"\\"Consensus temporary unreachable\\""'});
+        const err = await rejection(ss.session.signEcdsa("http://ss.example", docID, signedDocID, docID, false, {transport}));
+        assert.instanceOf(err, errors.ConsensusUnreachableError);
+        assert.equal(err.code, "CONSENSUS_TEMPORARY_UNREACHABLE");
+        assert.isTrue(err.transient);
+    });
+
+    it('should keep unknown failures generic', async () => {
+        const err = errors.SecretStoreSessionError.fromResponse({statusCode: 502, body: "<html>Bad gateway</html>"});
+        assert.equal(err.name, "SecretStoreSessionError");
+        assert.equal(err.code, "UNKNOWN");
+        assert.isTrue(err.transient);
+    });
+
+    it('should only tell a threshold error from its own message', async () => {
+        const threshold = errors.SecretStoreSessionError.fromResponse({statusCode: 500, body: '"Not enough nodes for threshold"'});
+        assert.instanceOf(threshold, errors.InvalidRequestError);
+        assert.equal(threshold.code, "INVALID_THRESHOLD");
+        const internal = errors.SecretStoreSessionError.fromResponse({statusCode: 500, body: '"Internal error: threshold mismatch"'});
+        assert.equal(internal.code, "INTERNAL");
+    });
+
+    it('should type JSON-RPC errors', async () => {
+        let err = await rejection(ss.encrypt(web3, alice, "wrong password", "0x00", "0x00", false));
+        assert.instanceOf(err, errors.RpcError);
+        assert.equal(err.code, -32023);
+        assert.equal(err.reason, "ACCOUNT");
+        assert.equal(err.method, "secretstore_encrypt");
+
+        err = await rejection(private.call(web3, {from: alice, to: "0x" + "00".repeat(20), data: "0x"}, false));
+        assert.instanceOf(err, errors.RpcError);
+        assert.equal(err.method, "private_call");
+        assert.equal(err.reason, "PRIVATE_TRANSACTION");
+    });
+});
@@ -0,0 +1,112 @@
+const assert = require('chai').assert;
+const path = require('path');
+const sha256 = require('crypto-js/sha256');
+const ss = require(path.join(__dirname, '../src/secretstore'));
+const logger = require(path.join(__dirname, '../src/logger.js'));
+
+const assets = require("./assets.js");
+const {alice} = assets.accounts;
+const {alicepwd} = assets.passwords;
+const {httpRpcAlice} = assets.httpRpc;
+const {httpSSAlice} = assets.httpSS;
+
+var web3 = new (require('web3'))(httpRpcAlice);
+
+function recorder() {
+    const entries = [];
+    const record = level => (message, fields) => entries.push({level, message, fields});
+    return {entries, debug: record("debug"), info: record("info"), warn: record("warn"), error: record("error")};
+}
+
+describe('Logger test', async () => {
+    var previous;
+    var docID;
+    var signedDocID;
+
+    before(async () => {
+        previous = logger.getSettings();
+        docID = sha256(Math.random().toString()).toString();
+        signedDocID = await ss.signRawHash(web3, alice, alicepwd, docID);
+    });
+
+    afterEach(() => {
+        logger.configure(previous);
+    });
+
+    it('should redact secrets', async () => {
+        const signature = "0x" + "ab".repeat(65);
+        const redacted = logger.redact({
+            pwd: alicepwd,
+            params: [alice, alicepwd],
+            nested: {privateKey: "0x" + "11".repeat(32), docID},
+            path: "/shadow/" + docID + "/" + signature.slice(2) + "/1",
+            error: new Error("failed with " + signature),
+            statusCode: 500
+        });
+        assert.equal(redacted.pwd, "[REDACTED]");
+        assert.equal(redacted.params, "[REDACTED]");
+        assert.equal(redacted.nested.privateKey, "[REDACTED]");
+        assert.equal(redacted.nested.docID, docID);
+        assert.equal(redacted.path, "/shadow/" + docID + "/[REDACTED]/1");
+        assert.deepEqual(redacted.error, {name: "Error", message: "failed with [REDACTED]", code: undefined});
+        assert.equal(redacted.statusCode, 500);
+    });
+
+    it('should log a failed session once at error level, without secrets', async () => {
+        const log = recorder();
+        logger.configure({logger: log});
+        await ss.session.retrieveDocumentKey(httpSSAlice, docID, signedDocID).catch(e => e);
+        assert.lengthOf(log.entries, 1);
+        const entry = log.entries[0];
+        assert.equal(entry.level, "error");
+        assert.equal(entry.fields.session, "document key retrieval");
+        assert.equal(entry.fields.docID, docID);
+        assert.equal(entry.fields.error.name, "KeyNotFoundError");
+        assert.exists(entry.fields.requestId);
+        assert.notInclude(JSON.stringify(log.entries), signedDocID.slice(2));
+    });
+
+    it('should correlate the entries of a request', async () => {
+        const log = recorder();
+        logger.configure({level: "debug"});
+        await ss.session.retrieveDocumentKey(["http://127.0.0.1:1", httpSSAlice], docID, signedDocID, log,
+            {retries: 1, minDelay: 1}).catch(e => e);
+        const levels = log.entries.map(entry => entry.level);
+        assert.includeMembers(levels, ["debug", "warn", "error"]);
+        assert.equal(new Set(log.entries.map(entry => entry.fields.requestId)).size, 1);
+        assert.isTrue(log.entries.every(entry => !JSON.stringify(entry).includes(signedDocID.slice(2))));
+    });
+
+    it('should log RPC calls without passwords', async () => {
+        const log = recorder();
+        logger.configure({level: "debug"});
+        await ss.signRawHash(web3, alice, alicepwd, docID, log);
+        await ss.encrypt(web3, alice, "wrong password", "0x00", "0x00", log).catch(e => e);
+        assert.isAbove(log.entries.length, 2);
+        assert.equal(log.entries[0].fields.method, "secretstore_signRawHash");
+        assert.equal(log.entries[log.entries.length - 1].fields.reason, "ACCOUNT");
+        assert.notInclude(JSON.stringify(log.entries), "wrong password");
+        assert.notInclude(JSON.stringify(log.entries), alicepwd);
+    });
+
+    it('should be silenced per call and filtered by level', async () => {
+        const log = recorder();
+        logger.configure({logger: log, level: "silent"});
+        await ss.session.retrieveDocumentKey(httpSSAlice, docID, signedDocID).catch(e => e);
+        logger.configure({level: "error"});
+        await ss.session.retrieveDocumentKey(httpSSAlice, docID, signedDocID, false).catch(e => e);
+        assert.lengthOf(log.entries, 0);
+        assert.throws(() => logger.configure({level: "verbose"}), TypeError);
+        assert.throws(() => logger.configure({logger: console.log}), TypeError);
+    });
+
+    it('should log unredacted when asked to', async () => {
+        const log = recorder();
+        logger.configure({redact: false});
+        await ss.encrypt(web3, alice, "wrong password", "0x00", "0x00", log).catch(e => e);
+        assert.include(JSON.stringify(log.entries), "secretstore_encrypt");
+        logger.configure({level: "debug"});
+        await ss.encrypt(web3, alice, "wrong password", "0x00", "0x00", log).catch(e => e);
+        assert.include(JSON.stringify(log.entries), "wrong password");
+    });
+});
@@ -0,0 +1,92 @@
+const assert = require('chai').assert;
+const path = require('path');
+const http = require('http');
+const sha256 = require('crypto-js/sha256');
+
+const ss = require(path.join(__dirname, '../src/secretstore'));
+
+const assets = require("./assets.js");
+const setup = require("./setup.js");
+const {alice, bob, charlie} = assets.accounts;
+const {alicepwd, bobpwd, charliepwd} = assets.passwords;
+const {httpRpcAlice, httpRpcBob, httpRpcCharlie} = assets.httpRpc;
+const {httpSSAlice, httpSSBob, httpSSCharlie} = assets.httpSS;
+const {node1, node2, node3} = assets.nodes;
+
+var web3 = new (require('web3'))(httpRpcAlice);
+
+function get(url) {
+    return new Promise((resolve, reject) => {
+        http.get(url, response => {
+            response.resume();
+            resolve(response);
+        }).on('error', reject);
+    });
+}
+
+describe('Mock Secret Store test', async () => {
+
+    before(function () {
+        if (!setup.mock) this.skip();
+    });
+
+    it('should expose the node IDs of the dev nodes', async () => {
+        assert.deepEqual(setup.mock.nodeIDs, [node1, node2, node3]);
+    });
+
+    it('should reject a threshold the cluster cannot serve', async () => {
+        let docID = sha256(Math.random().toString()).toString();
+        let signedDocID = await ss.signRawHash(web3, alice, alicepwd, docID);
+        try {
+            await ss.session.generateServerKey(httpSSAlice, docID, signedDocID, 3, false);
+            assert.fail("should have failed");
+        } catch (e) {
+            assert.instanceOf(e, ss.session.SecretStoreSessionError);
+            assert.equal(e.code, "INVALID_THRESHOLD");
+            assert.equal(e.response.statusCode, 500);
+            assert.equal(JSON.parse(e.response.body), '"Not enough nodes for threshold"');
+        }
+    });
+
+    it('should deny storing a document key by someone else than the author', async () => {
+        let docID = sha256(Math.random().toString()).toString();
+        let signedDocID = await ss.signRawHash(web3, alice, alicepwd, docID);
+        let skey = await ss.session.generateServerKey(httpSSBob, docID, signedDocID, 1);
+        let dkey = await ss.generateDocumentKey(web3, alice, alicepwd, skey);
+        let signedByBob = await ss.signRawHash(web3, bob, bobpwd, docID);
+        try {
+            await ss.session.storeDocumentKey(httpSSCharlie, docID, signedByBob, dkey.common_point, dkey.encrypted_point, false);
+            assert.fail("should have failed");
+        } catch (e) {
+            assert.equal(e.response.statusCode, 403);
+        }
+    });
+
+    it('should not find a document key that was never stored', async () => {
+        let docID = sha256(Math.random().toString()).toString();
+        let signedDocID = await ss.signRawHash(web3, alice, alicepwd, docID);
+        await ss.session.generateServerKey(httpSSAlice, docID, signedDocID, 1);
+        let response = await get(httpSSAlice + "/" + docID + "/" + signedDocID.slice(2));
+        assert.equal(response.statusCode, 404);
+    });
+
+    it('should reject a wrong account password', async () => {
+        try {
+            await ss.signRawHash(web3, alice, bobpwd, sha256("lololol").toString(), false);
+            assert.fail("should have failed");
+        } catch (e) {
+            assert.equal(e.code, -32023);
+        }
+    });
+
+    it('should share keys between the nodes', async () => {
+        let docID = sha256(Math.random().toString()).toString();
+        let signedDocID = await ss.signRawHash(web3, alice, alicepwd, docID);
+        await ss.session.generateServerAndDocumentKey(httpSSAlice, docID, signedDocID, 2);
+        let key = await ss.session.retrieveDocumentKey(httpSSCharlie, docID, signedDocID);
+        let hexDoc = web3.utils.toHex("lololololol");
+        let web3Charlie = new (require('web3'))(httpRpcCharlie);
+        let encryptedDoc = await ss.encrypt(web3Charlie, alice, alicepwd, key, hexDoc);
+        assert.equal(await ss.decrypt(web3, alice, alicepwd, key, encryptedDoc), hexDoc);
+    });
+});
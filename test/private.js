@@ -12,6 +12,8 @@ const TestContract = assets.TestContract;
 var web3 = new (require('web3'))(httpRpcAlice);
 
 const private = require(path.join(__dirname, '../src/private'));
+const ss = require(path.join(__dirname, '../src/secretstore'));
+const signers = require(path.join(__dirname, '../src/signer.js'));
 
 describe('Private transactions correct inputs test', async () => {
     
@@ -72,3 +74,378 @@ describe('Private transactions correct inputs test', async () => {
     });
 
 });
+
+describe('Private contract test', async () => {
+    const {PrivateContract} = private.contract;
+    var contract;
+
+    before(async () => {
+        let publicTx = await private.composePublicTx(web3, {gas: web3.utils.toHex(1000000),
+            gasPrice: web3.utils.toHex(1000), from: alice, to: null, data: TestContract.bytecode});
+        let signedTx = await web3.eth.personal.signTransaction(publicTx, alicepwd);
+        let composure = await private.composeDeploymentTx(web3, signedTx.raw, [bob], web3.utils.toHex(1000));
+        signedTx = await web3.eth.personal.signTransaction(composure.transaction, alicepwd);
+        await web3.eth.sendSignedTransaction(signedTx.raw);
+        contract = new PrivateContract(web3, TestContract.abi, composure.receipt.contractAddress,
+            {from: alice, pwd: alicepwd, gas: web3.utils.toHex(1000000), gasPrice: web3.utils.toHex(1000)});
+    });
+
+    it('should call methods and decode the results', async () => {
+        let x = await contract.methods.x().call();
+        assert.match(x, /^0x[0-9a-f]{64}$/);
+        assert.equal(await contract.methods["x()"]().call({from: alice}), x);
+        assert.equal(contract.methods.x().encodeABI(), web3.eth.abi.encodeFunctionSignature("x()"));
+    });
+
+    it('should send transactions signed by the node', async () => {
+        let result = await contract.methods.setX(web3.utils.utf8ToHex("42")).send();
+        assert.exists(result);
+        assert.equal(web3.utils.hexToUtf8(await contract.methods.x().call()), "42");
+    });
+
+    it('should send transactions signed by a signer', async () => {
+        let signer = new signers.PrivateKeySigner(ss.local.decryptKeystore(assets.keystores.alice, alicepwd));
+        await contract.methods["setX(bytes32)"](web3.utils.utf8ToHex("43")).send({signer});
+        assert.equal(web3.utils.hexToUtf8(await contract.methods.x().call()), "43");
+    });
+
+    it('should check the arguments', async () => {
+        assert.throws(() => contract.methods.setX(), /Invalid number of parameters/);
+        assert.throws(() => new PrivateContract(web3, "not an ABI", alice), TypeError);
+        try {
+            await new PrivateContract(web3, TestContract.abi, contract.address).methods.setX("0x00").send();
+            assert.fail("sent without a sender");
+        } catch (e) {
+            assert.instanceOf(e, TypeError);
+        }
+    });
+});
+
+describe('Private contract deployment test', async () => {
+    const {deployPrivateContract} = private.contract;
+    const transaction = require(path.join(__dirname, '../src/transaction.js'));
+
+    it('should deploy a private contract in one call', async () => {
+        let deployed = await deployPrivateContract(web3, {abi: TestContract.abi, bytecode: TestContract.bytecode,
+            validators: [bob], from: alice, pwd: alicepwd, gas: web3.utils.toHex(1000000), gasPrice: web3.utils.toHex(1000)});
+        assert.equal(deployed.address, deployed.composure.receipt.contractAddress);
+        assert.equal(deployed.receipt.transactionHash, deployed.transactionHash);
+        assert.equal(deployed.receipt.from.toLowerCase(), alice);
+        assert.equal(transaction.decode(deployed.deploymentTransaction).from, alice);
+        assert.equal(transaction.decode(deployed.wrapperTransaction).hash, deployed.transactionHash);
+
+        await deployed.contract.methods.setX(web3.utils.utf8ToHex("42")).send({gas: web3.utils.toHex(1000000)});
+        assert.equal(web3.utils.hexToUtf8(await deployed.contract.methods.x().call()), "42");
+    });
+
+    it('should encode constructor arguments', async () => {
+        let abi = TestContract.abi.concat([{type: "constructor", inputs: [{name: "_x", type: "bytes32"}], payable: false, stateMutability: "nonpayable"}]);
+        let signer = new signers.KeystoreSigner(assets.keystores.alice, alicepwd);
+        let x = web3.utils.padRight(web3.utils.utf8ToHex("bongocat"), 64);
+        let deployed = await deployPrivateContract(web3, {abi, bytecode: TestContract.bytecode, args: [x],
+            validators: [bob, charlie], signer, gas: web3.utils.toHex(1000000)});
+        let data = "0x" + transaction.decode(deployed.deploymentTransaction).data.toString("hex");
+        assert.equal(data, TestContract.bytecode + x.slice(2));
+        assert.exists(await deployed.contract.methods.x().call({from: alice}));
+    });
+
+    it('should give up waiting for a transaction', async () => {
+        try {
+            await private.waitForReceipt(web3, "0x" + "ab".repeat(32), false, {pollInterval: 10, waitTimeout: 50});
+            assert.fail("mined");
+        } catch (e) {
+            assert.equal(e.name, "TimeoutError");
+        }
+    });
+
+    it('should check the deployment', async () => {
+        let checks = [
+            [{abi: TestContract.abi, bytecode: TestContract.bytecode, validators: [bob]}, /signer or the from account/],
+            [{abi: TestContract.abi, bytecode: TestContract.bytecode, validators: [], from: alice}, /validator/],
+            [{abi: TestContract.abi, bytecode: TestContract.bytecode, args: ["0x00"], validators: [bob], from: alice, pwd: alicepwd}, /number of parameters/]
+        ];
+        for (let [deployment, message] of checks) {
+            try {
+                await deployPrivateContract(web3, deployment, false);
+                assert.fail("deployed");
+            } catch (e) {
+                assert.match(e.message, message);
+            }
+        }
+    });
+});
+
+describe('Private transaction tracking test', async () => {
+    const {PrivateContract} = private.contract;
+    const {sendAndTrack} = private.tracker;
+    var contract;
+
+    async function mineBlock() {
+        let publicTx = await private.composePublicTx(web3, {from: charlie, to: charlie, gasPrice: "0x0"});
+        let signedTx = await web3.eth.personal.signTransaction(publicTx, charliepwd);
+        await web3.eth.sendSignedTransaction(signedTx.raw);
+    }
+
+    before(async () => {
+        let deployed = await private.contract.deployPrivateContract(web3, {abi: TestContract.abi, bytecode: TestContract.bytecode,
+            validators: [bob, charlie], from: alice, pwd: alicepwd, gas: web3.utils.toHex(1000000), gasPrice: web3.utils.toHex(1000)}, true, {pollInterval: 10});
+        contract = deployed.contract;
+    });
+
+    it('should follow a private transaction to its public state update', async () => {
+        let signer = new signers.KeystoreSigner(assets.keystores.alice, alicepwd);
+        let raw = await private.signTransaction(web3, signer, {to: contract.address,
+            data: contract.methods.setX(web3.utils.utf8ToHex("44")).encodeABI(), gas: web3.utils.toHex(1000000)});
+        let progress = [];
+        let tracker = sendAndTrack(web3, raw, true, {pollInterval: 10});
+        ["submitted", "signed", "mined", "confirmation", "receipt"].forEach(name => tracker.on(name, () => progress.push(name)));
+        let signed = new Promise(resolve => tracker.once("signed", resolve));
+
+        let receipt = await tracker;
+        assert.deepEqual(progress, ["submitted", "signed", "mined", "receipt"]);
+        assert.equal(tracker.status, "receipt");
+        assert.deepEqual((await signed).validators, [bob, charlie]);
+        assert.equal(receipt.transactionHash, require(path.join(__dirname, '../src/transaction.js')).decode(raw).hash);
+        assert.equal(receipt.from, alice);
+        assert.equal(receipt.contractAddress, contract.address);
+        assert.deepEqual(receipt.validators, [bob, charlie]);
+        assert.equal(receipt.publicReceipt.transactionHash, receipt.publicTransactionHash);
+        assert.equal(receipt.blockNumber, receipt.publicReceipt.blockNumber);
+        // Parity doesn't expose the logs of the private execution, the receipt doesn't pretend to have them
+        assert.notProperty(receipt, "events");
+        assert.notProperty(receipt, "logs");
+        assert.equal(web3.utils.hexToUtf8(await contract.methods.x().call()), "44");
+    });
+
+    it('should wait for confirmations', async () => {
+        let confirmations = [];
+        let tracker = contract.methods.setX(web3.utils.utf8ToHex("45")).track({gas: web3.utils.toHex(1000000), confirmations: 2, pollInterval: 10})
+            .on("confirmation", count => confirmations.push(count))
+            .on("mined", async () => {
+                await mineBlock();
+                await mineBlock();
+            });
+        let receipt = await tracker;
+        assert.deepEqual(confirmations, [1, 2]);
+        assert.equal(receipt.confirmations, 2);
+        assert.equal(web3.utils.hexToUtf8(await contract.methods.x().call()), "45");
+    });
+
+    it('should time out and report errors', async () => {
+        let quiet = new PrivateContract(web3, TestContract.abi, contract.address, Object.assign({}, contract.options, {verbose: false}));
+        try {
+            await quiet.methods.setX(web3.utils.utf8ToHex("46")).track({gas: web3.utils.toHex(1000000), confirmations: 5, pollInterval: 10, waitTimeout: 100});
+            assert.fail("confirmed");
+        } catch (e) {
+            assert.equal(e.name, "TimeoutError");
+        }
+
+        let tracker = new PrivateContract(web3, TestContract.abi, contract.address, {verbose: false}).methods.setX("0x00").track();
+        let error = await new Promise(resolve => tracker.on("error", resolve));
+        assert.instanceOf(error, TypeError);
+        assert.equal(tracker.status, "failed");
+    });
+});
+
+describe('Private contract wrapper test', async () => {
+    const wrapper = private.wrapper;
+    var contract;
+    var deployedAt;
+
+    before(async () => {
+        let deployed = await private.contract.deployPrivateContract(web3, {abi: TestContract.abi, bytecode: TestContract.bytecode,
+            validators: [bob, charlie], from: alice, pwd: alicepwd, gas: web3.utils.toHex(1000000), gasPrice: web3.utils.toHex(1000)}, true, {pollInterval: 10});
+        contract = deployed.contract;
+        deployedAt = Number(deployed.receipt.blockNumber);
+        await contract.methods.setX(web3.utils.utf8ToHex("42")).send({gas: web3.utils.toHex(1000000)});
+        await contract.methods.setX(web3.utils.utf8ToHex("43")).send({gas: web3.utils.toHex(1000000)});
+    });
+
+    it('should read the wrapper', async () => {
+        let latest = await wrapper.read(web3, contract.address);
+        assert.deepEqual(latest.validators, [bob, charlie]);
+        assert.equal(latest.nonce, 2);
+        assert.equal(latest.blockNumber, await web3.eth.getBlockNumber());
+        assert.match(latest.encryptedCode, /^0x[0-9a-f]+$/);
+
+        let initial = await wrapper.read(web3, contract.address, deployedAt);
+        assert.equal(initial.nonce, 0);
+        assert.equal(initial.encryptedCode, latest.encryptedCode);
+        assert.notEqual(initial.encryptedState, latest.encryptedState);
+        assert.equal(await wrapper.getNonce(web3, contract.address, "0x" + (deployedAt + 1).toString(16)), 1);
+        assert.equal(await wrapper.getEncryptedState(web3, contract.address), latest.encryptedState);
+    });
+
+    it('should list the state changes', async () => {
+        let changes = await wrapper.getStateChanges(web3, contract.address, {fromBlock: deployedAt});
+        assert.lengthOf(changes, 2);
+        assert.deepEqual(changes.map(change => change.returnValues.nonce), ["1", "2"]);
+        assert.deepEqual(changes.map(change => change.blockNumber), [deployedAt + 1, deployedAt + 2]);
+        changes.forEach(change => {
+            assert.equal(change.event, "PrivateStateChanged");
+            assert.deepEqual(change.returnValues.signers, [bob, charlie]);
+            assert.lengthOf(change.returnValues.signatures, 2);
+        });
+        assert.equal(changes[1].returnValues.state, await wrapper.getEncryptedState(web3, contract.address, deployedAt + 2));
+
+        let history = await wrapper.getNonceHistory(web3, contract.address, {fromBlock: deployedAt + 2, toBlock: deployedAt + 2});
+        assert.deepEqual(history, [{nonce: 2, blockNumber: deployedAt + 2, transactionHash: changes[1].transactionHash, signers: [bob, charlie]}]);
+    });
+
+    it('should scan from the deployment block and bound the range', async () => {
+        assert.equal(await wrapper.getDeploymentBlock(web3, contract.address), deployedAt);
+        let changes = await wrapper.getStateChanges(web3, contract.address, {toBlock: deployedAt + 2});
+        assert.deepEqual(changes.map(change => change.blockNumber), [deployedAt + 1, deployedAt + 2]);
+
+        for (let range of [{fromBlock: "earliest", maxBlocks: 2}, {fromBlock: deployedAt + 2, toBlock: deployedAt}]) {
+            try {
+                await wrapper.getStateChanges(web3, contract.address, range);
+                assert.fail("scanned");
+            } catch (e) {
+                assert.instanceOf(e, RangeError);
+            }
+        }
+    });
+
+    it('should fail on other addresses', async () => {
+        try {
+            await wrapper.getValidators(web3, alice);
+            assert.fail("read a wrapper");
+        } catch (e) {
+            assert.match(e.message, /No private contract wrapper/);
+        }
+    });
+});
+
+describe('Private state decryption test', async () => {
+    const state = private.state;
+    var contract;
+    var deployedAt;
+    var signer;
+
+    before(async () => {
+        signer = new signers.KeystoreSigner(assets.keystores.alice, alicepwd);
+        let deployed = await private.contract.deployPrivateContract(web3, {abi: TestContract.abi, bytecode: TestContract.bytecode,
+            validators: [bob], signer, gas: web3.utils.toHex(1000000), gasPrice: web3.utils.toHex(1000)}, true, {pollInterval: 10});
+        contract = deployed.contract;
+        deployedAt = Number(deployed.receipt.blockNumber);
+        await contract.methods.setX(web3.utils.utf8ToHex("42")).send({gas: web3.utils.toHex(1000000)});
+    });
+
+    it('should decrypt the code and state locally', async () => {
+        let x = web3.utils.padRight(web3.utils.utf8ToHex("42"), 64);
+        let latest = await state.readPrivateState(web3, httpSSAlice, contract.address, {signer});
+        assert.equal(latest.contractKey, await private.contractKey(web3, contract.address));
+        assert.deepEqual(latest.storage, {["0x" + "00".repeat(32)]: x});
+        // Parity's snapshot of the storage: slot 0 || x, without any framing
+        assert.equal(latest.state, "0x" + "00".repeat(32) + x.slice(2));
+        assert.include(TestContract.bytecode, latest.code.slice(2));
+        assert.equal(latest.nonce, 1);
+
+        let initial = await state.readPrivateState(web3, httpSSAlice, contract.address, {documentKey: latest.documentKey, block: deployedAt});
+        assert.equal(initial.code, latest.code);
+        assert.notDeepEqual(initial.storage, latest.storage);
+        assert.deepEqual(state.decrypt(latest.documentKey, initial), {code: initial.code, state: initial.state, storage: initial.storage});
+    });
+
+    it('should decode storage slots', async () => {
+        // Two records of Parity's snapshot, slot 2 = 0xff then slot 0 = 1
+        let encoded = "0x" + "00".repeat(31) + "02" + "00".repeat(31) + "ff" + "00".repeat(32) + "00".repeat(31) + "01";
+        assert.deepEqual(state.decodeStorage(encoded), {
+            ["0x" + "00".repeat(32)]: "0x" + "00".repeat(31) + "01",
+            ["0x" + "00".repeat(31) + "02"]: "0x" + "00".repeat(31) + "ff"
+        });
+        assert.deepEqual(state.decodeStorage("0x"), {});
+        assert.throws(() => state.decodeStorage(encoded.slice(0, -2)), /not a whole number of storage slots/);
+    });
+
+    it('should require a signer decrypting locally', async () => {
+        for (let params of [{}, {signer: new signers.RpcSigner(web3, alice, alicepwd)}]) {
+            try {
+                await state.readPrivateState(web3, httpSSAlice, contract.address, params, false);
+                assert.fail("decrypted");
+            } catch (e) {
+                assert.instanceOf(e, TypeError);
+            }
+        }
+    });
+});
+
+describe('Private state history test', async () => {
+    const history = private.history;
+    const zero = "0x" + "00".repeat(32);
+    const x42 = web3.utils.padRight(web3.utils.utf8ToHex("42"), 64);
+    const x43 = web3.utils.padRight(web3.utils.utf8ToHex("43"), 64);
+    var contract;
+    var deployedAt;
+
+    before(async () => {
+        let deployed = await private.contract.deployPrivateContract(web3, {abi: TestContract.abi, bytecode: TestContract.bytecode,
+            validators: [bob], from: alice, pwd: alicepwd, gas: web3.utils.toHex(1000000), gasPrice: web3.utils.toHex(1000)}, true, {pollInterval: 10});
+        contract = deployed.contract;
+        deployedAt = Number(deployed.receipt.blockNumber);
+        await contract.methods.setX(x42).send({gas: web3.utils.toHex(1000000)});
+        await contract.methods.setX(x43).send({gas: web3.utils.toHex(1000000)});
+    });
+
+    it('should read the private state at a block', async () => {
+        assert.equal(await contract.methods.x().call({block: deployedAt}), zero);
+        assert.equal(await contract.methods.x().call({block: web3.utils.toHex(deployedAt + 1)}), x42);
+        assert.equal(await contract.methods.x().call({block: "latest"}), x43);
+        let data = contract.methods.x().encodeABI();
+        assert.equal(await private.call(web3, {from: alice, to: contract.address, data}, true, {block: deployedAt + 1}), x42);
+        try {
+            await private.call(web3, {from: alice, to: contract.address, data}, false, {block: "yesterday"});
+            assert.fail("read the state");
+        } catch (e) {
+            assert.instanceOf(e, TypeError);
+        }
+    });
+
+    it('should read the private state over a block range', async () => {
+        let series = await contract.methods.x().timeSeries({fromBlock: deployedAt, toBlock: deployedAt + 2});
+        assert.deepEqual(series, [{blockNumber: deployedAt, value: zero}, {blockNumber: deployedAt + 1, value: x42}, {blockNumber: deployedAt + 2, value: x43}]);
+        series = await history.timeSeries(web3, {to: contract.address, data: contract.methods.x().encodeABI()}, {fromBlock: deployedAt, step: 3});
+        assert.deepEqual(series.map(point => point.blockNumber), [deployedAt, await web3.eth.getBlockNumber()]);
+        assert.equal(series[1].value, x43);
+    });
+
+    it('should skip the blocks before the deployment and bound the calls', async () => {
+        for (let query of [{toBlock: deployedAt + 1}, {fromBlock: "earliest", toBlock: deployedAt + 1}]) {
+            let series = await contract.methods.x().timeSeries(query);
+            assert.deepEqual(series, [{blockNumber: deployedAt, value: zero}, {blockNumber: deployedAt + 1, value: x42}]);
+        }
+        for (let query of [{toBlock: deployedAt - 1}, {fromBlock: deployedAt, toBlock: deployedAt + 2, maxCalls: 2}]) {
+            try {
+                await contract.methods.x().timeSeries(query);
+                assert.fail("read the state");
+            } catch (e) {
+                assert.instanceOf(e, RangeError);
+            }
+        }
+        assert.lengthOf(await contract.methods.x().timeSeries({fromBlock: deployedAt, toBlock: deployedAt + 2, step: 2, maxCalls: 2}), 2);
+    });
+
+    it('should tell when a block number is unknown', async () => {
+        let pending = {currentProvider: {send: (payload, callback) => callback(null, {jsonrpc: "2.0", id: payload.id, result: null})}};
+        try {
+            await private.blockNumber(pending, "pending", false);
+            assert.fail("got a number");
+        } catch (e) {
+            assert.match(e.message, /number of the pending block/);
+        }
+    });
+
+    it('should diff the private state between two blocks', async () => {
+        let diff = await contract.methods.x().diff({fromBlock: deployedAt + 1, toBlock: deployedAt + 2});
+        assert.isTrue(diff.changed);
+        assert.deepEqual(diff.from, {blockNumber: deployedAt + 1, value: x42});
+        assert.deepEqual(diff.changes, [{key: null, from: x42, to: x43}]);
+        assert.isFalse((await contract.methods.x().diff({fromBlock: deployedAt + 2})).changed);
+
+        let before = {0: "1", 1: "a", a: "1", b: "a", __length__: 2};
+        let after = {0: "2", 1: "a", a: "2", b: "a", __length__: 2};
+        assert.deepEqual(history.compare(before, after), [{key: "a", from: "1", to: "2"}]);
+        assert.deepEqual(history.compare(["1"], ["1"]), []);
+    });
+});
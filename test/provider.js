@@ -0,0 +1,126 @@
+const assert = require('chai').assert;
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const provider = require(path.join(__dirname, '../src/provider.js'));
+const rpc = require(path.join(__dirname, '../src/rpc.js'));
+const errors = require(path.join(__dirname, '../src/errors.js'));
+const ss = require(path.join(__dirname, '../src/secretstore'));
+const private = require(path.join(__dirname, '../src/private'));
+
+const assets = require("./assets.js");
+const {alice} = assets.accounts;
+const {alicepwd} = assets.passwords;
+const {httpRpcAlice} = assets.httpRpc;
+
+const hash = "0x" + "45".repeat(32);
+
+async function rejection(promise) {
+    try {
+        await promise;
+    } catch (e) {
+        return e;
+    }
+    assert.fail("should have been rejected");
+}
+
+describe('Provider test', async () => {
+
+    it('should send through EIP-1193 providers', async () => {
+        const requests = [];
+        const eip1193 = {
+            request: async ({method, params}) => {
+                requests.push(method);
+                if (method === "test_fail") throw Object.assign(new Error("execution reverted"), {code: -32000, data: "0x"});
+                return params[0];
+            }
+        };
+        assert.equal(provider.wrap(eip1193).kind, "eip1193");
+        assert.strictEqual(provider.wrap(eip1193), provider.wrap(eip1193));
+        assert.equal(await rpc.send(eip1193, "test_echo", ["0x1"], false), "0x1");
+
+        const err = await rejection(rpc.send(eip1193, "test_fail", [], false, {retries: 2, minDelay: 1}));
+        assert.instanceOf(err, errors.RpcError);
+        assert.equal(err.code, -32000);
+        assert.equal(requests.filter(method => method === "test_fail").length, 1);
+
+        const outcomes = await rpc.sendBatch(eip1193, [{method: "test_echo", params: ["a"]}, {method: "test_fail", params: []}], false);
+        assert.deepEqual(outcomes[0], {status: "fulfilled", value: "a"});
+        assert.equal(outcomes[1].reason.code, -32000);
+    });
+
+    it('should retry transport errors of EIP-1193 providers', async () => {
+        let calls = 0;
+        const eip1193 = {
+            request: async () => {
+                if (++calls === 1) throw new Error("socket hang up");
+                return "0x2";
+            }
+        };
+        assert.equal(await private.contractKey(eip1193, "0x" + "00".repeat(20), false, {retries: 1, minDelay: 1}), "0x2");
+        assert.equal(calls, 2);
+    });
+
+    it('should send through ethers providers', async () => {
+        const ethers = {
+            getNetwork: async () => ({chainId: 17}),
+            send: async (method, params) => {
+                if (method === "test_fail") throw Object.assign(new Error("processing response error"), {error: {code: -32601, message: "Method not found"}});
+                return [method, params.length];
+            }
+        };
+        assert.equal(provider.wrap(ethers).kind, "ethers");
+        assert.deepEqual(await rpc.send(ethers, "test_echo", [1, 2], false), ["test_echo", 2]);
+        const err = await rejection(rpc.send(ethers, "test_fail", [], false));
+        assert.instanceOf(err, errors.RpcError);
+        assert.equal(err.code, -32601);
+    });
+
+    it('should send through legacy providers and web3 instances', async () => {
+        const legacy = {
+            sendAsync: (payload, callback) => callback(null, {jsonrpc: "2.0", id: payload.id, result: "0x3"}),
+            send: () => { throw new Error("sync send is not supported"); }
+        };
+        assert.equal(provider.wrap(legacy).kind, "legacy");
+        assert.strictEqual(provider.wrap({currentProvider: legacy}), provider.wrap(legacy));
+        assert.equal(await rpc.send({currentProvider: legacy}, "test_echo", [], false), "0x3");
+    });
+
+    it('should send to HTTP endpoints', async () => {
+        assert.equal(provider.wrap(httpRpcAlice).kind, "http");
+        const signature = await ss.signRawHash(httpRpcAlice, alice, alicepwd, hash, false);
+        assert.match(signature, /^0x[0-9a-f]{130}$/i);
+        const [outcome] = await rpc.sendBatch(httpRpcAlice, [{method: "secretstore_signRawHash", params: [alice, alicepwd, hash]}], false);
+        assert.deepEqual(outcome, {status: "fulfilled", value: signature});
+    });
+
+    it('should send to IPC endpoints', async () => {
+        const ipcPath = process.platform === "win32"
+            ? "\\\\.\\pipe\\secretstore-private-js-" + process.pid
+            : path.join(os.tmpdir(), "secretstore-private-js-" + process.pid + ".ipc");
+        if (fs.existsSync(ipcPath)) fs.unlinkSync(ipcPath);
+        const server = net.createServer(socket => {
+            socket.on('data', data => {
+                const request = JSON.parse(data.toString());
+                socket.write(JSON.stringify({jsonrpc: "2.0", id: request.id, result: request.method}));
+            });
+        });
+        await new Promise(resolve => server.listen(ipcPath, resolve));
+        try {
+            assert.equal(provider.wrap(ipcPath).kind, "socket");
+            assert.equal(await private.contractKey(ipcPath, "0x" + "00".repeat(20), false), "private_contractKey");
+        }
+        finally {
+            provider.close(ipcPath);
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    it('should reject what is not a provider', async () => {
+        assert.throws(() => provider.wrap({}), TypeError);
+        assert.throws(() => provider.wrap("ftp://127.0.0.1"), TypeError);
+        assert.instanceOf(await rejection(rpc.send(null, "test_echo", [], false, {retries: 2})), TypeError);
+        assert.instanceOf(await rejection(private.contractKey(42, "0x" + "00".repeat(20), false)), TypeError);
+    });
+});
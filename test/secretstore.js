@@ -3,6 +3,7 @@ const path = require('path');
 const ss = require(path.join(__dirname, '../src/secretstore'));
 const sha256 = require('crypto-js/sha256');
 
+const setup = require("./setup.js");
 const assets = require("./assets.js");
 const {alice, bob, charlie} = assets.accounts;
 const {alicepwd, bobpwd, charliepwd} = assets.passwords;
@@ -117,37 +118,593 @@ describe('Secret store correct inputs test', async () => {
         assert.isNotEmpty(theHash);
     });
 
-    xit('should change set of nodes (exclude charlie)', async () => {
-        nodeIDsNewSet = [node1, node2];
+    const generateWithThreshold = async (threshold) => {
+        let id = sha256(Math.random().toString()).toString();
+        let signature = await ss.signRawHash(web3, alice, alicepwd, id);
+        return ss.session.generateServerKey(httpSSAlice, id, signature, threshold, false);
+    };
+
+    it('should change set of nodes (exclude charlie)', async () => {
+        let nodeIDsNewSet = [node1, node2];
         let hashOldSet = await ss.serversSetHash(web3, [node1, node2, node3]);
         let hashNewSet = await ss.serversSetHash(web3, nodeIDsNewSet); 
         
         let signatureOldSet = await ss.signRawHash(web3, alice, alicepwd, hashOldSet);
         let signatureNewSet = await ss.signRawHash(web3, alice, alicepwd, hashNewSet);
         
-        let something = await ss.session.nodesSetChange(httpSSAlice, 
+        let result = await ss.session.nodesSetChange(httpSSAlice, 
                                     nodeIDsNewSet, 
                                     signatureOldSet, 
                                     signatureNewSet);
-        console.log(something);
-        assert.exists(theHash);
-        assert.isNotEmpty(theHash);
+        assert.strictEqual(result, "");
+        if (setup.mock) assert.deepEqual(setup.mock.nodeIDs, nodeIDsNewSet);
+        // two nodes left can't serve a threshold of 2
+        let err = await generateWithThreshold(2).catch(e => e);
+        assert.equal(err.code, "INVALID_THRESHOLD");
     });
 
-    xit('should change set of nodes back to original (charlie is back)', async () => {
-        nodeIDsNewSet = [node1, node2, node3];
-        let hashOldSet = await ss.serversSetHash(web3, [node1, node2]);
+    it('should change set of nodes back to original (charlie is back)', async () => {
+        let nodeIDsNewSet = [node1, node2, node3];
+        // the old set is staying + added + removing, so it includes charlie
+        let hashOldSet = await ss.serversSetHash(web3, [node1, node2, node3]);
         let hashNewSet = await ss.serversSetHash(web3, nodeIDsNewSet); 
         
         let signatureOldSet = await ss.signRawHash(web3, alice, alicepwd, hashOldSet);
         let signatureNewSet = await ss.signRawHash(web3, alice, alicepwd, hashNewSet);
         
-        let something = await ss.session.nodesSetChange(httpSSAlice, 
+        let result = await ss.session.nodesSetChange(httpSSAlice, 
                                     nodeIDsNewSet, 
                                     signatureOldSet, 
                                     signatureNewSet);
-        console.log(something);
-        assert.exists(theHash);
-        assert.isNotEmpty(theHash);
+        assert.strictEqual(result, "");
+        if (setup.mock) assert.deepEqual(setup.mock.nodeIDs, nodeIDsNewSet);
+        assert.isNotEmpty(await generateWithThreshold(2));
+    });
+});
+
+describe('Secret store local crypto test', async () => {
+    const newServerKey = async () => {
+        let id = sha256(Math.random().toString()).toString();
+        let signature = await ss.signRawHash(web3, alice, alicepwd, id);
+        return {id, signature, key: await ss.session.generateServerKey(httpSSAlice, id, signature, 1)};
+    };
+
+    var docID;
+    var signedDocID;
+    var encryptedKey;
+    var documentKey;
+    var alicekey;
+
+    before(async () => {
+        alicekey = ss.local.decryptKeystore(assets.keystores.alice, alicepwd);
+        docID = sha256(Math.random().toString()).toString();
+        signedDocID = await ss.signRawHash(web3, alice, alicepwd, docID);
+        encryptedKey = await ss.session.generateServerAndDocumentKey(httpSSAlice, docID, signedDocID, 1);
+    });
+
+    it('should decrypt a keystore', async () => {
+        assert.equal(web3.eth.accounts.privateKeyToAccount(alicekey).address.toLowerCase(), alice);
+    });
+
+    it('should decrypt a document key locally', async () => {
+        documentKey = ss.local.decryptDocumentKey(alicekey, encryptedKey);
+        assert.match(documentKey, /^0x[0-9a-f]{128}$/);
+    });
+
+    it('should decrypt a document key locally with a keystore', async () => {
+        let retrievedKey = await ss.session.retrieveDocumentKey(httpSSBob, docID, signedDocID);
+        assert.notEqual(retrievedKey, encryptedKey);
+        assert.equal(ss.local.decryptDocumentKey({keystore: assets.keystores.alice, password: alicepwd}, retrievedKey), documentKey);
+    });
+
+    it('should decrypt locally what the node encrypted', async () => {
+        let hexDoc = web3.utils.toHex("lololololol");
+        let encryptedDoc = await ss.encrypt(web3, alice, alicepwd, encryptedKey, hexDoc);
+        assert.equal(ss.local.decrypt(documentKey, encryptedDoc), hexDoc);
+    });
+
+    it('should encrypt locally what the node can decrypt', async () => {
+        let hexDoc = web3.utils.toHex("lololololol");
+        let encryptedDoc = ss.local.encrypt(documentKey, hexDoc);
+        assert.equal(await ss.decrypt(web3, alice, alicepwd, encryptedKey, encryptedDoc), hexDoc);
+    });
+
+    it('should encrypt byte-identically to the node', async () => {
+        let hexDoc = web3.utils.toHex("bongocat");
+        let encryptedDoc = await ss.encrypt(web3, alice, alicepwd, encryptedKey, hexDoc);
+        let iv = "0x" + encryptedDoc.slice(-32);
+        assert.equal(ss.local.encrypt(documentKey, hexDoc, iv), encryptedDoc);
+    });
+
+    it('should recover the document key from a shadow retrieval', async () => {
+        let shadow = await ss.session.shadowRetrieveDocumentKey(httpSSCharlie, docID, signedDocID);
+        let shadowKey = ss.local.decryptShadowDocumentKey(alicekey, shadow.decrypted_secret, shadow.common_point, shadow.decrypt_shadows);
+        assert.equal(shadowKey, documentKey);
+    });
+
+    it('should shadow decrypt a document locally', async () => {
+        let hexDoc = web3.utils.toHex("lololololol");
+        let encryptedDoc = await ss.encrypt(web3, alice, alicepwd, encryptedKey, hexDoc);
+        let shadow = await ss.session.shadowRetrieveDocumentKey(httpSSAlice, docID, signedDocID);
+        let decryptedDoc = ss.local.shadowDecrypt(
+            {keystore: assets.keystores.alice, password: alicepwd},
+            shadow.decrypted_secret,
+            shadow.common_point,
+            shadow.decrypt_shadows,
+            encryptedDoc);
+        assert.equal(decryptedDoc, hexDoc);
+    });
+
+    it('should not decrypt a document key with a wrong key', async () => {
+        let bobkey = ss.local.decryptKeystore(assets.keystores.bob, bobpwd);
+        assert.throws(() => ss.local.decryptDocumentKey(bobkey, encryptedKey), /MAC/);
+    });
+
+    it('should verify a schnorr signature', async () => {
+        let {id, signature: signedID, key: serverKey} = await newServerKey();
+        let otherServerKey = (await newServerKey()).key;
+        let message = sha256("bongocat").toString();
+        let encryptedSignature = await ss.session.signSchnorr(httpSSBob, id, signedID, message);
+        let signature = ss.local.decryptSignature(alicekey, encryptedSignature);
+        assert.match(signature, /^0x[0-9a-f]{128}$/);
+        assert.isTrue(ss.local.verifySchnorrSignature(serverKey, message, signature));
+
+        let tampered = signature.slice(0, -2) + (signature.slice(-2) === "00" ? "01" : "00");
+        assert.isFalse(ss.local.verifySchnorrSignature(serverKey, message, tampered));
+        assert.isFalse(ss.local.verifySchnorrSignature(serverKey, sha256("lolcat").toString(), signature));
+        assert.isFalse(ss.local.verifySchnorrSignature(otherServerKey, message, signature));
+        assert.isFalse(ss.local.verifySchnorrSignature(serverKey, message, "0x" + "00".repeat(64)));
+        assert.isFalse(ss.local.verifySchnorrSignature(serverKey, message, signature + "00"));
+    });
+
+    it('should verify an ecdsa signature', async () => {
+        let {id, signature: signedID, key: serverKey} = await newServerKey();
+        let otherServerKey = (await newServerKey()).key;
+        let message = sha256("bongocat").toString();
+        let encryptedSignature = await ss.session.signEcdsa(httpSSCharlie, id, signedID, message);
+        let signature = ss.local.decryptSignature({keystore: assets.keystores.alice, password: alicepwd}, encryptedSignature);
+        assert.match(signature, /^0x[0-9a-f]{130}$/);
+        assert.isTrue(ss.local.verifyEcdsaSignature(serverKey, message, signature));
+
+        let flipped = signature.slice(0, -2) + (signature.slice(-2) === "00" ? "01" : "00");
+        assert.isFalse(ss.local.verifyEcdsaSignature(serverKey, message, flipped));
+        assert.isFalse(ss.local.verifyEcdsaSignature(serverKey, sha256("lolcat").toString(), signature));
+        assert.isFalse(ss.local.verifyEcdsaSignature(otherServerKey, message, signature));
+        assert.isFalse(ss.local.verifyEcdsaSignature(serverKey, message, "0x" + "00".repeat(65)));
+        assert.isFalse(ss.local.verifyEcdsaSignature(serverKey, message, signature.slice(0, -2) + "05"));
+        assert.throws(() => ss.local.verifyEcdsaSignature(serverKey, "0x1234", signature), /hash length/);
+    });
+
+    it('should not decrypt a signature with a wrong key', async () => {
+        let message = sha256("bongocat").toString();
+        let encryptedSignature = await ss.session.signEcdsa(httpSSAlice, docID, signedDocID, message);
+        let bobkey = ss.local.decryptKeystore(assets.keystores.bob, bobpwd);
+        assert.throws(() => ss.local.decryptSignature(bobkey, encryptedSignature), /MAC/);
+        let shadow = await ss.session.shadowRetrieveDocumentKey(httpSSAlice, docID, signedDocID);
+        assert.throws(() => ss.local.decryptSignature(alicekey, shadow.decrypt_shadows[0]), /signature length/);
+    });
+});
+
+describe('Secret store batch test', async () => {
+    const signers = require(path.join(__dirname, '../src/signer.js'));
+    var encryptedKey;
+
+    before(async () => {
+        let docID = sha256(Math.random().toString()).toString();
+        let signedDocID = await ss.signRawHash(web3, alice, alicepwd, docID);
+        encryptedKey = await ss.session.generateServerAndDocumentKey(httpSSAlice, docID, signedDocID, 1);
+    });
+
+    it('should encrypt and decrypt many documents in batches', async () => {
+        let docs = ["0x01", "0x0202", "0x030303", "0x04", "0x05"];
+        let encrypted = await ss.encryptMany(web3, alice, alicepwd,
+            docs.map(hexDocument => ({encryptedKey, hexDocument})), true, {batchSize: 2});
+        assert.isTrue(encrypted.every(outcome => outcome.status === "fulfilled"));
+
+        let items = encrypted.map(outcome => ({encryptedKey, encryptedDocument: outcome.value}));
+        items.splice(1, 0, {encryptedKey: "0x00", encryptedDocument: encrypted[0].value});
+        let decrypted = await ss.decryptMany(web3, alice, alicepwd, items, false);
+        assert.equal(decrypted[1].status, "rejected");
+        assert.equal(decrypted[1].reason.name, "RpcError");
+        assert.deepEqual(decrypted.filter((outcome, i) => i !== 1).map(outcome => outcome.value), docs);
+    });
+
+    it('should sign many hashes in batches', async () => {
+        let hashes = ["11", "22", "33"].map(byte => "0x" + byte.repeat(32));
+        let signatures = await ss.signRawHashMany(web3, alice, alicepwd, hashes);
+        assert.deepEqual(signatures.map(outcome => outcome.status), ["fulfilled", "fulfilled", "fulfilled"]);
+        let wrongPassword = await ss.signRawHashMany(web3, alice, "nope", hashes.slice(0, 1), false);
+        assert.equal(wrongPassword[0].status, "rejected");
+        assert.deepEqual(await ss.signRawHashMany(web3, alice, alicepwd, []), []);
+
+        let signer = new signers.KeystoreSigner(assets.keystores.alice, alicepwd);
+        let local = await ss.signRawHashManyWithSigner(signer, hashes);
+        assert.deepEqual(local.map(outcome => outcome.value), signatures.map(outcome => outcome.value));
+        let decrypted = await ss.decryptManyWithSigner(signer, [{encryptedKey, encryptedDocument: "0x00"}], false);
+        assert.equal(decrypted[0].status, "rejected");
+    });
+});
+
+describe('Secret store client test', async () => {
+    const {SecretStoreClient} = ss.client;
+    const signer = new (require(path.join(__dirname, '../src/signer.js')).KeystoreSigner)(assets.keystores.alice, alicepwd);
+    const hexDoc = web3.utils.toHex("lololololol");
+
+    it('should store and retrieve a document with the untrusted flow', async () => {
+        const client = new SecretStoreClient({url: [httpSSAlice, httpSSBob, httpSSCharlie], signer});
+        const {docID, ciphertext} = await client.storeDocument(hexDoc, {threshold: 1});
+        assert.lengthOf(docID, 64);
+        assert.notEqual(ciphertext, hexDoc);
+        assert.equal(await client.retrieveDocument(docID, ciphertext), hexDoc);
+        assert.equal(await ss.decrypt(web3, alice, alicepwd,
+            await ss.session.retrieveDocumentKey(httpSSAlice, docID, await ss.signRawHash(web3, alice, alicepwd, docID)),
+            ciphertext), hexDoc);
+    });
+
+    it('should store and retrieve a document with the trusted flow', async () => {
+        const client = new SecretStoreClient({web3, url: httpSSAlice, account: alice, pwd: alicepwd, trusted: true});
+        const docID = sha256(Math.random().toString()).toString();
+        const stored = await client.storeDocument(Buffer.from("lololololol"), {docID});
+        assert.equal(stored.docID, docID);
+        assert.equal(await client.retrieveDocument(docID, stored.ciphertext), hexDoc);
+        assert.equal(await client.retrieveDocument(docID, stored.ciphertext, {trusted: false}), hexDoc);
+    });
+
+    it('should reject invalid configurations and documents', async () => {
+        assert.throws(() => new SecretStoreClient({url: httpSSAlice}), TypeError);
+        assert.throws(() => new SecretStoreClient({signer}), TypeError);
+        const client = new SecretStoreClient({url: httpSSAlice, signer});
+        let err;
+        try {
+            await client.storeDocument("not hex");
+        } catch (e) {
+            err = e;
+        }
+        assert.instanceOf(err, TypeError);
+    });
+});
+
+describe('Secret store streaming test', async () => {
+    const {SecretStoreClient} = ss.client;
+    const signers = require(path.join(__dirname, '../src/signer.js'));
+    const signer = new signers.KeystoreSigner(assets.keystores.alice, alicepwd);
+    const documentKey = "0x" + "5a".repeat(64);
+    const docID = "ab".repeat(32);
+    const document = Buffer.from(Array.from({length: 1000}, (_, i) => i % 251));
+
+    const collect = async readable => {
+        const pieces = [];
+        for await (const piece of readable) pieces.push(piece);
+        return Buffer.concat(pieces);
+    };
+    const failure = async readable => {
+        try {
+            await collect(readable);
+        } catch (e) {
+            return e;
+        }
+        assert.fail("should have failed");
+    };
+    async function* split(buf, size) {
+        for (let i = 0; i < buf.length; i += size) yield buf.slice(i, i + size);
+    }
+    // Splits a container into its header and records
+    const records = container => {
+        const headerEnd = 9 + container.readUInt32BE(5);
+        const parts = [];
+        for (let i = headerEnd; i < container.length; i += 4 + container.readUInt32BE(i) + 16) {
+            parts.push(container.slice(i, i + 4 + container.readUInt32BE(i) + 16));
+        }
+        return {header: container.slice(0, headerEnd), parts};
+    };
+
+    it('should encrypt and decrypt streams in chunks', async () => {
+        const container = await collect(ss.stream.encrypt(documentKey, split(document, 77), {chunkSize: 100, docID}));
+        assert.equal(container.slice(0, 4).toString(), "SSCF");
+        const {header, parts} = records(container);
+        assert.include(JSON.parse(header.slice(9).toString()), {cipher: "aes-256-gcm", chunkSize: 100, docID});
+        assert.lengthOf(parts, 11);
+        assert.deepEqual(await collect(ss.stream.decrypt(documentKey, split(container, 33), {docID: "0x" + docID.toUpperCase()})), document);
+        assert.deepEqual(await collect(ss.stream.decrypt(documentKey, container)), document);
+
+        const empty = await collect(ss.stream.encrypt(documentKey, []));
+        assert.lengthOf((await collect(ss.stream.decrypt(documentKey, [empty]))), 0);
+        assert.notDeepEqual(await collect(ss.stream.encrypt(documentKey, document)), await collect(ss.stream.encrypt(documentKey, document)));
+    });
+
+    it('should detect truncated, reordered and altered containers', async () => {
+        const container = await collect(ss.stream.encrypt(documentKey, document, {chunkSize: 300, docID}));
+        const {header, parts} = records(container);
+        const cases = {
+            "manifest is missing": Buffer.concat([header, ...parts.slice(0, -1)]),
+            "chunk 1 is altered or out of order": Buffer.concat([header, parts[0], parts[2], parts[1], ...parts.slice(3)]),
+            "chunk 2 is altered or out of order": Buffer.concat([header, ...parts.slice(0, 2), ...parts.slice(3)]),
+            "data after the manifest": Buffer.concat([container, Buffer.from([0])]),
+            "truncated record": container.slice(0, container.length - 5)
+        };
+        for (const [message, tampered] of Object.entries(cases)) {
+            assert.include((await failure(ss.stream.decrypt(documentKey, tampered))).message, message);
+        }
+        const flipped = Buffer.from(container);
+        flipped[header.length + 10] ^= 1;
+        assert.match((await failure(ss.stream.decrypt(documentKey, flipped))).message, /chunk 0 is altered/);
+        const relabeled = Buffer.from(container.toString("latin1").replace(docID, "cd".repeat(32)), "latin1");
+        assert.match((await failure(ss.stream.decrypt(documentKey, relabeled))).message, /chunk 0 is altered/);
+        assert.match((await failure(ss.stream.decrypt(documentKey, container, {docID: "cd".repeat(32)}))).message, /encrypted for document/);
+        assert.match((await failure(ss.stream.decrypt("0x" + "5b".repeat(64), container))).message, /chunk 0 is altered/);
+        assert.match((await failure(ss.stream.decrypt(documentKey, Buffer.from("not a container")))).message, /not a chunked container/);
+        assert.throws(() => ss.stream.encrypt(documentKey, document, {chunkSize: 0}), RangeError);
+        assert.throws(() => ss.stream.encrypt(documentKey, 42), TypeError);
+    });
+
+    it('should store and retrieve streams with the client', async () => {
+        for (const trusted of [false, true]) {
+            const client = new SecretStoreClient({url: httpSSAlice, signer, trusted});
+            const stored = await client.storeStream(split(document, 128), {chunkSize: 256});
+            const container = await collect(stored.stream);
+            assert.deepEqual(await collect(await client.retrieveStream(stored.docID, [container])), document);
+            assert.deepEqual(await collect(await client.retrieveStream(stored.docID, [container], {trusted: !trusted})), document);
+        }
+        const rpcClient = new SecretStoreClient({web3, url: httpSSAlice, account: alice, pwd: alicepwd});
+        let err;
+        try {
+            await rpcClient.storeStream(document);
+        } catch (e) {
+            err = e;
+        }
+        assert.instanceOf(err, TypeError);
+    });
+});
+
+describe('Secret store envelope test', async () => {
+    const {SecretStoreClient} = ss.client;
+    const {envelope} = ss;
+    const signer = new (require(path.join(__dirname, '../src/signer.js')).KeystoreSigner)(assets.keystores.alice, alicepwd);
+    const documentKey = "0x" + "5a".repeat(64);
+    const docID = "cd".repeat(32);
+    const failure = async (promise) => {
+        try {
+            await promise;
+        } catch (e) {
+            return e;
+        }
+        assert.fail("should have been rejected");
+    };
+
+    it('should seal and open native values locally', async () => {
+        const values = ["héllo", Buffer.from([0, 1, 2, 255]), {reading: 42, meter: ["a", null]}, [1, 2], 7, false, null];
+        const types = ["text/plain; charset=utf-8", "application/octet-stream", "application/json", "application/json",
+            "application/json", "application/json", "application/json"];
+        values.forEach((value, i) => {
+            const sealed = envelope.seal(documentKey, value, {docID, threshold: 1, author: alice});
+            assert.equal(sealed.contentType, types[i]);
+            assert.deepEqual(envelope.open(documentKey, sealed), value);
+        });
+        const text = envelope.seal(documentKey, '{"not": "parsed"}', {docID});
+        assert.equal(envelope.open(documentKey, text), '{"not": "parsed"}');
+        const json = envelope.seal(documentKey, '{"parsed": true}', {docID, contentType: "application/ld+json"});
+        assert.deepEqual(envelope.open(documentKey, json), {parsed: true});
+        assert.throws(() => envelope.encodeContent(undefined), TypeError);
+    });
+
+    it('should encode envelopes as JSON and binary', async () => {
+        const createdAt = new Date("2026-01-02T03:04:05.678Z");
+        const sealed = envelope.seal(documentKey, {reading: 42}, {docID: "0x" + docID.toUpperCase(), threshold: 2, author: alice, createdAt});
+        assert.include(sealed, {version: 1, docID, threshold: 2, author: alice, createdAt: createdAt.toISOString()});
+
+        const json = envelope.toJSON(sealed);
+        assert.deepEqual(JSON.parse(json), sealed);
+        assert.deepEqual(envelope.parse(json), sealed);
+        const binary = envelope.toBinary(sealed);
+        assert.equal(binary.slice(0, 4).toString(), "SSEV");
+        assert.isBelow(binary.length, json.length / 2);
+        assert.deepEqual(envelope.parse(binary), sealed);
+        assert.deepEqual(envelope.open(documentKey, binary), {reading: 42});
+
+        const anonymous = envelope.seal(documentKey, "x", {docID});
+        assert.include(envelope.parse(envelope.toBinary(anonymous)), {threshold: null, author: null});
+
+        assert.throws(() => envelope.parse(binary.slice(0, 60)), /not a binary envelope/);
+        assert.throws(() => envelope.parse(Buffer.concat([binary.slice(0, 4), Buffer.from([2]), binary.slice(5)])), /Unsupported envelope version: 2/);
+        assert.throws(() => envelope.parse(Object.assign({}, sealed, {version: 2})), /Unsupported envelope version/);
+        assert.throws(() => envelope.parse("{"), /malformed JSON/);
+        assert.throws(() => envelope.create(Object.assign({}, sealed, {docID: "0x1234"})), TypeError);
+    });
+
+    it('should reject envelopes with a tampered header', async () => {
+        const sealed = envelope.seal(documentKey, {reading: 42}, {docID, threshold: 2, author: alice});
+        const tampered = [
+            {docID: "ab".repeat(32)},
+            {contentType: "text/plain; charset=utf-8"},
+            {threshold: 1},
+            {threshold: null},
+            {createdAt: new Date(Date.parse(sealed.createdAt) + 1).toISOString()},
+            {author: bob},
+            {author: null}
+        ];
+        for (const fields of tampered) {
+            const forged = Object.assign({}, sealed, fields);
+            assert.throws(() => envelope.open(documentKey, forged), /altered/);
+            assert.throws(() => envelope.open(documentKey, envelope.toJSON(forged)), /altered/);
+            assert.throws(() => envelope.open(documentKey, envelope.toBinary(forged)), /altered/);
+        }
+        const binary = envelope.toBinary(sealed);
+        binary[binary.length - 20] ^= 1;
+        assert.throws(() => envelope.open(documentKey, binary), /altered/);
+        assert.throws(() => envelope.open("0x" + "5b".repeat(64), sealed), /another document key/);
+        assert.throws(() => envelope.open(documentKey, Object.assign({}, sealed, {ciphertext: "0x00"})), /too short/);
+    });
+
+    it('should seal and open envelopes with the client', async () => {
+        const client = new SecretStoreClient({url: [httpSSAlice, httpSSBob], signer});
+        const sealed = await client.sealEnvelope({reading: 42}, {threshold: 1});
+        assert.include(sealed, {threshold: 1, author: alice, contentType: "application/json"});
+        assert.deepEqual(await client.openEnvelope(envelope.toBinary(sealed)), {reading: 42});
+
+        const trustedClient = new SecretStoreClient({url: httpSSAlice, signer, trusted: true});
+        const text = await trustedClient.sealEnvelope("lololololol");
+        assert.equal(await trustedClient.openEnvelope(envelope.toJSON(text)), "lololololol");
+        assert.equal(await client.openEnvelope(text), "lololololol");
+        const forged = Object.assign({}, text, {contentType: "application/octet-stream"});
+        assert.match((await failure(client.openEnvelope(forged))).message, /altered/);
+
+        const rpcClient = new SecretStoreClient({web3, url: httpSSAlice, account: alice, pwd: alicepwd});
+        assert.instanceOf(await failure(rpcClient.sealEnvelope("lololololol")), TypeError);
+        assert.instanceOf(await failure(rpcClient.openEnvelope(text)), TypeError);
+    });
+});
+
+describe('Secret store node pool test', async () => {
+    const http = require('http');
+    const call = require(path.join(__dirname, '../src/call.js'));
+    const {NodePool} = ss.pool;
+    const deadNode = "http://127.0.0.1:1";
+    var failingNode;
+    var forbiddenNode;
+    var servers = [];
+    var docID;
+    var signedDocID;
+
+    function startServer(status) {
+        return new Promise(resolve => {
+            const server = http.createServer((req, res) => {
+                req.resume();
+                res.writeHead(status, {"Content-Type": "application/json"});
+                res.end('"Internal error"');
+            });
+            servers.push(server);
+            server.listen(0, "127.0.0.1", () => resolve("http://127.0.0.1:" + server.address().port));
+        });
+    }
+
+    before(async () => {
+        failingNode = await startServer(500);
+        forbiddenNode = await startServer(403);
+        docID = sha256(Math.random().toString()).toString();
+        signedDocID = await ss.signRawHash(web3, alice, alicepwd, docID);
+        await ss.session.generateServerAndDocumentKey(httpSSAlice, docID, signedDocID, 1);
+    });
+
+    after(() => {
+        servers.forEach(server => server.close());
+    });
+
+    it('should fail over connection errors', async () => {
+        const pool = new NodePool([deadNode, httpSSBob]);
+        const key = await ss.session.retrieveDocumentKey(pool, docID, signedDocID, false);
+        assert.isNotEmpty(key);
+        const status = pool.status();
+        assert.isFalse(status[0].healthy);
+        assert.equal(status[0].failures, 1);
+        assert.exists(status[0].lastError);
+        assert.isTrue(status[1].healthy);
+    });
+
+    it('should fail over 5xx responses', async () => {
+        const pool = new NodePool([failingNode, httpSSCharlie]);
+        const shadow = await ss.session.shadowRetrieveDocumentKey(pool, docID, signedDocID, false);
+        assert.exists(shadow.decrypt_shadows);
+        assert.equal(pool.status()[0].lastError.response.statusCode, 500);
+    });
+
+    it('should accept a plain list of URLs', async () => {
+        const key = await ss.session.retrieveDocumentKey([deadNode, failingNode, httpSSAlice], docID, signedDocID, false);
+        assert.isNotEmpty(key);
+    });
+
+    it('should not retry rejected requests', async () => {
+        const pool = new NodePool([forbiddenNode, httpSSAlice]);
+        let err;
+        try {
+            await ss.session.retrieveDocumentKey(pool, docID, signedDocID, false);
+        } catch (e) {
+            err = e;
+        }
+        assert.instanceOf(err, ss.session.SecretStoreSessionError);
+        assert.equal(err.response.statusCode, 403);
+        assert.isTrue(pool.status()[0].healthy);
+    });
+
+    it('should stop failing over on timeout or abort', async () => {
+        const requests = [];
+        const hanging = () => new Promise(resolve => {
+            const server = http.createServer(req => requests.push(req.url));
+            servers.push(server);
+            server.listen(0, "127.0.0.1", () => resolve("http://127.0.0.1:" + server.address().port));
+        });
+        const first = await hanging();
+        const second = await hanging();
+        const failure = async (promise) => {
+            try {
+                await promise;
+            } catch (e) {
+                return e;
+            }
+            assert.fail("should have been rejected");
+        };
+
+        const pool = new NodePool([first, second]);
+        const timedOut = await failure(ss.session.retrieveDocumentKey(pool, docID, signedDocID, false, {timeout: 100}));
+        assert.instanceOf(timedOut, call.TimeoutError);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.lengthOf(requests, 1);
+        assert.isTrue(pool.status().every(node => node.healthy));
+
+        const controller = new AbortController();
+        const aborted = failure(ss.session.retrieveDocumentKey(pool, docID, signedDocID, false, {signal: controller.signal}));
+        setTimeout(() => controller.abort(), 50);
+        assert.equal((await aborted).name, "AbortError");
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.lengthOf(requests, 2);
+        assert.isTrue(pool.status().every(node => node.healthy));
+    });
+
+    it('should not fail over errors other than connection errors', async () => {
+        const pool = new NodePool([httpSSAlice, httpSSBob]);
+        const tried = [];
+        const transport = request => {
+            tried.push(request.url);
+            throw new TypeError("Cannot read properties of undefined");
+        };
+        let err;
+        try {
+            await ss.session.retrieveDocumentKey(pool, docID, signedDocID, false, {transport});
+        } catch (e) {
+            err = e;
+        }
+        assert.instanceOf(err, TypeError);
+        assert.lengthOf(tried, 1);
+        assert.isTrue(pool.status().every(node => node.healthy));
+
+        const refused = Object.assign(new TypeError("fetch failed"), {cause: {code: "ECONNREFUSED"}});
+        assert.isTrue(ss.pool.isRetryable(refused));
+        assert.isFalse(ss.pool.isRetryable(new Error("unexpected")));
+    });
+
+    it('should give up when every node fails', async () => {
+        const pool = new NodePool([deadNode, failingNode]);
+        let err;
+        try {
+            await ss.session.retrieveDocumentKey(pool, docID, signedDocID, false);
+        } catch (e) {
+            err = e;
+        }
+        assert.equal(err.response.statusCode, 500);
+        assert.isTrue(pool.status().every(node => !node.healthy));
+    });
+
+    it('should rotate nodes and try the ones marked down last', async () => {
+        const pool = new NodePool([httpSSAlice, httpSSBob, httpSSCharlie]);
+        assert.deepEqual(pool.select(), [httpSSAlice, httpSSBob, httpSSCharlie]);
+        assert.deepEqual(pool.select(), [httpSSBob, httpSSCharlie, httpSSAlice]);
+        pool.markDown(httpSSCharlie, new Error("down"));
+        assert.deepEqual(pool.select(), [httpSSAlice, httpSSBob, httpSSCharlie]);
+        pool.markUp(httpSSCharlie);
+        assert.deepEqual(pool.select(), [httpSSAlice, httpSSBob, httpSSCharlie]);
+
+        const random = new NodePool([httpSSAlice, httpSSBob, httpSSCharlie], {strategy: "random"});
+        assert.sameMembers(random.select(), [httpSSAlice, httpSSBob, httpSSCharlie]);
+        assert.throws(() => new NodePool([]), TypeError);
+        assert.throws(() => new NodePool([httpSSAlice], {strategy: "fastest"}), TypeError);
     });
 });
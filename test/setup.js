@@ -0,0 +1,32 @@
+const path = require('path');
+
+const {MockSecretStore} = require(path.join(__dirname, '../src/mock'));
+
+const assets = require("./assets.js");
+const {alicepwd, bobpwd, charliepwd} = assets.passwords;
+const {node1} = assets.nodes;
+
+// Loaded first by test/mocha.opts, so that any test file can also run on its own.
+// Unless LIVE_NODES is set, every test runs against the mock listening on the ports of the dev nodes.
+const setup = {mock: null};
+
+before(async () => {
+    if (process.env.LIVE_NODES) return;
+    setup.mock = new MockSecretStore({
+        accounts: [
+            {keystore: assets.keystores.alice, password: alicepwd},
+            {keystore: assets.keystores.bob, password: bobpwd},
+            {keystore: assets.keystores.charlie, password: charliepwd},
+        ],
+        adminPublic: node1,
+        rpcPorts: [8545, 8547, 8549],
+        ssPorts: [8090, 8091, 8092],
+    });
+    await setup.mock.start();
+});
+
+after(async () => {
+    if (setup.mock) await setup.mock.stop();
+});
+
+module.exports = setup;
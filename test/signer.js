@@ -0,0 +1,163 @@
+const assert = require('chai').assert;
+const path = require('path');
+const ss = require(path.join(__dirname, '../src/secretstore'));
+const private = require(path.join(__dirname, '../src/private'));
+const signers = require(path.join(__dirname, '../src/signer.js'));
+const sha256 = require('crypto-js/sha256');
+
+const assets = require("./assets.js");
+const {alice, bob} = assets.accounts;
+const {alicepwd} = assets.passwords;
+const {httpRpcAlice} = assets.httpRpc;
+const {httpSSAlice, httpSSBob} = assets.httpSS;
+const TestContract = assets.TestContract;
+
+var web3 = new (require('web3'))(httpRpcAlice);
+
+describe('Signer test', async () => {
+    const alicePrivateKey = ss.local.decryptKeystore(assets.keystores.alice, alicepwd);
+    var all;
+
+    before(async () => {
+        const keySigner = new signers.PrivateKeySigner(alicePrivateKey);
+        all = {
+            rpc: new signers.RpcSigner(web3, alice, alicepwd),
+            privateKey: keySigner,
+            keystore: new signers.KeystoreSigner(assets.keystores.alice, alicepwd),
+            callback: new signers.CallbackSigner(alice, request => {
+                switch (request.type) {
+                    case "signRawHash": return keySigner.signRawHash(request.hash);
+                    case "signTransaction": return keySigner.signTransaction(request.transaction);
+                    case "decrypt": return keySigner.decrypt(request.data);
+                }
+            })
+        };
+    });
+
+    it('should tell signers apart', async () => {
+        assert.isTrue(signers.isSigner(all.keystore));
+        assert.isFalse(signers.isSigner(web3));
+        assert.isFalse(signers.isSigner("0x" + alicePrivateKey));
+    });
+
+    it('should produce the same raw hash signatures with every signer', async () => {
+        const hash = "0x" + sha256("signers").toString();
+        const expected = await ss.signRawHash(web3, alice, alicepwd, hash);
+        for (const name of Object.keys(all)) {
+            assert.strictEqual(await ss.signRawHashWithSigner(all[name], hash), expected, name);
+            assert.strictEqual((await all[name].getAddress()).toLowerCase(), alice, name);
+        }
+    });
+
+    it('should recover the public key of signers that can only sign', async () => {
+        const expected = await all.privateKey.getPublic();
+        assert.strictEqual(await all.rpc.getPublic(), expected);
+        assert.strictEqual(await all.callback.getPublic(), expected);
+
+        let calls = 0;
+        const flaky = new signers.CallbackSigner(alice, request => {
+            if (++calls === 1) return Promise.reject(new Error("device busy"));
+            return all.privateKey.signRawHash(request.hash);
+        });
+        let err;
+        try {
+            await flaky.getPublic();
+        } catch (e) {
+            err = e;
+        }
+        assert.match(err.message, /device busy/);
+        assert.strictEqual(await flaky.getPublic(), expected);
+        assert.strictEqual(await flaky.getPublic(), expected);
+        assert.equal(calls, 2);
+    });
+
+    it('should only take signers in the signer variants', async () => {
+        let err;
+        try {
+            await ss.signRawHash(all.keystore, "0x" + "11".repeat(32), false);
+        } catch (e) {
+            err = e;
+        }
+        assert.instanceOf(err, TypeError);
+    });
+
+    it('should reject unsupported operations', async () => {
+        const unsupported = new signers.CallbackSigner(alice, () => Promise.reject(new Error("unsupported")));
+        let err;
+        try {
+            await ss.encryptWithSigner(unsupported, "0x00", "0x00", false);
+        } catch (e) {
+            err = e;
+        }
+        assert.match(err.message, /unsupported/);
+
+        const throwing = new signers.CallbackSigner(alice, () => { throw new Error("no device"); });
+        for (const pending of [() => throwing.signRawHash("0x00"), () => throwing.signTransaction({}), () => throwing.decrypt("0x00")]) {
+            let promise;
+            assert.doesNotThrow(() => { promise = pending(); });
+            err = undefined;
+            try {
+                await promise;
+            } catch (e) {
+                err = e;
+            }
+            assert.match(err.message, /no device/);
+        }
+        err = undefined;
+        try {
+            await all.rpc.decrypt("0x00");
+        } catch (e) {
+            err = e;
+        }
+        assert.match(err.message, /not supported/);
+    });
+
+    it('should run sessions with a signer instead of a signature', async () => {
+        const docID = sha256(Math.random().toString()).toString();
+        const encryptedKey = await ss.session.generateServerAndDocumentKey(httpSSAlice, docID, all.keystore, 1);
+        const retrieved = await ss.session.retrieveDocumentKey(httpSSBob, docID, all.callback);
+        assert.strictEqual(ss.local.decryptDocumentKey(alicePrivateKey, retrieved),
+            ss.local.decryptDocumentKey(alicePrivateKey, encryptedKey));
+    });
+
+    it('should encrypt and decrypt with local signers interchangeably with the node', async () => {
+        const hexDoc = web3.utils.toHex("signed secret");
+        const docID = sha256(Math.random().toString()).toString();
+        const skey = await ss.session.generateServerKey(httpSSAlice, docID, all.privateKey, 1);
+        const dkey = await ss.generateDocumentKeyWithSigner(all.keystore, skey);
+        await ss.session.storeDocumentKey(httpSSAlice, docID, all.privateKey, dkey.common_point, dkey.encrypted_point);
+
+        const encryptedDoc = await ss.encryptWithSigner(all.privateKey, dkey.encrypted_key, hexDoc);
+        assert.strictEqual(await ss.decrypt(web3, alice, alicepwd, dkey.encrypted_key, encryptedDoc), hexDoc);
+        assert.strictEqual(await ss.decryptWithSigner(all.callback, dkey.encrypted_key, encryptedDoc), hexDoc);
+
+        const shadow = await ss.session.shadowRetrieveDocumentKey(httpSSBob, docID, all.keystore);
+        assert.strictEqual(await ss.shadowDecryptWithSigner(all.keystore, shadow.decrypted_secret,
+            shadow.common_point, shadow.decrypt_shadows, encryptedDoc), hexDoc);
+        assert.strictEqual(await ss.shadowDecryptWithSigner(all.rpc, shadow.decrypted_secret,
+            shadow.common_point, shadow.decrypt_shadows, encryptedDoc), hexDoc);
+    });
+
+    it('should deploy and modify a private contract with transactions signed locally', async () => {
+        for (const name of ["privateKey", "rpc"]) {
+            const signer = all[name];
+            const deployment = await private.signTransaction(web3, signer, {to: null, data: TestContract.bytecode,
+                gas: web3.utils.toHex(1000000), gasPrice: web3.utils.toHex(1000)});
+            const composure = await private.composeDeploymentTx(web3, deployment, [bob], web3.utils.toHex(1000));
+            const contractAddress = composure.receipt.contractAddress;
+            const wrapper = await private.signTransaction(web3, signer, composure.transaction);
+            const receipt = await web3.eth.sendSignedTransaction(wrapper);
+            assert.strictEqual(receipt.from.toLowerCase(), alice, name);
+
+            const privateContract = new web3.eth.Contract(TestContract.abi, contractAddress);
+            const setX = await private.signTransaction(web3, signer, {to: contractAddress,
+                data: privateContract.methods.setX(web3.utils.utf8ToHex("42")).encodeABI(),
+                gas: web3.utils.toHex(1000000), gasPrice: web3.utils.toHex(1000)});
+            assert.exists(await private.send(web3, setX));
+
+            const state = await private.call(web3, {from: alice, to: contractAddress,
+                data: privateContract.methods.x().encodeABI()});
+            assert.strictEqual(web3.utils.hexToUtf8(state), "42", name);
+        }
+    });
+});
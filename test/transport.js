@@ -0,0 +1,81 @@
+const assert = require('chai').assert;
+const http = require('http');
+const path = require('path');
+const sha256 = require('crypto-js/sha256');
+const ss = require(path.join(__dirname, '../src/secretstore'));
+const call = require(path.join(__dirname, '../src/call.js'));
+const transport = require(path.join(__dirname, '../src/transport'));
+
+const assets = require("./assets.js");
+const {alice, bob} = assets.accounts;
+const {alicepwd} = assets.passwords;
+const {httpRpcAlice} = assets.httpRpc;
+const {httpSSAlice, httpSSBob} = assets.httpSS;
+
+var web3 = new (require('web3'))(httpRpcAlice);
+
+describe('Transport test', async () => {
+    var docID;
+    var signedDocID;
+
+    before(async () => {
+        docID = sha256(Math.random().toString()).toString();
+        signedDocID = await ss.signRawHash(web3, alice, alicepwd, docID);
+        await ss.session.generateServerAndDocumentKey(httpSSAlice, docID, signedDocID, 1);
+    });
+
+    it('should run sessions over fetch', async () => {
+        const options = {transport: transport.fetchTransport()};
+        const key = await ss.session.retrieveDocumentKey(httpSSBob, docID, signedDocID, false, options);
+        assert.isNotEmpty(key);
+        const shadow = await ss.session.shadowRetrieveDocumentKey(httpSSAlice, docID, signedDocID, false, options);
+        assert.exists(shadow.decrypt_shadows);
+        const err = await ss.session.retrieveDocumentKey(httpSSAlice, docID, "0x" + "00".repeat(65), false, options)
+            .catch(e => e);
+        assert.instanceOf(err, ss.session.SecretStoreSessionError);
+        assert.equal(err.response.statusCode, 400);
+    });
+
+    it('should use a custom agent and headers', async () => {
+        const agent = new http.Agent();
+        let connections = 0;
+        const createConnection = agent.createConnection.bind(agent);
+        agent.createConnection = (...args) => {
+            connections++;
+            return createConnection(...args);
+        };
+        const key = await ss.session.retrieveDocumentKey(httpSSAlice, docID, signedDocID, false,
+            {transport: transport.nodeTransport({agent, headers: {"X-Test": "1"}})});
+        assert.isNotEmpty(key);
+        assert.equal(connections, 1);
+        agent.destroy();
+    });
+
+    it('should use an injected transport, per call or globally', async () => {
+        const requests = [];
+        const fake = request => {
+            requests.push(request);
+            return Promise.resolve({statusCode: 200, statusMessage: "OK", headers: {}, body: '"0x1234"'});
+        };
+        assert.equal(await ss.session.signEcdsa("http://ss.example", docID, signedDocID, docID, false, {transport: fake}), "0x1234");
+        assert.equal(requests[0].method, "GET");
+        assert.equal(requests[0].url, "http://ss.example/ecdsa/" + docID + "/" + signedDocID.slice(2) + "/" + docID);
+
+        const previous = call.getDefaults();
+        try {
+            call.configure({transport: fake});
+            await ss.session.nodesSetChange("http://ss.example", [bob], "0x01", "0x02", false);
+        } finally {
+            call.configure(previous);
+        }
+        assert.equal(requests[1].method, "POST");
+        assert.equal(requests[1].body, JSON.stringify([bob]));
+        assert.equal(requests[1].headers["Content-Type"], "application/json");
+    });
+
+    it('should report connection errors of the default transport', async () => {
+        const err = await ss.session.retrieveDocumentKey("http://127.0.0.1:1", docID, signedDocID, false).catch(e => e);
+        assert.equal(err.code, "ECONNREFUSED");
+        assert.isTrue(call.isTransient(err));
+    });
+});
@@ -0,0 +1,98 @@
+const assert = require('chai').assert;
+const path = require('path');
+const ss = require(path.join(__dirname, '../src/secretstore'));
+const private = require(path.join(__dirname, '../src/private'));
+const signers = require(path.join(__dirname, '../src/signer.js'));
+const errors = require(path.join(__dirname, '../src/errors.js'));
+const crypto = require(path.join(__dirname, '../src/crypto.js'));
+const sha256 = require('crypto-js/sha256');
+
+const assets = require("./assets.js");
+const {alice, bob} = assets.accounts;
+const {alicepwd, bobpwd} = assets.passwords;
+const {httpRpcAlice} = assets.httpRpc;
+const {httpSSAlice, httpSSBob, httpSSCharlie} = assets.httpSS;
+
+var web3 = new (require('web3'))(httpRpcAlice);
+
+describe('Threshold wallet test', async () => {
+    const requester = new signers.KeystoreSigner(assets.keystores.alice, alicepwd);
+    var wallet;
+
+    before(async () => {
+        wallet = await ss.wallet.ThresholdWallet.generate({url: [httpSSAlice, httpSSBob, httpSSCharlie], requester});
+    });
+
+    it('should derive the address from the server key', async () => {
+        const serverKey = await wallet.getPublic();
+        assert.match(serverKey, /^0x[0-9a-f]{128}$/);
+        assert.equal(await wallet.getAddress(), web3.utils.keccak256(serverKey).replace(/^0x[0-9a-f]{24}/, "0x"));
+        assert.notEqual(wallet.address, alice);
+        assert.isTrue(signers.isSigner(wallet));
+
+        const same = new ss.wallet.ThresholdWallet({url: httpSSBob, serverKeyID: wallet.serverKeyID, serverKey, requester});
+        assert.equal(same.address, wallet.address);
+    });
+
+    it('should sign raw hashes with the server key', async () => {
+        const hash = "0x" + sha256("bongocat").toString();
+        const signature = await wallet.signRawHash(hash);
+        assert.match(signature, /0[01]$/);
+        assert.isTrue(ss.local.verifyEcdsaSignature(wallet.serverKey, hash, signature));
+    });
+
+    it('should sign messages like personal_sign', async () => {
+        const signature = await wallet.signMessage("bongocat");
+        assert.equal(web3.eth.accounts.recover("bongocat", signature).toLowerCase(), wallet.address);
+        assert.equal("0x" + ss.wallet.hashMessage("bongocat").toString("hex"), web3.eth.accounts.hashMessage("bongocat"));
+        assert.equal("0x" + ss.wallet.hashMessage("0x1234").toString("hex"), web3.eth.accounts.hashMessage("0x1234"));
+
+        const signed = await wallet.toAccount().sign("bongocat");
+        assert.equal(signed.messageHash, web3.eth.accounts.hashMessage("bongocat"));
+        assert.include(["0x1b", "0x1c"], signed.v);
+        assert.equal(signed.r + signed.s.slice(2) + signed.v.slice(2), signed.signature);
+        assert.equal(web3.eth.accounts.recover(signed), web3.utils.toChecksumAddress(wallet.address));
+    });
+
+    it('should sign transactions sent on chain', async () => {
+        const raw = await private.signTransaction(web3, wallet, {to: bob, value: "0x0",
+            gas: web3.utils.toHex(100000), gasPrice: "0x0"});
+        assert.equal(web3.eth.accounts.recoverTransaction(raw).toLowerCase(), wallet.address);
+        const receipt = await web3.eth.sendSignedTransaction(raw);
+        assert.equal(receipt.from.toLowerCase(), wallet.address);
+
+        const tx = {to: bob, nonce: "0x1", gas: web3.utils.toHex(100000), gasPrice: "0x0", chainId: 17};
+        const signed = await wallet.toAccount().signTransaction(tx);
+        assert.equal(web3.eth.accounts.recoverTransaction(signed.rawTransaction).toLowerCase(), wallet.address);
+        assert.equal(signed.transactionHash, web3.utils.keccak256(signed.rawTransaction));
+        assert.include(["0x45", "0x46"], signed.v);
+
+        try {
+            await wallet.signTransaction(Object.assign({from: alice}, tx));
+            assert.fail("signed for another sender");
+        } catch (e) {
+            assert.match(e.message, /not the wallet address/);
+        }
+    });
+
+    it('should reject signatures not made with the server key', async () => {
+        const bobSigner = new signers.KeystoreSigner(assets.keystores.bob, bobpwd);
+        const requesterPublic = await requester.getPublic();
+        const compromised = async (request) => {
+            const hash = request.url.split("/").pop();
+            const signature = await bobSigner.signRawHash("0x" + hash);
+            const encrypted = crypto.eciesEncrypt(requesterPublic, signature);
+            return {statusCode: 200, statusMessage: "OK", headers: {}, body: JSON.stringify("0x" + encrypted.toString("hex"))};
+        };
+        const fooled = new ss.wallet.ThresholdWallet({url: "http://ss.example", serverKeyID: wallet.serverKeyID,
+            serverKey: wallet.serverKey, requester, verbose: false, options: {transport: compromised}});
+        try {
+            await fooled.signMessage("bongocat");
+            assert.fail("accepted a forged signature");
+        } catch (e) {
+            assert.instanceOf(e, errors.SecretStoreSessionError);
+            assert.equal(e.code, "INVALID_SIGNATURE");
+            assert.isFalse(e.transient);
+        }
+    });
+});